@@ -9,850 +9,10702 @@
 // --- GLOBAL SCOPE ---
 
 /**
- * Global variable to hold the YouTube Player instance.
- * Must be global so the YouTube Iframe API can interact with it.
- * @type {YT.Player|null}
+ * Global flag to track if YouTube API is fully loaded.
+ * @type {boolean}
  */
-let youtubePlayer = null;
+let isYoutubeReady = false;
 
 /**
- * Global flag to track if YouTube API is fully loaded.
+ * Set by the boot sequence when the YouTube API did not load in time, or was never requested
+ * (Safe Mode). WinAmp then plays the backup MP3s instead of waiting for the API.
  * @type {boolean}
  */
-let isYoutubeReady = false;
+let isYoutubeUnavailable = false;
+
+/**
+ * Resolves when the YouTube API is loaded (the boot sequence waits on it).
+ * @type {Promise<void>}
+ */
+const youtubeApiReady = new Promise(resolve => {
+    window.addEventListener('youtube-api-ready', () => resolve(), { once: true });
+});
 
 /**
  * Callback function required by YouTube Iframe API.
  * This function is called automatically when the API script is loaded.
+ * The script is only added by SystemLoader.loadYouTubeApi(), so this never fires in Safe Mode.
  */
 function onYouTubeIframeAPIReady() {
     isYoutubeReady = true;
+    isYoutubeUnavailable = false;
     console.log("[System] YouTube API Ready");
+    window.dispatchEvent(new CustomEvent('youtube-api-ready'));
 }
 
-// --- SYSTEM LOADER ---
+// --- APP REGISTRY ---
 
 /**
- * Handles the initial system boot process and configuration loading.
+ * Single source of truth for launchable apps.
+ * The WindowManager opens windows from these definitions and the SystemLoader
+ * renders desktop icons from them.
  */
-class SystemLoader {
-    /**
-     * @param {WindowManager} windowManager - The instance of the window manager.
-     */
-    constructor(windowManager) {
-        this.windowManager = windowManager;
-        this.configPath = 'config.json';
+class AppRegistry {
+    constructor() {
+        /** @type {Map<string, Object>} */
+        this.apps = new Map();
     }
 
     /**
-     * Initiates the boot sequence: fetches config and renders UI.
-     * @returns {Promise<void>}
+     * Registers (or replaces) an app definition.
+     * @param {Object} def - App definition.
+     * @param {string} def.id - Unique app id (used by config.json and the session store).
+     * @param {string} def.title - Window title.
+     * @param {string} [def.label] - Desktop icon label (defaults to the title).
+     * @param {string} [def.icon] - FontAwesome class string.
+     * @param {string|Function} def.template - <template> id, or a function returning the window HTML.
+     * @param {Function} [def.factory] - Receives the window element and returns the app instance.
+     * @param {boolean} [def.singleInstance=false] - Focus the existing window instead of opening another.
+     * @param {{width: number, height: number}} [def.defaultSize] - Initial window size (px).
+     * @param {{width: number, height: number}} [def.minSize] - Minimum size (px) when resizing.
+     * @returns {Object} The normalized definition.
      */
-    async boot() {
-        try {
-            const response = await fetch(this.configPath);
-            if (!response.ok) throw new Error("Config file not found");
-            const config = await response.json();
+    register(def) {
+        if (!def || !def.id) throw new Error("registerApp: an app needs an id");
+        if (!def.template) throw new Error(`registerApp: app "${def.id}" needs a template`);
 
-            this.renderDesktop(config);
-            this.setupMenuActions(config);
-        } catch (error) {
-            console.error("[System Error] Could not load config.json:", error);
-            // Even if config fails, basic apps should work, so we don't halt execution
-        }
+        const app = {
+            label: def.title,
+            icon: 'fa-solid fa-window-maximize',
+            factory: null,
+            singleInstance: false,
+            defaultSize: null,
+            minSize: null,
+            ...def
+        };
+        this.apps.set(app.id, app);
+        return app;
     }
 
     /**
-     * Renders dynamic desktop icons based on configuration.
-     * @param {Object} config - The JSON configuration object.
+     * @param {string} id - App id.
+     * @returns {Object|undefined} The app definition.
      */
-    renderDesktop(config) {
-        const grid = document.getElementById('icon-grid');
-
-        // Render User Profile / Readme
-        if (config.user) {
-            this.createIcon(grid, 'fa-solid fa-file-lines', 'README.txt', () => {
-                this.windowManager.openWindow('README.txt', this.generateProfileHtml(config.user));
-            });
-        }
-
-        // Render Folders
-        if (config.folders) {
-            this.createIcon(grid, 'fa-solid fa-folder-open', 'Projects', () => {
-                this.windowManager.openWindow('A:\\Projects', this.generateFolderHtml(config.folders.projects));
-            });
-            this.createIcon(grid, 'fa-solid fa-globe', 'Links', () => {
-                this.windowManager.openWindow('C:\\Internet', this.generateFolderHtml(config.folders.links));
-            });
-        }
+    get(id) {
+        return this.apps.get(id);
     }
 
     /**
-     * Helper to create a DOM element for a desktop icon.
-     * @param {HTMLElement} container - The container to append the icon to.
-     * @param {string} iconClass - FontAwesome class string.
-     * @param {string} label - Text label for the icon.
-     * @param {Function} onClick - Click handler.
+     * @returns {Array<Object>} All app definitions, in registration order.
      */
-    createIcon(container, iconClass, label, onClick) {
-        const div = document.createElement('div');
-        div.className = 'desktop-icon';
-        div.innerHTML = `
-            <div class="icon-img"><i class="${iconClass}"></i></div>
-            <span class="icon-label">${label}</span>
-        `;
-        div.addEventListener('click', onClick);
-        // Prepend ensures dynamic icons appear before or mixed with hardcoded ones
-        container.insertBefore(div, container.firstChild);
+    list() {
+        return [...this.apps.values()];
     }
 
     /**
-     * Generates HTML content for the user profile window.
-     * @param {Object} user - User data object.
-     * @returns {string} HTML string.
+     * Builds the window HTML for an app.
+     * @param {Object} app - App definition.
+     * @returns {string|null} HTML, or null if the template is missing.
      */
-    generateProfileHtml(user) {
-        return `
-            <div style="text-align: center;">
-                <h2 style="color: purple;">${user.name}</h2>
-                <p><strong>${user.role}</strong></p>
-                <hr style="margin: 10px 0; border: 1px dashed gray;">
-                <p>Welcome to my interactive portfolio.</p>
-                <br>
-                <p><i class="fa-solid fa-envelope"></i> ${user.email}</p>
-            </div>
-        `;
+    renderTemplate(app) {
+        if (typeof app.template === 'function') return app.template();
+        const template = document.getElementById(app.template);
+        return template ? template.innerHTML : null;
     }
+}
 
-    /**
-     * Generates HTML grid for folder items.
-     * @param {Array} items - Array of link objects.
-     * @returns {string} HTML string.
-     */
-    generateFolderHtml(items) {
-        if (!items || items.length === 0) return '<p>Empty Folder</p>';
+/**
+ * The global app registry instance.
+ * @type {AppRegistry}
+ */
+const appRegistry = new AppRegistry();
 
-        let html = '<div class="folder-grid">';
-        items.forEach(item => {
-            html += `
-                <a href="${item.url}" target="_blank" class="folder-item">
-                    <i class="fa-solid ${item.icon}"></i>
-                    <span>${item.name}</span>
-                </a>
-            `;
-        });
-        html += '</div>';
-        return html;
+/**
+ * Registers an app with the OS. See AppRegistry.register for the definition format.
+ * @param {Object} def - App definition.
+ * @returns {Object} The normalized definition.
+ */
+function registerApp(def) {
+    return appRegistry.register(def);
+}
+
+// --- COMMAND REGISTRY ---
+
+/**
+ * Commands available in the Terminal app. Any app can add its own through registerCommand().
+ */
+class CommandRegistry {
+    constructor() {
+        /** @type {Map<string, Object>} */
+        this.commands = new Map();
     }
 
     /**
-     * Binds event listeners to the navigation bar menu items.
-     * @param {Object} config - Configuration object.
+     * Registers (or replaces) a command.
+     * @param {Object} def - Command definition.
+     * @param {string} def.name - What the user types (case-insensitive).
+     * @param {string} def.description - One-line summary shown by `help`.
+     * @param {string} [def.usage] - Usage line, e.g. "cd <path>".
+     * @param {Function} def.run - (args: string[], terminal: TerminalApp) => void|Promise<void>.
+     * @param {Function} [def.complete] - (partial: string, terminal: TerminalApp) => string[] for Tab completion.
+     * @returns {Object} The definition.
      */
-    setupMenuActions(config) {
-        // Reboot Logic
-        document.getElementById('action-reboot').addEventListener('click', () => location.reload());
+    register(def) {
+        if (!def || !def.name || typeof def.run !== 'function') {
+            throw new Error("registerCommand: a command needs a name and a run() function");
+        }
+        const command = { usage: def.name, description: '', ...def, name: def.name.toLowerCase() };
+        this.commands.set(command.name, command);
+        return command;
+    }
 
-        // GitHub Link
-        const githubUrl = config?.user?.github || '#';
-        document.getElementById('action-repo').addEventListener('click', () => {
-            window.open(githubUrl, '_blank');
-        });
+    /**
+     * @param {string} name - Command name.
+     * @returns {Object|undefined}
+     */
+    get(name) {
+        return this.commands.get(name.toLowerCase());
+    }
 
-        // CRT Toggle
-        document.getElementById('action-crt').addEventListener('click', () => {
-            document.getElementById('crt-layer').classList.toggle('crt-off');
-        });
+    /**
+     * @returns {Array<Object>} Commands sorted by name.
+     */
+    list() {
+        return [...this.commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
 
-        // Fullscreen Toggle
-        document.getElementById('action-fullscreen').addEventListener('click', () => {
-            if (!document.fullscreenElement) document.documentElement.requestFullscreen();
-            else document.exitFullscreen();
-        });
+/**
+ * The global command registry instance.
+ * @type {CommandRegistry}
+ */
+const commandRegistry = new CommandRegistry();
 
-        // About Dialog
-        document.getElementById('action-about').addEventListener('click', () => {
-            alert("RubensOS v1.0 \nHandcrafted with code, coffee, and retro vibes.\nPeek under the hood: Go to File > Source Code.");
-        });
-    }
+/**
+ * Registers a Terminal command. See CommandRegistry.register for the definition format.
+ * @param {Object} def - Command definition.
+ * @returns {Object} The definition.
+ */
+function registerCommand(def) {
+    return commandRegistry.register(def);
 }
 
-// --- WINDOW MANAGER ---
+// --- SESSION STORE ---
 
 /**
- * Manages the lifecycle, positioning, and z-index of application windows.
+ * Persists the desktop session (open windows and their app state) in localStorage.
  */
-class WindowManager {
-    constructor() {
-        this.container = document.getElementById('window-area');
-        this.zIndex = 100; // Base z-index for windows
-        this.setupHardcodedApps();
+class SessionStore {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the session.
+     */
+    constructor(storageKey = 'rubensos.session') {
+        this.storageKey = storageKey;
     }
 
     /**
-     * Binds HTML data-app attributes to their respective Application Classes.
+     * Reads the saved session.
+     * @returns {{windows: Array<Object>}|null} The session, or null if none (or unreadable).
      */
-    setupHardcodedApps() {
-        this.bindApp('calculator', 'tpl-calculator', 'Calculator', (win) => new CalculatorApp(win));
-        this.bindApp('calendar', 'tpl-calendar', 'Calendar', (win) => new CalendarApp(win));
-        this.bindApp('music', 'tpl-music', 'WinAmp Player', (win) => new WinampApp(win));
-        this.bindApp('paint', 'tpl-paint', 'Pixel Paint', (win) => new PaintApp(win));
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn("[Session] Could not read saved session:", error);
+            return null;
+        }
     }
 
     /**
-     * Helper to attach click listeners to desktop icons.
-     * @param {string} appId - The data-app attribute value.
-     * @param {string} templateId - The ID of the HTML <template>.
-     * @param {string} title - The window title.
-     * @param {Function} appClassCallback - Factory function to instantiate the App class.
+     * Writes the session. If the browser refuses, the previous session is removed too,
+     * so the next boot doesn't restore stale windows.
+     * @param {{windows: Array<Object>}} session - Session data.
+     * @returns {boolean} False if the browser refused (e.g. storage quota exceeded or blocked).
      */
-    bindApp(appId, templateId, title, appClassCallback) {
-        const icon = document.querySelector(`[data-app="${appId}"]`);
-        if (icon) {
-            icon.addEventListener('click', () => {
-                const template = document.getElementById(templateId);
-                if (template) {
-                    const win = this.openWindow(title, template.innerHTML);
-                    appClassCallback(win);
-                }
-            });
+    save(session) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ ...session, savedAt: Date.now() }));
+            return true;
+        } catch (error) {
+            console.warn("[Session] Could not save session:", error);
+            this.clear();
+            return false;
         }
     }
 
     /**
-     * Creates and appends a new window to the DOM.
-     * @param {string} title - Window title.
-     * @param {string} contentHtml - Inner HTML content.
-     * @returns {HTMLElement} The created window element.
+     * Forgets the saved session.
      */
-    openWindow(title, contentHtml) {
-        this.zIndex++;
-        const win = document.createElement('div');
-        win.className = 'window active';
-        win.style.zIndex = this.zIndex;
-
-        // Smart Positioning for Mobile vs Desktop
-        const isMobile = window.innerWidth < 768;
-        if (isMobile) {
-            win.style.left = '5vw';
-            win.style.top = '10vh';
-        } else {
-            const randX = Math.floor(Math.random() * 50) + 50;
-            const randY = Math.floor(Math.random() * 50) + 50;
-            win.style.left = randX + 'px';
-            win.style.top = randY + 'px';
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn("[Session] Could not remove saved session:", error);
         }
+    }
+}
 
-        win.innerHTML = `
-            <div class="title-bar">
-                <span>${title}</span>
-                <button class="btn-close" title="Close">X</button>
-            </div>
-            <div class="window-content">${contentHtml}</div>
-        `;
-
-        // Close Button Handler
-        win.querySelector('.btn-close').addEventListener('click', () => {
-            // Dispatch a custom event so apps can clean up resources (intervals, audio)
-            const event = new CustomEvent('window-closed', { detail: { win } });
-            win.dispatchEvent(event);
-            win.remove();
-        });
-
-        // Bring to front on click
-        win.addEventListener('mousedown', () => {
-            this.zIndex++;
-            win.style.zIndex = this.zIndex;
-        });
-        // Handle touch focus
-        win.addEventListener('touchstart', () => {
-            this.zIndex++;
-            win.style.zIndex = this.zIndex;
-        }, { passive: true });
+// --- RECENT ITEMS ---
 
-        this.makeDraggable(win);
-        this.container.appendChild(win);
-        return win;
+/**
+ * Apps and files the user opened lately, newest first, for the Start menu.
+ * Items are { kind: 'app', appId } or { kind: 'file', path }.
+ * Dispatches `recent-changed` on window when the list changes.
+ */
+class RecentItems {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the list.
+     * @param {number} [limit] - How many items to keep.
+     */
+    constructor(storageKey = 'rubensos.recent', limit = 8) {
+        this.storageKey = storageKey;
+        this.limit = limit;
     }
 
     /**
-     * Adds drag-and-drop functionality to a window element.
-     * @param {HTMLElement} el - The window element.
+     * @returns {Array<Object>} Newest first.
      */
-    makeDraggable(el) {
-        const header = el.querySelector('.title-bar');
-        let isDragging = false, startX, startY, initialLeft, initialTop;
-
-        // --- MOUSE EVENTS ---
-        const onMouseMove = (e) => {
-            if (!isDragging) return;
-            const dx = e.clientX - startX;
-            const dy = e.clientY - startY;
-            el.style.left = `${initialLeft + dx}px`;
-            el.style.top = `${initialTop + dy}px`;
-        };
+    list() {
+        try {
+            const items = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(items) ? items : [];
+        } catch (error) {
+            console.warn("[Recent] Could not read recent items:", error);
+            return [];
+        }
+    }
 
-        const onMouseUp = () => {
-            isDragging = false;
-            document.removeEventListener('mousemove', onMouseMove);
-            document.removeEventListener('mouseup', onMouseUp);
-        };
+    /**
+     * Moves an item to the top of the list.
+     * @param {Object} item - { kind: 'app', appId } or { kind: 'file', path }.
+     */
+    add(item) {
+        const same = (other) => other.kind === item.kind && (item.kind === 'app'
+            ? other.appId === item.appId
+            : other.path.toLowerCase() === item.path.toLowerCase());
+        const items = [item, ...this.list().filter(other => !same(other))].slice(0, this.limit);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(items));
+        } catch (error) {
+            console.warn("[Recent] Could not save recent items:", error);
+        }
+        window.dispatchEvent(new CustomEvent('recent-changed', { detail: { item } }));
+    }
+}
 
-        header.addEventListener('mousedown', (e) => {
-            isDragging = true;
-            startX = e.clientX;
-            startY = e.clientY;
-            initialLeft = el.offsetLeft;
-            initialTop = el.offsetTop;
-            document.addEventListener('mousemove', onMouseMove);
-            document.addEventListener('mouseup', onMouseUp);
-        });
+/**
+ * The global recent items list.
+ * @type {RecentItems}
+ */
+const recentItems = new RecentItems();
 
-        // --- TOUCH EVENTS ---
-        const onTouchMove = (e) => {
-            if (!isDragging) return;
-            // Prevent scrolling the page while dragging the window
-            e.preventDefault();
-            const touch = e.touches[0];
-            const dx = touch.clientX - startX;
-            const dy = touch.clientY - startY;
-            el.style.left = `${initialLeft + dx}px`;
-            el.style.top = `${initialTop + dy}px`;
-        };
+// --- VIRTUAL FILE SYSTEM ---
 
-        const onTouchEnd = () => {
-            isDragging = false;
-            document.removeEventListener('touchmove', onTouchMove);
-            document.removeEventListener('touchend', onTouchEnd);
-        };
+/**
+ * Default FontAwesome icons for each node type.
+ */
+const FILE_ICONS = {
+    root: 'fa-solid fa-computer',
+    drive: 'fa-solid fa-hard-drive',
+    folder: 'fa-solid fa-folder',
+    link: 'fa-solid fa-globe',
+    text: 'fa-solid fa-file-lines',
+    image: 'fa-solid fa-file-image',
+    app: 'fa-solid fa-window-maximize'
+};
 
-        header.addEventListener('touchstart', (e) => {
-            isDragging = true;
-            const touch = e.touches[0];
-            startX = touch.clientX;
-            startY = touch.clientY;
-            initialLeft = el.offsetLeft;
-            initialTop = el.offsetTop;
-            document.addEventListener('touchmove', onTouchMove, { passive: false });
-            document.addEventListener('touchend', onTouchEnd);
-        }, { passive: false });
+/**
+ * Error raised by VirtualFileSystem operations. `code` follows POSIX names
+ * (ENOENT, EEXIST, EROFS, ENOTDIR, EISDIR, EINVAL) so callers can branch on it.
+ */
+class FileSystemError extends Error {
+    /**
+     * @param {string} code - Error code.
+     * @param {string} message - Human readable message.
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'FileSystemError';
+        this.code = code;
     }
 }
 
-// --- APP: WINAMP (HYBRID: YOUTUBE + MP3 BACKUP) ---
-
 /**
- * Controls the Music Player logic.
- * * Implements a robust fallback system.
- * * Logic: Tries YouTube API first. If it encounters Error 150 (Embed Block) or connection issues,
- * * it automatically switches to HTML5 Audio using a direct MP3 stream from Archive.org.
+ * In-memory tree of drives, folders and typed files.
+ * The tree is seeded from config.json ("folders") and is read-only, except for the
+ * user area (C:\My Documents) which is writable and persisted in IndexedDB.
+ * Paths use DOS style ("C:\Internet\Blog") and are case-insensitive; "/" also works.
  */
-class WinampApp {
+class VirtualFileSystem {
     /**
-     * Initializes the Winamp application.
-     * @param {HTMLElement} windowEl - The DOM element of the window containing the app.
+     * @param {string} [dbName] - IndexedDB database name for the user area.
      */
-    constructor(windowEl) {
-        this.windowEl = windowEl;
-        this.isPlaying = false;
-        this.visualizerInterval = null;
-        this.bars = windowEl.querySelectorAll('.bar');
-
-        // Player State
-        this.useAudioFallback = false; // Flag: true if using native <audio>
-        this.audioElement = null;      // Reference to the native audio object
+    constructor(dbName = 'rubensos-vfs') {
+        this.dbName = dbName;
+        this.db = null;
+        this.userPath = 'C:\\My Documents';
+        this.root = { name: '', type: 'root', children: [], parent: null };
+    }
 
-        // YouTube Playlist (Vaporwave Mixes)
-        this.playlist = [
-            { id: 'zlXXynZtE9w', title: 'S I M P S O N W A V E 1995' },
-            { id: 'URCA3fU3q-s', title: 'Vaporwave Radio' },
-            { id: 'mgj81r6F33M', title: 'I\'m lonely - Mix' }
-        ];
-        this.currentTrackIndex = 0;
+    /**
+     * Builds the tree from config and mounts the persisted user area.
+     * @param {Array<Object>} [drives] - Drive nodes from config.json, each with nested "children".
+     * @returns {Promise<void>}
+     */
+    async init(drives = []) {
+        this.root.children = [];
+        drives.forEach(drive => this.addNode(this.root, { ...drive, type: 'drive' }));
 
-        // Backup MP3
-        // Source: Internet Archive - Macintosh Plus
-        this.backupMp3 = "https://ia803104.us.archive.org/20/items/MACINTOSHPLUS-FLORALSHOPPE_complete/01%20%E3%83%96%E3%83%BC%E3%83%88.mp3?cnt=0";
+        // The user area always exists, even with an empty config
+        let systemDrive = this.get('C:');
+        if (!systemDrive) systemDrive = this.addNode(this.root, { name: 'C:', type: 'drive', label: 'System' });
+        const userName = this.userPath.split('\\').pop();
+        if (!this.findChild(systemDrive, userName)) {
+            this.addNode(systemDrive, { name: userName, type: 'folder', icon: 'fa-solid fa-folder-open', writable: true });
+        }
 
-        // Initialize Player and UI
-        this.setupPlayer();
-        this.setupControls();
+        try {
+            this.db = await this.openDb();
+            const records = await this.dbRequest('readonly', store => store.getAll());
+            // Parents first, so every record finds its folder
+            records
+                .sort((a, b) => a.path.split('\\').length - b.path.split('\\').length)
+                .forEach(record => {
+                    const parent = this.get(this.parentPath(record.path));
+                    if (parent && parent.children) this.addNode(parent, record);
+                });
+        } catch (error) {
+            console.warn("[VFS] IndexedDB unavailable, My Documents will not persist:", error);
+            this.db = null;
+        }
+    }
 
-        // Event Listener: Cleanup resources when the window is closed
-        windowEl.addEventListener('window-closed', () => {
-            this.stopVisualizer();
+    // --- TREE HELPERS ---
 
-            // Destroy YouTube instance
-            if (youtubePlayer && typeof youtubePlayer.destroy === 'function') {
-                try { youtubePlayer.destroy(); } catch (e) { console.warn(e); }
-                youtubePlayer = null;
-            }
+    /**
+     * Adds a node (and its nested children) under a parent.
+     * @param {Object} parent - Parent node.
+     * @param {Object} data - Node data (name, type, icon, url, content, app, children...).
+     * @returns {Object} The created node.
+     */
+    addNode(parent, data) {
+        const { children, path, ...fields } = data;
+        const node = {
+            ...fields,
+            type: fields.type || (children ? 'folder' : 'link'),
+            writable: Boolean(fields.writable || parent.writable),
+            parent
+        };
+        if (node.type === 'drive' || node.type === 'folder') {
+            node.children = [];
+            (children || []).forEach(child => this.addNode(node, child));
+        }
+        parent.children.push(node);
+        return node;
+    }
 
-            // Destroy Native Audio instance
-            if (this.audioElement) {
-                this.audioElement.pause();
-                this.audioElement = null;
-            }
-        });
+    /**
+     * @param {Object} folder - Folder node.
+     * @param {string} name - Child name (case-insensitive).
+     * @returns {Object|undefined}
+     */
+    findChild(folder, name) {
+        const lower = name.toLowerCase();
+        return (folder.children || []).find(child => child.name.toLowerCase() === lower);
     }
 
     /**
-     * Determines which player engine to initialize (YouTube or Native).
+     * Returns the absolute path of a node ("" for the root, "C:\\" for a drive).
+     * @param {Object} node
+     * @returns {string}
+     */
+    pathOf(node) {
+        const names = [];
+        for (let n = node; n && n.parent; n = n.parent) names.unshift(n.name);
+        if (names.length === 1) return `${names[0]}\\`;
+        return names.join('\\');
+    }
+
+    /**
+     * Resolves a (possibly relative) path to a normalized absolute path.
+     * @param {string} path - Path such as "..\\Blog", "/c:/internet" or "A:".
+     * @param {string} [cwd] - Directory relative paths start from.
+     * @returns {string} Absolute path ("" is the root).
+     */
+    resolvePath(path, cwd = '') {
+        const clean = String(path || '').replace(/\//g, '\\').trim();
+        let base = this.splitPath(cwd);
+        if (/^[a-z]:/i.test(clean)) base = [];
+        else if (clean.startsWith('\\')) base = base.slice(0, 1); // "\\Folder" starts at the current drive
+        const parts = base.concat(this.splitPath(clean));
+
+        const stack = [];
+        parts.forEach(part => {
+            if (part === '.') return;
+            if (part === '..') stack.pop();
+            else stack.push(part);
+        });
+
+        if (stack.length === 0) return '';
+        stack[0] = stack[0].toUpperCase();
+        return stack.length === 1 ? `${stack[0]}\\` : stack.join('\\');
+    }
+
+    /**
+     * @param {string} path
+     * @returns {string[]} Non-empty path segments.
+     */
+    splitPath(path) {
+        return String(path || '').split(/[\\/]+/).filter(Boolean);
+    }
+
+    /**
+     * @param {string} path - Absolute path.
+     * @returns {string} Path of the containing folder.
+     */
+    parentPath(path) {
+        return this.resolvePath('..', path);
+    }
+
+    /**
+     * Finds the node at a path.
+     * @param {string} path - Absolute path.
+     * @returns {Object|null}
+     */
+    get(path) {
+        let node = this.root;
+        for (const name of this.splitPath(path)) {
+            node = node.children && this.findChild(node, name);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    /**
+     * Lists a folder, folders first then alphabetically.
+     * @param {string} path - Absolute path.
+     * @returns {Array<Object>}
+     */
+    list(path) {
+        const node = this.get(path);
+        if (!node) throw new FileSystemError('ENOENT', `Path not found: ${path}`);
+        if (!node.children) throw new FileSystemError('ENOTDIR', `Not a folder: ${path}`);
+        const isFolder = n => (n.children ? 0 : 1);
+        return [...node.children].sort((a, b) => isFolder(a) - isFolder(b) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {Object} node
+     * @returns {string} Icon class for the node.
+     */
+    iconFor(node) {
+        return node.icon || FILE_ICONS[node.type] || FILE_ICONS.link;
+    }
+
+    /**
+     * @param {string} path - Absolute path.
+     * @returns {boolean} Whether the path lies in the writable user area.
+     */
+    isWritable(path) {
+        const node = this.get(path);
+        return Boolean(node && node.writable);
+    }
+
+    // --- WRITE OPERATIONS (USER AREA ONLY) ---
+
+    /**
+     * Validates a new entry and returns its parent folder.
+     * @param {string} path - Absolute path of the entry to create.
+     * @returns {Object} Parent node.
+     */
+    prepareCreate(path) {
+        const name = this.splitPath(path).pop();
+        this.validateName(name);
+
+        const parent = this.get(this.parentPath(path));
+        if (!parent) throw new FileSystemError('ENOENT', `Folder not found: ${this.parentPath(path)}`);
+        if (!parent.children) throw new FileSystemError('ENOTDIR', `Not a folder: ${this.pathOf(parent)}`);
+        if (!parent.writable) throw new FileSystemError('EROFS', `${this.pathOf(parent)} is read-only`);
+        if (this.findChild(parent, name)) throw new FileSystemError('EEXIST', `Already exists: ${name}`);
+        return parent;
+    }
+
+    /**
+     * Rejects names that cannot live in the tree.
+     * @param {string} name - Entry name.
+     */
+    validateName(name) {
+        if (!name || name === '.' || name === '..' || /[\\/:*?"<>|]/.test(name)) {
+            throw new FileSystemError('EINVAL', `Invalid name: ${name || '(empty)'}`);
+        }
+    }
+
+    /**
+     * Creates a folder.
+     * @param {string} path - Absolute path.
+     * @returns {Promise<Object>} The new node.
+     */
+    async mkdir(path) {
+        const parent = this.prepareCreate(path);
+        const node = this.addNode(parent, { name: this.splitPath(path).pop(), type: 'folder' });
+        await this.persist(node);
+        return node;
+    }
+
+    /**
+     * Creates or overwrites a file.
+     * @param {string} path - Absolute path.
+     * @param {Object} data - File fields: type ('text', 'link', 'image', 'app') plus content/url/app/icon.
+     * @returns {Promise<Object>} The file node.
+     */
+    async writeFile(path, data) {
+        const existing = this.get(path);
+        if (existing) {
+            if (existing.children) throw new FileSystemError('EISDIR', `Is a folder: ${path}`);
+            if (!existing.writable) throw new FileSystemError('EROFS', `${path} is read-only`);
+            Object.assign(existing, data, { modifiedAt: Date.now() });
+            await this.persist(existing);
+            return existing;
+        }
+
+        const parent = this.prepareCreate(path);
+        const node = this.addNode(parent, { type: 'text', ...data, name: this.splitPath(path).pop(), modifiedAt: Date.now() });
+        await this.persist(node);
+        return node;
+    }
+
+    /**
+     * Deletes a file or folder (recursively).
+     * @param {string} path - Absolute path.
+     * @returns {Promise<void>}
+     */
+    async remove(path) {
+        const node = this.get(path);
+        if (!node) throw new FileSystemError('ENOENT', `Path not found: ${path}`);
+        if (!node.writable || this.pathOf(node) === this.userPath) {
+            throw new FileSystemError('EROFS', `${path} cannot be deleted`);
+        }
+        await this.unpersist(node);
+        node.parent.children.splice(node.parent.children.indexOf(node), 1);
+    }
+
+    /**
+     * Renames a file or folder in place.
+     * @param {string} path - Absolute path.
+     * @param {string} newName - New name.
+     * @returns {Promise<Object>} The renamed node.
+     */
+    async rename(path, newName) {
+        const node = this.get(path);
+        if (!node) throw new FileSystemError('ENOENT', `Path not found: ${path}`);
+        if (!node.writable || this.pathOf(node) === this.userPath) {
+            throw new FileSystemError('EROFS', `${path} cannot be renamed`);
+        }
+        this.validateName(newName);
+        if (newName.toLowerCase() !== node.name.toLowerCase()) {
+            this.prepareCreate(this.resolvePath(newName, this.pathOf(node.parent)));
+        }
+
+        await this.unpersist(node);
+        node.name = newName;
+        await this.persist(node);
+        return node;
+    }
+
+    // --- INDEXEDDB ---
+
+    /**
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDb() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB not supported"));
+                return;
+            }
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('nodes', { keyPath: 'path' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs a single request against the node store.
+     * @param {IDBTransactionMode} mode
+     * @param {Function} makeRequest - Receives the store and returns an IDBRequest.
+     * @returns {Promise<any>}
+     */
+    dbRequest(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(this.db.transaction('nodes', mode).objectStore('nodes'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Writes a node and its descendants to IndexedDB.
+     * @param {Object} node
+     * @returns {Promise<void>}
+     */
+    async persist(node) {
+        if (!this.db) return;
+        const { parent, children, ...fields } = node;
+        await this.dbRequest('readwrite', store => store.put({ ...fields, path: this.pathOf(node) }));
+        for (const child of children || []) await this.persist(child);
+    }
+
+    /**
+     * Deletes a node and its descendants from IndexedDB.
+     * @param {Object} node
+     * @returns {Promise<void>}
+     */
+    async unpersist(node) {
+        if (!this.db) return;
+        for (const child of node.children || []) await this.unpersist(child);
+        await this.dbRequest('readwrite', store => store.delete(this.pathOf(node)));
+    }
+}
+
+/**
+ * Which app opens each file type (folders, links and app shortcuts are handled by the WindowManager).
+ */
+const FILE_ASSOCIATIONS = {
+    text: 'notepad',
+    image: 'imageviewer'
+};
+
+/**
+ * The global file system instance (seeded during boot).
+ * @type {VirtualFileSystem}
+ */
+const vfs = new VirtualFileSystem();
+
+// --- CALENDAR STORE ---
+
+/**
+ * Calendar events from two sources: the read-only `calendar` section of config.json
+ * and the user's own events (added in the Calendar app or imported from .ics files),
+ * which are kept in localStorage. Dispatches `calendar-changed` on window after every change.
+ *
+ * Event shape: { id, date: "YYYY-MM-DD", endDate?, time?: "HH:MM", endTime?, title,
+ * description?, category?, url?, readOnly }.
+ */
+class CalendarStore {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the user events.
+     */
+    constructor(storageKey = 'rubensos.calendar') {
+        this.storageKey = storageKey;
+        this.weekStart = 0;
+        this.configEvents = [];
+        this.userEvents = [];
+    }
+
+    /**
+     * Loads the config events and the saved user events.
+     * @param {Object} [section] - The `calendar` section of config.json ({ weekStart, events }).
+     */
+    init(section = {}) {
+        this.weekStart = section.weekStart === 1 ? 1 : 0;
+        const events = Array.isArray(section.events) ? section.events : [];
+        this.configEvents = events
+            .map((raw, i) => this.normalize({ ...raw, id: `config-${i}` }, true))
+            .filter(Boolean);
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.userEvents = saved.map(raw => this.normalize(raw, false)).filter(Boolean);
+        } catch (error) {
+            console.warn("[Calendar] Could not read saved events:", error);
+            this.userEvents = [];
+        }
+    }
+
+    /**
+     * Validates and cleans an event.
+     * @param {Object} raw - Event fields.
+     * @param {boolean} readOnly - True for config events.
+     * @returns {Object|null} The event, or null (with a warning) if it is unusable.
+     */
+    normalize(raw, readOnly) {
+        const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+        const isTime = (v) => /^\d{2}:\d{2}$/.test(v || '');
+        if (!raw || !isDate(raw.date) || !String(raw.title || '').trim()) {
+            console.warn("[Calendar] Skipping event without a valid date and title:", raw);
+            return null;
+        }
+
+        const event = {
+            id: String(raw.id || CalendarStore.newId()),
+            date: raw.date,
+            title: String(raw.title).trim(),
+            readOnly
+        };
+        if (isDate(raw.endDate) && raw.endDate > raw.date) event.endDate = raw.endDate;
+        if (isTime(raw.time)) event.time = raw.time;
+        if (event.time && isTime(raw.endTime)) event.endTime = raw.endTime;
+        ['description', 'category'].forEach(key => {
+            if (raw[key]) event[key] = String(raw[key]);
+        });
+        // The link is rendered as <a href>: only web pages, never javascript: and friends
+        if (raw.url && CalendarStore.isWebUrl(String(raw.url))) event.url = String(raw.url);
+        return event;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {boolean} Whether it is an absolute http(s) URL.
+     */
+    static isWebUrl(url) {
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @returns {string} A new unique event id.
+     */
+    static newId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * @returns {Array<Object>} Every event, sorted by date then time (all-day first).
+     */
+    list() {
+        return [...this.configEvents, ...this.userEvents].sort((a, b) =>
+            a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
+    }
+
+    /**
+     * @param {string} dateKey - "YYYY-MM-DD".
+     * @returns {Array<Object>} Events on that day (including multi-day events spanning it).
+     */
+    forDate(dateKey) {
+        return this.list().filter(e => e.date <= dateKey && dateKey <= (e.endDate || e.date));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.list().find(e => e.id === id);
+    }
+
+    /**
+     * Adds a user event, or updates one when `fields.id` matches.
+     * @param {Object} fields - Event fields.
+     * @returns {Object} The stored event.
+     * @throws {Error} If the event is read-only or invalid.
+     */
+    save(fields) {
+        const existing = fields.id ? this.get(fields.id) : null;
+        if (existing && existing.readOnly) throw new Error("Events from config.json cannot be edited");
+
+        const event = this.normalize(fields, false);
+        if (!event) throw new Error("An event needs a title and a date");
+
+        const index = this.userEvents.findIndex(e => e.id === event.id);
+        if (index >= 0) this.userEvents[index] = event;
+        else this.userEvents.push(event);
+        this.commit();
+        return event;
+    }
+
+    /**
+     * Deletes a user event.
+     * @param {string} id
+     * @throws {Error} If the event is read-only.
+     */
+    remove(id) {
+        const event = this.get(id);
+        if (event && event.readOnly) throw new Error("Events from config.json cannot be deleted");
+        this.userEvents = this.userEvents.filter(e => e.id !== id);
+        this.commit();
+    }
+
+    /**
+     * Persists the user events and notifies open calendars.
+     */
+    commit() {
+        try {
+            const saved = this.userEvents.map(({ readOnly, ...fields }) => fields);
+            localStorage.setItem(this.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.warn("[Calendar] Could not save events:", error);
+            notifications.notify({ type: 'error', title: 'Calendar', message: 'Could not save your events.' });
+        }
+        window.dispatchEvent(new CustomEvent('calendar-changed'));
+    }
+
+    /**
+     * Imports the VEVENTs of an iCalendar file as user events.
+     * Events whose UID is already known are updated instead of duplicated.
+     * @param {string} text - .ics file content.
+     * @returns {Array<Object>} The events stored (VEVENTs that normalize rejected are left out).
+     */
+    importIcs(text) {
+        const imported = CalendarStore.parseIcs(text)
+            .map(raw => this.normalize(raw, false))
+            .filter(Boolean)
+            // An exported config event comes back with its config id: store an editable copy
+            // under its own id (stable, so importing the file again updates that copy)
+            .map(event => (this.configEvents.some(e => e.id === event.id) ? { ...event, id: `imported-${event.id}` } : event));
+        imported.forEach(event => {
+            const index = this.userEvents.findIndex(e => e.id === event.id);
+            if (index >= 0) this.userEvents[index] = event;
+            else this.userEvents.push(event);
+        });
+        if (imported.length) this.commit();
+        return imported;
+    }
+
+    /**
+     * Parses the VEVENTs of an iCalendar (RFC 5545) file. UTC times are converted to
+     * local time; TZID times are read as local time.
+     * @param {string} text - .ics file content.
+     * @returns {Array<Object>} Raw event fields (see normalize).
+     */
+    static parseIcs(text) {
+        // Unfold continuation lines (CRLF followed by a space or tab)
+        const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const unescape = (v) => v.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+        const events = [];
+        let current = null;
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                current = {};
+                return;
+            }
+            if (line === 'END:VEVENT') {
+                if (current) events.push(current);
+                current = null;
+                return;
+            }
+            if (!current) return;
+
+            const colon = line.indexOf(':');
+            if (colon < 0) return;
+            const [name, ...params] = line.slice(0, colon).split(';');
+            const value = line.slice(colon + 1);
+
+            switch (name.toUpperCase()) {
+                // Our own exports keep their id, so re-importing them updates instead of duplicating
+                case 'UID': current.id = value.endsWith('@rubensos') ? value.slice(0, -9) : `ics-${value}`; break;
+                case 'SUMMARY': current.title = unescape(value); break;
+                case 'DESCRIPTION': current.description = unescape(value); break;
+                case 'URL': current.url = value; break;
+                case 'DTSTART': current.start = CalendarStore.parseIcsDate(value, params); break;
+                case 'DTEND': current.end = CalendarStore.parseIcsDate(value, params); break;
+            }
+        });
+
+        return events.filter(e => e.start).map(({ start, end, ...fields }) => {
+            const event = { ...fields, date: start.date };
+            if (start.time) {
+                event.time = start.time;
+                if (end && end.time) {
+                    event.endTime = end.time;
+                    if (end.date > start.date) event.endDate = end.date;
+                }
+            } else if (end) {
+                // All-day DTEND is exclusive
+                const last = CalendarStore.addDays(end.date, -1);
+                if (last > start.date) event.endDate = last;
+            }
+            return event;
+        });
+    }
+
+    /**
+     * @param {string} value - e.g. "20261105", "20261105T140000" or "20261105T140000Z".
+     * @param {string[]} params - Property parameters (VALUE=DATE, TZID=...).
+     * @returns {{date: string, time?: string}|null}
+     */
+    static parseIcsDate(value, params) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+        if (!match) return null;
+        const [, y, mo, d, h, mi, , utc] = match;
+        if (h === undefined || params.includes('VALUE=DATE')) return { date: `${y}-${mo}-${d}` };
+
+        if (utc) {
+            const local = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi));
+            return { date: CalendarStore.dateKey(local), time: `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}` };
+        }
+        return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}` };
+    }
+
+    /**
+     * Serializes events as an iCalendar file.
+     * @param {Array<Object>} [events] - Defaults to every event.
+     * @returns {string}
+     */
+    toIcs(events = this.list()) {
+        const escape = (v) => v.replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\n/g, '\\n');
+        const compact = (date, time) => date.replace(/-/g, '') + (time ? `T${time.replace(':', '')}00` : '');
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        // Lines longer than 75 characters are folded onto continuation lines
+        const fold = (line) => line.match(/.{1,74}/g).join('\r\n ');
+
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//RubensOS//Calendar//EN', 'CALSCALE:GREGORIAN'];
+        events.forEach(event => {
+            const uid = event.id.startsWith('ics-') ? event.id.slice(4) : `${event.id}@rubensos`;
+            lines.push('BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${stamp}`);
+            if (event.time) {
+                lines.push(`DTSTART:${compact(event.date, event.time)}`);
+                if (event.endTime) lines.push(`DTEND:${compact(event.endDate || event.date, event.endTime)}`);
+            } else {
+                lines.push(`DTSTART;VALUE=DATE:${compact(event.date)}`);
+                lines.push(`DTEND;VALUE=DATE:${compact(CalendarStore.addDays(event.endDate || event.date, 1))}`);
+            }
+            lines.push(`SUMMARY:${escape(event.title)}`);
+            if (event.description) lines.push(`DESCRIPTION:${escape(event.description)}`);
+            if (event.url) lines.push(`URL:${event.url}`);
+            lines.push('END:VEVENT');
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(fold).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} Local "YYYY-MM-DD".
+     */
+    static dateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * @param {string} dateKey - "YYYY-MM-DD".
+     * @param {number} days - Days to add (may be negative).
+     * @returns {string}
+     */
+    static addDays(dateKey, days) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return CalendarStore.dateKey(new Date(y, m - 1, d + days));
+    }
+}
+
+/**
+ * The global calendar instance (seeded during boot).
+ * @type {CalendarStore}
+ */
+const calendarStore = new CalendarStore();
+
+// --- MUSIC LIBRARY ---
+
+/**
+ * Winamp's playlist and skins, seeded from the "music" section of config.json:
+ * { "playlist": [{ "title", "artist", "youtube", "url", "order" }], "fallback": { "title", "url" },
+ *   "skins": [{ "name", "url" }] }.
+ * A track needs a YouTube ID, a direct audio URL, or both; "order" (e.g. ["url", "youtube"])
+ * says which source to try first (YouTube by default). When a track has no source left
+ * that the player can use, the fallback URL plays instead.
+ * Skins are .wsz files, downloaded and unpacked once when a player first picks them;
+ * skins dropped on a player join the list until the page is closed.
+ * Dispatches `winamp-skins-changed` on window when a skin is added.
+ */
+class MusicLibrary {
+    constructor() {
+        this.playlist = MusicLibrary.DEFAULT_PLAYLIST.map(entry => MusicLibrary.normalize(entry));
+        this.fallback = { ...MusicLibrary.DEFAULT_FALLBACK };
+        this.skins = [];             // [{ name, url }]; dropped skins have no url
+        this.skinCache = new Map();  // Skin name -> Promise<WinampSkin>
+    }
+
+    /**
+     * Loads the "music" section of config.json. Without a usable playlist the defaults stay.
+     * @param {Object} section
+     */
+    init(section) {
+        const entries = Array.isArray(section.playlist) ? section.playlist : [];
+        const tracks = entries.map(entry => MusicLibrary.normalize(entry)).filter(Boolean);
+        if (tracks.length < entries.length) {
+            console.warn(`[Music] Skipped ${entries.length - tracks.length} playlist entries without a "youtube" ID or "url"`);
+        }
+        if (tracks.length) this.playlist = tracks;
+
+        const fallback = section.fallback;
+        if (fallback && typeof fallback.url === 'string' && fallback.url) {
+            this.fallback = { title: String(fallback.title || fallback.url), url: fallback.url };
+        }
+
+        const skins = Array.isArray(section.skins) ? section.skins : [];
+        this.skins = skins
+            .filter(skin => skin && typeof skin.url === 'string' && skin.url)
+            .map(skin => ({ name: String(skin.name || MusicLibrary.fileName(skin.url)), url: skin.url }));
+    }
+
+    /**
+     * Downloads and unpacks a skin (once; players share it).
+     * @param {string} name - Skin name.
+     * @returns {Promise<WinampSkin>}
+     */
+    loadSkin(name) {
+        if (!this.skinCache.has(name)) {
+            const entry = this.skins.find(skin => skin.name === name);
+            if (!entry || !entry.url) return Promise.reject(new Error("Unknown skin"));
+
+            const loading = fetch(entry.url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.arrayBuffer();
+                })
+                .then(buffer => WinampSkin.load(buffer, name));
+            loading.catch(() => this.skinCache.delete(name)); // Let the next attempt retry
+            this.skinCache.set(name, loading);
+        }
+        return this.skinCache.get(name);
+    }
+
+    /**
+     * Adds a skin from a dropped or picked .wsz file (replacing a dropped skin of the same name).
+     * @param {File} file
+     * @returns {Promise<WinampSkin>}
+     */
+    addSkin(file) {
+        const name = file.name.replace(/\.wsz$/i, '');
+        const loading = file.arrayBuffer().then(buffer => WinampSkin.load(buffer, name));
+        this.skinCache.set(name, loading);
+        loading.then(() => {
+            if (this.skins.some(skin => skin.name === name)) return;
+            this.skins.push({ name, url: null });
+            window.dispatchEvent(new CustomEvent('winamp-skins-changed'));
+        }, () => this.skinCache.delete(name));
+        return loading;
+    }
+
+    /**
+     * @returns {Object[]} A copy of the playlist (players mark tracks as they go).
+     */
+    tracks() {
+        return this.playlist.map(track => ({ ...track, sources: [...track.sources] }));
+    }
+
+    /**
+     * @param {Object} entry - Raw playlist entry.
+     * @returns {Object|null} Track with `sources` listing its sources in the order to try, or null if it has none.
+     */
+    static normalize(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+        const youtube = typeof entry.youtube === 'string' ? entry.youtube.trim() : '';
+        const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+        if (!youtube && !url) return null;
+
+        const available = ['youtube', 'url'].filter(source => (source === 'youtube' ? youtube : url));
+        const preferred = Array.isArray(entry.order) ? entry.order.filter(source => available.includes(source)) : [];
+        return {
+            title: String(entry.title || youtube || MusicLibrary.fileName(url)),
+            artist: entry.artist ? String(entry.artist) : '',
+            youtube: youtube || null,
+            url: url || null,
+            sources: [...new Set([...preferred, ...available])],
+            artwork: typeof entry.artwork === 'string' && entry.artwork ? entry.artwork : null,
+            local: Boolean(entry.local),
+            imported: Boolean(entry.imported)
+        };
+    }
+
+    /**
+     * @param {string} url
+     * @returns {string} The decoded file name at the end of a URL, without extension.
+     */
+    static fileName(url) {
+        const name = url.split(/[?#]/)[0].split('/').pop() || url;
+        try {
+            return decodeURIComponent(name).replace(/\.[^.]+$/, '');
+        } catch (error) {
+            return name;
+        }
+    }
+}
+
+MusicLibrary.DEFAULT_PLAYLIST = [
+    { youtube: 'zlXXynZtE9w', title: 'S I M P S O N W A V E 1995' },
+    { youtube: 'URCA3fU3q-s', title: 'Vaporwave Radio' },
+    { youtube: 'mgj81r6F33M', title: 'I\'m lonely - Mix' }
+];
+// Source: Internet Archive - Macintosh Plus
+MusicLibrary.DEFAULT_FALLBACK = {
+    title: 'Macintosh Plus - Floral Shoppe (MP3)',
+    url: 'https://ia803104.us.archive.org/20/items/MACINTOSHPLUS-FLORALSHOPPE_complete/01%20%E3%83%96%E3%83%BC%E3%83%88.mp3?cnt=0'
+};
+
+/**
+ * The global playlist (seeded during boot).
+ * @type {MusicLibrary}
+ */
+const musicLibrary = new MusicLibrary();
+
+// --- THEME MANAGER ---
+
+/**
+ * Display settings: a theme (a set of CSS custom properties for the desktop chrome),
+ * the wallpaper and the CRT monitor effect. Defaults come from the "display" section of
+ * config.json: { "theme": "win95", "wallpaper": { "type": "solid", "color": "#008080" },
+ * "crt": { "enabled": true, "strength": 1, "scanlines": 0.25, "flicker": 0 } };
+ * the user's choices in Display Properties are saved in localStorage on top of them.
+ * Dispatches `display-changed` on window whenever the settings are applied.
+ */
+class ThemeManager {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the user's settings.
+     */
+    constructor(storageKey = 'rubensos.display') {
+        this.storageKey = storageKey;
+        this.defaults = ThemeManager.normalize({});
+        this.settings = this.defaults;
+    }
+
+    /**
+     * Reads the config defaults and the saved settings, and applies them.
+     * @param {Object} section - The "display" section of config.json.
+     * @param {boolean} [useSaved=true] - False ignores the saved settings (Safe Mode) without deleting them.
+     */
+    init(section, useSaved = true) {
+        if (section.theme && !ThemeManager.THEMES[section.theme]) {
+            console.warn(`[Display] Unknown theme "${section.theme}", using the default`);
+        }
+        this.defaults = ThemeManager.normalize(section);
+        this.settings = ThemeManager.normalize((useSaved && this.load()) || {}, this.defaults);
+        this.apply();
+    }
+
+    /**
+     * @returns {Object|null} Saved settings, or null if none (or unreadable).
+     */
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn("[Display] Could not read display settings:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Applies and saves new settings.
+     * @param {Object} settings - Full or partial settings (missing parts keep their current value).
+     * @returns {boolean} False if the browser refused to save them (e.g. a huge uploaded wallpaper).
+     */
+    update(settings) {
+        this.settings = ThemeManager.normalize(settings, this.settings);
+        this.apply();
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+            return true;
+        } catch (error) {
+            console.warn("[Display] Could not save display settings:", error);
+            return false;
+        }
+    }
+
+    /**
+     * Pushes the current settings to the page.
+     */
+    apply() {
+        const root = document.documentElement;
+        Object.entries(ThemeManager.variables(this.settings)).forEach(([name, value]) => root.style.setProperty(name, value));
+        root.dataset.theme = this.settings.theme;
+
+        const crt = document.getElementById('crt-layer');
+        if (crt) {
+            crt.classList.toggle('crt-off', !this.settings.crt.enabled);
+            crt.classList.toggle('crt-flicker', this.settings.crt.flicker > 0);
+        }
+        window.dispatchEvent(new CustomEvent('display-changed', { detail: { settings: this.settings } }));
+    }
+
+    /**
+     * Turns the CRT effect on or off (menu, terminal), keeping its other settings.
+     * @param {boolean} on
+     */
+    setCrt(on) {
+        this.update({ crt: { ...this.settings.crt, enabled: on } });
+    }
+
+    /**
+     * All CSS custom properties for some settings. Also used to preview settings on
+     * a single element before applying them to the page.
+     * @param {Object} settings - Normalized settings.
+     * @returns {Object<string, string>} Property name -> value.
+     */
+    static variables(settings) {
+        const theme = ThemeManager.THEMES[settings.theme];
+        return {
+            ...theme.variables,
+            '--desktop-bg': ThemeManager.wallpaperCss(settings.wallpaper, theme),
+            '--crt-strength': String(settings.crt.strength),
+            '--crt-scanlines': String(settings.crt.scanlines),
+            '--crt-flicker': String(settings.crt.flicker)
+        };
+    }
+
+    /**
+     * @param {Object} wallpaper - Normalized wallpaper settings.
+     * @param {Object} theme - Entry of THEMES (for the "theme" wallpaper).
+     * @returns {string} CSS background shorthand.
+     */
+    static wallpaperCss(wallpaper, theme) {
+        const { type, color, color2, angle, image, fit } = wallpaper;
+        if (type === 'solid') return color;
+        if (type === 'gradient') return `linear-gradient(${angle}deg, ${color}, ${color2})`;
+        if (type === 'image' && image) {
+            const url = `url("${image.replace(/["\\]/g, encodeURIComponent)}")`;
+            const layouts = {
+                tile: 'top left / auto repeat',
+                center: 'center / auto no-repeat',
+                stretch: 'center / 100% 100% no-repeat',
+                cover: 'center / cover no-repeat'
+            };
+            return `${url} ${layouts[fit]} ${color}`;
+        }
+        return theme.variables['--bg-gradient'];
+    }
+
+    /**
+     * Fills in and validates settings.
+     * @param {Object} settings - Raw settings (config, localStorage or the dialog).
+     * @param {Object} [base] - Normalized settings supplying anything missing.
+     * @returns {{theme: string, wallpaper: Object, crt: Object}}
+     */
+    static normalize(settings, base = ThemeManager.DEFAULTS) {
+        const source = settings && typeof settings === 'object' ? settings : {};
+        const wallpaper = { ...base.wallpaper, ...(source.wallpaper || {}) };
+        const crt = { ...base.crt, ...(source.crt || {}) };
+        const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{3,8}$/i.test(value);
+        const clamp = (value, min, max, fallback) => (Number.isFinite(Number(value)) ? Math.min(max, Math.max(min, Number(value))) : fallback);
+
+        return {
+            theme: ThemeManager.THEMES[source.theme] ? source.theme : base.theme,
+            wallpaper: {
+                type: ThemeManager.WALLPAPER_TYPES.includes(wallpaper.type) ? wallpaper.type : base.wallpaper.type,
+                color: isColor(wallpaper.color) ? wallpaper.color : base.wallpaper.color,
+                color2: isColor(wallpaper.color2) ? wallpaper.color2 : base.wallpaper.color2,
+                angle: clamp(wallpaper.angle, 0, 360, base.wallpaper.angle),
+                image: typeof wallpaper.image === 'string' ? wallpaper.image : '',
+                fit: ThemeManager.WALLPAPER_FITS.includes(wallpaper.fit) ? wallpaper.fit : base.wallpaper.fit
+            },
+            crt: {
+                enabled: typeof crt.enabled === 'boolean' ? crt.enabled : base.crt.enabled,
+                strength: clamp(crt.strength, 0, 1, base.crt.strength),
+                scanlines: clamp(crt.scanlines, 0, 0.6, base.crt.scanlines),
+                flicker: clamp(crt.flicker, 0, 1, base.crt.flicker)
+            }
+        };
+    }
+}
+
+ThemeManager.WALLPAPER_TYPES = ['theme', 'solid', 'gradient', 'image'];
+ThemeManager.WALLPAPER_FITS = ['tile', 'center', 'stretch', 'cover'];
+ThemeManager.DEFAULTS = {
+    theme: 'vaporwave',
+    wallpaper: { type: 'theme', color: '#008080', color2: '#7597de', angle: 135, image: '', fit: 'cover' },
+    crt: { enabled: true, strength: 1, scanlines: 0.25, flicker: 0 }
+};
+// Every theme sets every variable, so a preview never inherits the current theme's colors
+ThemeManager.THEMES = {
+    vaporwave: {
+        label: 'Vaporwave',
+        variables: {
+            '--bg-gradient': 'linear-gradient(135deg, #2b1055, #7597de)',
+            '--win-bg': 'rgba(224, 224, 224, 0.95)',
+            '--win-header': 'linear-gradient(90deg, #ff00ff, #00ffff)',
+            '--win-border-light': '#fff',
+            '--win-border-dark': '#404040',
+            '--accent-pink': '#ff00ff',
+            '--accent-cyan': '#00ffff',
+            '--chrome-bg': '#c0c0c0',
+            '--chrome-text': '#000',
+            '--chrome-active': '#e0e0e0',
+            '--select-bg': '#000080',
+            '--select-text': '#fff',
+            '--win-text': '#000',
+            '--title-text': '#fff',
+            '--field-bg': '#fff',
+            '--field-text': '#000',
+            '--desktop-text': '#fff',
+            '--icon-color': '#00ffff',
+            '--icon-glow': '#ff00ff'
+        }
+    },
+    win95: {
+        label: 'Windows 95',
+        variables: {
+            '--bg-gradient': '#008080',
+            '--win-bg': '#c0c0c0',
+            '--win-header': 'linear-gradient(90deg, #000080, #1084d0)',
+            '--win-border-light': '#fff',
+            '--win-border-dark': '#404040',
+            '--accent-pink': '#000080',
+            '--accent-cyan': '#008080',
+            '--chrome-bg': '#c0c0c0',
+            '--chrome-text': '#000',
+            '--chrome-active': '#dfdfdf',
+            '--select-bg': '#000080',
+            '--select-text': '#fff',
+            '--win-text': '#000',
+            '--title-text': '#fff',
+            '--field-bg': '#fff',
+            '--field-text': '#000',
+            '--desktop-text': '#fff',
+            '--icon-color': '#ffffc0',
+            '--icon-glow': 'transparent'
+        }
+    },
+    dark: {
+        label: 'Dark',
+        variables: {
+            '--bg-gradient': 'linear-gradient(160deg, #0b0b12, #1f1f2e)',
+            '--win-bg': 'rgba(36, 36, 46, 0.97)',
+            '--win-header': 'linear-gradient(90deg, #3a3a52, #5b5b7a)',
+            '--win-border-light': '#5a5a6a',
+            '--win-border-dark': '#08080c',
+            '--accent-pink': '#c792ea',
+            '--accent-cyan': '#7fdbff',
+            '--chrome-bg': '#26262f',
+            '--chrome-text': '#e4e4e4',
+            '--chrome-active': '#3b3b48',
+            '--select-bg': '#4f4f9a',
+            '--select-text': '#fff',
+            '--win-text': '#e4e4e4',
+            '--title-text': '#fff',
+            '--field-bg': '#15151c',
+            '--field-text': '#e4e4e4',
+            '--desktop-text': '#e4e4e4',
+            '--icon-color': '#7fdbff',
+            '--icon-glow': '#000'
+        }
+    },
+    'high-contrast': {
+        label: 'High Contrast',
+        variables: {
+            '--bg-gradient': '#000',
+            '--win-bg': '#000',
+            '--win-header': '#800080',
+            '--win-border-light': '#fff',
+            '--win-border-dark': '#fff',
+            '--accent-pink': '#ffff00',
+            '--accent-cyan': '#00ffff',
+            '--chrome-bg': '#000',
+            '--chrome-text': '#fff',
+            '--chrome-active': '#800080',
+            '--select-bg': '#ffff00',
+            '--select-text': '#000',
+            '--win-text': '#fff',
+            '--title-text': '#fff',
+            '--field-bg': '#000',
+            '--field-text': '#fff',
+            '--desktop-text': '#fff',
+            '--icon-color': '#ffff00',
+            '--icon-glow': 'transparent'
+        }
+    }
+};
+
+/**
+ * The global display settings (initialized during boot).
+ * @type {ThemeManager}
+ */
+const themeManager = new ThemeManager();
+
+// --- BOOT SEQUENCE ---
+
+/**
+ * Options changed in the BIOS setup screen, kept in localStorage:
+ * { safeMode, cleanBoot, quickBoot }.
+ */
+class BootSettingsStore {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the options.
+     */
+    constructor(storageKey = 'rubensos.boot') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * @returns {{safeMode: boolean, cleanBoot: boolean, quickBoot: boolean}} Saved options over the defaults.
+     */
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn("[Boot] Could not read boot settings:", error);
+        }
+        const settings = { ...BootSettingsStore.DEFAULTS };
+        Object.keys(settings).forEach(key => {
+            if (typeof saved[key] === 'boolean') settings[key] = saved[key];
+        });
+        return settings;
+    }
+
+    /**
+     * @param {Object} settings - Options to keep.
+     * @returns {boolean} False if the browser refused to save them.
+     */
+    save(settings) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+            return true;
+        } catch (error) {
+            console.warn("[Boot] Could not save boot settings:", error);
+            return false;
+        }
+    }
+}
+
+BootSettingsStore.DEFAULTS = { safeMode: false, cleanBoot: false, quickBoot: false };
+
+/**
+ * The BIOS boot screen: runs the real boot steps one by one, logging each as OK, FAIL or SKIP
+ * and moving the progress bar. Any key skips the animation; DEL or F2 asks for the setup screen,
+ * which opens once the steps are done.
+ */
+class BootScreen {
+    /**
+     * @param {HTMLElement} el - The #boot-screen element.
+     * @param {BootSettingsStore} settingsStore - Options shown in the setup screen.
+     */
+    constructor(el, settingsStore) {
+        this.el = el;
+        this.settingsStore = settingsStore;
+        this.skipped = false;
+        this.setupRequested = false;
+        this.wakeUp = null; // Ends the current animation pause early
+
+        this.onKeyDown = (e) => {
+            // Nothing reaches the desktop (shortcuts, Konami code) while the boot screen is up
+            e.stopPropagation();
+            if (this.setup) {
+                this.setup.onKeyDown(e);
+                return;
+            }
+            e.preventDefault();
+            if (BootScreen.SETUP_KEYS.includes(e.key)) this.requestSetup();
+            this.skip();
+        };
+    }
+
+    /**
+     * Shows the boot screen and starts listening for the skip and setup keys.
+     * @param {{quick: boolean}} [options] - quick: no animation pauses at all.
+     */
+    start({ quick = false } = {}) {
+        this.skipped = quick;
+        this.el.hidden = false;
+        this.query('.boot-log').innerHTML = '';
+        this.setProgress(0);
+        window.addEventListener('keydown', this.onKeyDown, true);
+        this.el.addEventListener('click', (e) => {
+            if (e.target.closest('.boot-setup-hint')) this.requestSetup();
+            if (!e.target.closest('.bios-setup')) this.skip();
+        });
+    }
+
+    /**
+     * @param {string} selector - CSS selector.
+     * @returns {HTMLElement|null} First match inside the boot screen.
+     */
+    query(selector) {
+        return this.el.querySelector(selector);
+    }
+
+    /**
+     * Runs the boot steps in order. A failing step is logged and the boot goes on without it.
+     * @param {Array<{label: string, run: function(): (Promise<*>|*), skip: (boolean|undefined)}>} steps
+     * @returns {Promise<Array<{label: string, error: Error}>>} The steps that failed.
+     */
+    async run(steps) {
+        const failures = [];
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const line = this.log(step.label);
+            if (step.skip) {
+                this.setStatus(line, 'SKIP');
+            } else {
+                try {
+                    await step.run();
+                    this.setStatus(line, 'OK');
+                } catch (error) {
+                    console.warn(`[Boot] ${step.label} failed:`, error);
+                    this.setStatus(line, 'FAIL', error.message);
+                    failures.push({ label: step.label, error });
+                }
+            }
+            this.setProgress((i + 1) / steps.length);
+            await this.pause(BootScreen.STEP_DELAY);
+        }
+        return failures;
+    }
+
+    /**
+     * Adds a "> label..." line to the boot log.
+     * @param {string} label - Step name.
+     * @returns {HTMLElement} The log line.
+     */
+    log(label) {
+        const line = document.createElement('li');
+        line.textContent = `> ${label}... `;
+        this.query('.boot-log').appendChild(line);
+        return line;
+    }
+
+    /**
+     * @param {HTMLElement} line - Log line from log().
+     * @param {string} status - 'OK', 'FAIL' or 'SKIP'.
+     * @param {string} [detail] - Why it failed.
+     */
+    setStatus(line, status, detail) {
+        const span = document.createElement('span');
+        span.className = `boot-status boot-${status.toLowerCase()}`;
+        span.textContent = detail ? `${status} (${detail})` : status;
+        line.appendChild(span);
+    }
+
+    /**
+     * @param {number} fraction - 0 to 1.
+     */
+    setProgress(fraction) {
+        const bar = this.query('.progress');
+        bar.style.width = `${Math.round(fraction * 100)}%`;
+        bar.parentElement.setAttribute('aria-valuenow', String(Math.round(fraction * 100)));
+    }
+
+    /**
+     * Waits a moment so the log can be read, unless the animation was skipped.
+     * @param {number} ms - Delay.
+     * @returns {Promise<void>}
+     */
+    pause(ms) {
+        if (this.skipped) return Promise.resolve();
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.wakeUp = null;
+                resolve();
+            }, ms);
+            this.wakeUp = () => {
+                clearTimeout(timer);
+                this.wakeUp = null;
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Drops the remaining animation pauses.
+     */
+    skip() {
+        this.skipped = true;
+        if (this.wakeUp) this.wakeUp();
+    }
+
+    /**
+     * Opens the setup screen when the boot steps are done.
+     */
+    requestSetup() {
+        if (this.setupRequested) return;
+        this.setupRequested = true;
+        this.log('Entering SETUP');
+    }
+
+    /**
+     * Holds the final log on screen, runs the setup screen if it was asked for, then hides the boot screen.
+     * Saving in the setup screen reboots, so this only resolves when the boot carries on.
+     * @returns {Promise<void>}
+     */
+    async finish() {
+        await this.pause(BootScreen.FINISH_DELAY);
+        if (this.setupRequested) {
+            this.setup = new BiosSetup(this.query('.bios-setup'), this.settingsStore);
+            this.query('.boot-content').hidden = true;
+            await this.setup.run();
+            this.setup = null;
+        }
+        window.removeEventListener('keydown', this.onKeyDown, true);
+        this.el.hidden = true;
+    }
+
+    /**
+     * Rejects if the promise does not settle in time.
+     * @param {Promise<*>} promise - Work to wait for.
+     * @param {number} ms - Time limit.
+     * @returns {Promise<*>} The promise's result.
+     */
+    static withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${ms / 1000}s`)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Waits for a <link rel="stylesheet"> from the page head to load.
+     * @param {string} selector - Selects the link element.
+     * @returns {Promise<void>}
+     */
+    static waitForStylesheet(selector) {
+        const link = document.querySelector(selector);
+        if (!link) return Promise.reject(new Error("stylesheet missing"));
+        if (link.sheet) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            link.addEventListener('load', () => resolve(), { once: true });
+            link.addEventListener('error', () => reject(new Error("stylesheet did not load")), { once: true });
+        });
+    }
+
+    /**
+     * Downloads a web font declared by a stylesheet.
+     * @param {string} font - CSS font shorthand, e.g. '1em VT323'.
+     * @returns {Promise<void>} Rejects if no @font-face matches (its stylesheet failed) or the download fails.
+     */
+    static async loadFont(font) {
+        if (!document.fonts) throw new Error("font loading not supported");
+        const faces = await document.fonts.load(font);
+        if (faces.length === 0) throw new Error(`${font.replace(/^.*?1em /, '')} not found`);
+    }
+}
+
+BootScreen.STEP_DELAY = 250; // ms each log line stays alone on screen
+BootScreen.FINISH_DELAY = 400; // ms the full log stays up before the desktop appears
+BootScreen.SETUP_KEYS = ['Delete', 'F2'];
+
+/**
+ * The BIOS-style setup screen: a keyboard-driven list of boot options.
+ * Arrows pick an option, Enter/Space/←/→ change it, F10 saves and reboots, Esc exits without saving.
+ */
+class BiosSetup {
+    /**
+     * @param {HTMLElement} el - The .bios-setup element.
+     * @param {BootSettingsStore} settingsStore - Where the options are saved.
+     */
+    constructor(el, settingsStore) {
+        this.el = el;
+        this.settingsStore = settingsStore;
+        this.settings = settingsStore.load();
+    }
+
+    /**
+     * Shows the screen until the user leaves it.
+     * @returns {Promise<void>} Resolves on "Exit Without Saving"; saving reloads the page instead.
+     */
+    run() {
+        return new Promise(resolve => {
+            this.exit = resolve;
+            this.el.hidden = false;
+            this.render();
+            this.el.querySelector('.bios-save').addEventListener('click', () => this.saveAndExit());
+            this.el.querySelector('.bios-discard').addEventListener('click', () => this.discard());
+            this.el.querySelector('.bios-option').focus();
+        });
+    }
+
+    /**
+     * Draws the option list and the help text of the focused option.
+     */
+    render() {
+        const list = this.el.querySelector('.bios-options');
+        const focused = document.activeElement && document.activeElement.dataset.key;
+        list.innerHTML = BiosSetup.OPTIONS.map(option => `
+            <button class="bios-option" data-key="${option.key}">
+                <span>${option.label}</span>
+                <span class="bios-value">[${this.settings[option.key] ? 'Enabled' : 'Disabled'}]</span>
+            </button>
+        `).join('');
+        list.querySelectorAll('.bios-option').forEach(button => {
+            button.addEventListener('click', () => this.toggle(button.dataset.key));
+            button.addEventListener('focus', () => this.showHelp(button.dataset.key));
+        });
+        const restore = focused && list.querySelector(`[data-key="${focused}"]`);
+        if (restore) restore.focus();
+    }
+
+    /**
+     * @param {string} key - Option whose description goes in the help box.
+     */
+    showHelp(key) {
+        const option = BiosSetup.OPTIONS.find(o => o.key === key);
+        this.el.querySelector('.bios-item-help').textContent = option ? option.help : '';
+    }
+
+    /**
+     * @param {string} key - Option to flip.
+     */
+    toggle(key) {
+        this.settings[key] = !this.settings[key];
+        this.render();
+    }
+
+    /**
+     * Gets its keys from the BootScreen, which keeps them away from the desktop.
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        const buttons = [...this.el.querySelectorAll('button')];
+        const index = buttons.indexOf(document.activeElement);
+        const option = document.activeElement.closest('.bios-option');
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            buttons[(index + step + buttons.length) % buttons.length].focus();
+        } else if (option && ['ArrowLeft', 'ArrowRight', '+', '-'].includes(e.key)) {
+            this.toggle(option.dataset.key);
+        } else if (e.key === 'F10') {
+            this.saveAndExit();
+        } else if (e.key === 'Escape') {
+            this.discard();
+        } else {
+            return; // Enter/Space click the focused button
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Saves the options and reboots with them.
+     */
+    saveAndExit() {
+        this.settingsStore.save(this.settings);
+        location.reload();
+    }
+
+    /**
+     * Leaves the setup screen and carries on booting with the current options.
+     */
+    discard() {
+        this.el.hidden = true;
+        this.exit();
+    }
+}
+
+BiosSetup.OPTIONS = [
+    { key: 'safeMode', label: 'Safe Mode', help: 'Boots with the default display settings, no saved windows and no YouTube (WinAmp plays the backup MP3s). Your saved session is kept for later.' },
+    { key: 'cleanBoot', label: 'Clean Boot', help: 'Starts every boot with an empty desktop instead of reopening the last session\'s windows.' },
+    { key: 'quickBoot', label: 'Quick Boot', help: 'Skips the boot animation. The steps are still checked and logged.' }
+];
+
+// --- SYSTEM LOADER ---
+
+/**
+ * Handles the initial system boot process and configuration loading.
+ */
+class SystemLoader {
+    /**
+     * @param {WindowManager} windowManager - The instance of the window manager.
+     */
+    constructor(windowManager) {
+        this.windowManager = windowManager;
+        this.configPath = 'config.json';
+        this.config = {};
+        this.bootSettings = new BootSettingsStore();
+        this.bootScreen = new BootScreen(document.getElementById('boot-screen'), this.bootSettings);
+        this.sessionStore = new SessionStore();
+        this.saveSessionOnExit = true;
+        this.keyboard = new KeyboardManager(windowManager);
+        this.desktop = new Desktop(windowManager);
+    }
+
+    /**
+     * Initiates the boot sequence: runs the boot steps on the BIOS screen, renders UI,
+     * then restores the last session. Failed steps are skipped and reported (degraded mode).
+     * @returns {Promise<void>}
+     */
+    async boot() {
+        const options = this.bootSettings.load();
+        // Safe Mode leaves the saved session alone for the next normal boot
+        this.saveSessionOnExit = !options.safeMode;
+        this.setupSession();
+        this.bootScreen.start({ quick: options.quickBoot });
+        // Requested right away so it downloads while the earlier steps run
+        const youtubeApi = options.safeMode ? null : this.loadYouTubeApi();
+
+        let config = {};
+        const failures = await this.bootScreen.run([
+            {
+                label: 'Loading config.json',
+                run: async () => {
+                    const response = await fetch(this.configPath);
+                    if (!response.ok) throw new Error("Config file not found");
+                    config = await response.json();
+                }
+            },
+            {
+                label: 'Loading fonts',
+                run: () => BootScreen.withTimeout((async () => {
+                    await BootScreen.waitForStylesheet('link[href*="fonts.googleapis.com/css"]');
+                    await Promise.all([BootScreen.loadFont('1em VT323'), BootScreen.loadFont('1em "Press Start 2P"')]);
+                })(), SystemLoader.FONT_TIMEOUT)
+            },
+            {
+                label: 'Loading icon CSS',
+                run: () => BootScreen.withTimeout((async () => {
+                    await BootScreen.waitForStylesheet('link[href*="font-awesome"]');
+                    await BootScreen.loadFont('900 1em "Font Awesome 6 Free"');
+                })(), SystemLoader.FONT_TIMEOUT)
+            },
+            {
+                label: 'Connecting to YouTube API',
+                skip: options.safeMode,
+                run: () => BootScreen.withTimeout(youtubeApi, SystemLoader.YOUTUBE_TIMEOUT)
+            },
+            {
+                label: 'Mounting C:\\My Documents',
+                run: async () => {
+                    await vfs.init(Array.isArray(config.folders) ? config.folders : []);
+                    // Reported once, in the boot summary
+                    if (!vfs.db) throw new Error("IndexedDB unavailable, saved files will not persist");
+                }
+            },
+            {
+                label: options.safeMode ? 'Loading default settings' : 'Restoring saved settings',
+                run: () => {
+                    themeManager.init(config.display || {}, !options.safeMode);
+                    calendarStore.init(config.calendar || {});
+                    musicLibrary.init(config.music || {});
+                }
+            }
+        ]);
+        // Even if a step fails, basic apps should work, so we don't halt execution
+        if (!isYoutubeReady) isYoutubeUnavailable = true;
+
+        this.config = config;
+        this.registerConfigApps(config);
+        this.registerSystemApps();
+        this.renderDesktop(config);
+        this.setupMenuActions(config);
+        this.keyboard.configure(config.shortcuts);
+
+        await this.bootScreen.finish();
+        if (!options.safeMode && !options.cleanBoot) this.restoreSession();
+        if (!this.windowManager.focusedWindow) this.windowManager.focusDesktop();
+        this.reportBoot(options, failures);
+    }
+
+    /**
+     * Adds the YouTube API script to the page. Safe Mode never calls this, so YouTube stays off.
+     * @returns {Promise<void>} Resolves when the API is ready, rejects if the script fails to load.
+     */
+    loadYouTubeApi() {
+        const script = document.createElement('script');
+        script.src = SystemLoader.YOUTUBE_API_URL;
+        const failed = new Promise((resolve, reject) => {
+            script.addEventListener('error', () => reject(new Error("script did not load")), { once: true });
+        });
+        document.body.appendChild(script);
+        return Promise.race([youtubeApiReady, failed]);
+    }
+
+    /**
+     * Tells the user which boot mode they are in and what did not load.
+     * @param {Object} options - Boot settings from the setup screen.
+     * @param {Array<{label: string, error: Error}>} failures - Failed boot steps.
+     */
+    reportBoot(options, failures) {
+        if (options.safeMode) {
+            notifications.notify({
+                type: 'info',
+                title: 'Safe Mode',
+                message: 'Saved settings, windows and YouTube were skipped. Press DEL while booting to leave Safe Mode.',
+                timeout: 0
+            });
+        }
+        if (failures.length > 0) {
+            notifications.notify({
+                type: failures.some(f => f.label === 'Loading config.json') ? 'error' : 'warning',
+                title: 'Degraded mode',
+                message: failures.map(f => `${f.label}: ${f.error.message}`).join('\n')
+            });
+        }
+    }
+
+    /**
+     * Saves the session whenever the page is hidden or unloaded (refresh, reboot, tab close).
+     */
+    setupSession() {
+        let warned = false; // Saves run on every tab switch: tell the user once per page load
+        const save = () => {
+            if (!this.saveSessionOnExit) return;
+            if (!this.sessionStore.save({ windows: this.windowManager.captureSession() }) && !warned) {
+                warned = true;
+                notifications.notify({ type: 'error', title: 'Session not saved', message: 'The browser refused to store your open windows, so they will not be restored.' });
+            }
+        };
+        window.addEventListener('pagehide', save);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') save();
+        });
+    }
+
+    /**
+     * Reopens the windows saved by the previous session.
+     */
+    restoreSession() {
+        const session = this.sessionStore.load();
+        if (!session || !Array.isArray(session.windows)) return;
+        this.windowManager.restoreSession(session.windows);
+    }
+
+    /**
+     * @returns {boolean} Whether the CRT overlay is visible.
+     */
+    isCrtOn() {
+        return themeManager.settings.crt.enabled;
+    }
+
+    /**
+     * Shows or hides the CRT overlay. The choice is saved with the display settings.
+     * @param {boolean} on - Desired state.
+     */
+    setCrt(on) {
+        themeManager.setCrt(on);
+    }
+
+    /**
+     * Reloads the OS. A clean reboot wipes the saved session first.
+     * @param {boolean} [clean=false] - Whether to start from an empty desktop.
+     */
+    reboot(clean = false) {
+        if (clean) {
+            this.saveSessionOnExit = false;
+            this.sessionStore.clear();
+        }
+        location.reload();
+    }
+
+    /**
+     * Registers the apps whose content comes from config.json (the profile README).
+     * @param {Object} config - The JSON configuration object.
+     */
+    registerConfigApps(config) {
+        if (config.user) {
+            registerApp({
+                id: 'readme',
+                title: 'README.txt',
+                icon: 'fa-solid fa-file-lines',
+                template: () => this.generateProfileHtml(config.user),
+                singleInstance: true
+            });
+        }
+    }
+
+    /**
+     * Registers the system apps (Explorer and its folder shortcuts, Notepad, Terminal,
+     * Image Viewer, WinAmp). They need the WindowManager/SystemLoader to open files, retitle windows,
+     * open extra windows and run OS actions.
+     */
+    registerSystemApps() {
+        // File Explorer and its folder shortcuts
+        const explorer = (path) => (win, options) => new ExplorerApp(win, this.windowManager, { path, ...options });
+        registerApp({
+            id: 'explorer',
+            title: 'My Computer',
+            icon: 'fa-solid fa-computer',
+            template: 'tpl-explorer',
+            factory: explorer(''),
+            minSize: { width: 340, height: 300 },
+            defaultSize: { width: 520, height: 380 }
+        });
+        registerApp({
+            id: 'projects',
+            title: 'A:\\',
+            label: 'Projects',
+            icon: 'fa-solid fa-folder-open',
+            template: 'tpl-explorer',
+            factory: explorer('A:\\'),
+            singleInstance: true,
+            minSize: { width: 340, height: 300 }
+        });
+        registerApp({
+            id: 'links',
+            title: 'C:\\Internet',
+            label: 'Links',
+            icon: 'fa-solid fa-globe',
+            template: 'tpl-explorer',
+            factory: explorer('C:\\Internet'),
+            singleInstance: true,
+            minSize: { width: 340, height: 300 }
+        });
+        registerApp({
+            id: 'notepad',
+            title: 'Notepad',
+            icon: 'fa-solid fa-file-pen',
+            template: 'tpl-notepad',
+            factory: (win, options) => new NotepadApp(win, this.windowManager, options),
+            minSize: { width: 300, height: 250 },
+            defaultSize: { width: 460, height: 360 }
+        });
+        registerApp({
+            id: 'terminal',
+            title: 'Terminal',
+            label: 'Terminal',
+            icon: 'fa-solid fa-terminal',
+            template: 'tpl-terminal',
+            factory: (win, options) => new TerminalApp(win, this, options),
+            minSize: { width: 320, height: 220 },
+            defaultSize: { width: 560, height: 340 }
+        });
+        registerApp({
+            id: 'display',
+            title: 'Display Properties',
+            label: 'Display',
+            icon: 'fa-solid fa-display',
+            template: 'tpl-display',
+            factory: (win) => new DisplayPropertiesApp(win, this.windowManager),
+            singleInstance: true,
+            minSize: { width: 340, height: 420 },
+            defaultSize: { width: 380, height: 560 }
+        });
+        registerApp({
+            id: 'imageviewer',
+            title: 'Image Viewer',
+            icon: 'fa-solid fa-image',
+            template: 'tpl-imageviewer',
+            factory: (win, options) => new ImageViewerApp(win, this.windowManager, options),
+            minSize: { width: 300, height: 200 }
+        });
+        registerApp({
+            id: 'music',
+            title: 'WinAmp Player',
+            label: 'WinAmp',
+            icon: 'fa-solid fa-music',
+            template: 'tpl-music',
+            factory: (win) => new WinampApp(win, this.windowManager),
+            singleInstance: false,
+            minSize: { width: 300, height: 420 }
+        });
+    }
+
+    /**
+     * Renders the desktop icons.
+     * config.desktop lists which apps appear, in what order and with what labels:
+     * [{ "app": "paint", "label": "My Paint" }, ...]. Without it, every registered app is shown.
+     * An entry may also pass a "path" to the app (e.g. an Explorer window on a VFS folder).
+     * @param {Object} config - The JSON configuration object.
+     */
+    renderDesktop(config) {
+        const entries = Array.isArray(config.desktop)
+            ? config.desktop
+            : appRegistry.list().map(app => ({ app: app.id }));
+
+        const keys = new Set();
+        const icons = [];
+        entries.forEach(entry => {
+            const app = appRegistry.get(entry.app);
+            if (!app) {
+                console.warn(`[System] Desktop entry refers to unknown app "${entry.app}"`);
+                return;
+            }
+            // The key ties the icon to its saved position and label, so it must survive config reordering
+            let key = entry.path ? `${app.id}:${entry.path}` : app.id;
+            for (let n = 2; keys.has(key); n++) key = `${app.id}#${n}`;
+            keys.add(key);
+
+            icons.push({
+                key,
+                app: app.id,
+                label: entry.label || app.label,
+                icon: entry.icon || app.icon,
+                options: entry.path ? { path: entry.path } : {}
+            });
+        });
+        this.desktop.render(icons);
+    }
+
+    /**
+     * Generates HTML content for the user profile window.
+     * @param {Object} user - User data object.
+     * @returns {string} HTML string.
+     */
+    generateProfileHtml(user) {
+        return `
+            <div style="text-align: center;">
+                <h2 style="color: purple;">${user.name}</h2>
+                <p><strong>${user.role}</strong></p>
+                <hr style="margin: 10px 0; border: 1px dashed gray;">
+                <p>Welcome to my interactive portfolio.</p>
+                <br>
+                <p><i class="fa-solid fa-envelope"></i> ${user.email}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Binds event listeners to the navigation bar menu items.
+     * @param {Object} config - Configuration object.
+     */
+    setupMenuActions(config) {
+        // Reboot Logic
+        document.getElementById('action-reboot').addEventListener('click', () => this.reboot());
+        document.getElementById('action-reboot-clean').addEventListener('click', () => this.reboot(true));
+
+        // GitHub Link
+        const githubUrl = config?.user?.github || '#';
+        document.getElementById('action-repo').addEventListener('click', () => {
+            window.open(githubUrl, '_blank');
+        });
+
+        // CRT Toggle
+        document.getElementById('action-crt').addEventListener('click', () => this.setCrt(!this.isCrtOn()));
+        document.getElementById('action-display').addEventListener('click', () => this.windowManager.launchApp('display'));
+
+        // Fullscreen Toggle
+        document.getElementById('action-fullscreen').addEventListener('click', () => {
+            if (!document.fullscreenElement) document.documentElement.requestFullscreen();
+            else document.exitFullscreen();
+        });
+
+        // Window Layouts
+        document.getElementById('action-tile').addEventListener('click', () => this.windowManager.tileWindows());
+        document.getElementById('action-cascade').addEventListener('click', () => this.windowManager.cascadeWindows());
+
+        // About Dialog
+        document.getElementById('action-about').addEventListener('click', () => this.showAbout());
+
+        // Start Menu
+        startMenu.attach(document.getElementById('start-button'), document.getElementById('start-menu'), this);
+    }
+
+    /**
+     * Shows the About box.
+     */
+    showAbout() {
+        dialogs.info("RubensOS v1.0\nHandcrafted with code, coffee, and retro vibes.\nPeek under the hood: Go to File > Source Code.", 'About RubensOS');
+    }
+}
+
+SystemLoader.FONT_TIMEOUT = 5000; // ms to wait for the web fonts and the icon font
+SystemLoader.YOUTUBE_TIMEOUT = 4000; // ms to wait for the YouTube API before WinAmp falls back to MP3
+SystemLoader.YOUTUBE_API_URL = 'https://www.youtube.com/iframe_api';
+
+// --- WINDOW MANAGER ---
+
+/**
+ * Manages the lifecycle, positioning, and z-index of application windows,
+ * plus the taskbar that lists them.
+ * Windows dispatch 'window-focused', 'window-minimized', 'window-maximized',
+ * 'window-restored', 'window-moved', 'window-resized' and 'window-closed' CustomEvents so apps can react.
+ */
+class WindowManager {
+    constructor() {
+        this.container = document.getElementById('window-area');
+        this.taskbar = document.getElementById('taskbar');
+        this.zIndex = 100; // Base z-index for windows
+        this.focusedWindow = null;
+        /** @type {Map<HTMLElement, HTMLButtonElement>} Open windows and their taskbar buttons */
+        this.taskButtons = new Map();
+        this.snapThreshold = 12; // Distance (px) from a screen edge that triggers snapping
+        this.snapPreview = null;
+        /** @type {Map<HTMLElement, Object>} App instances living inside each window */
+        this.appInstances = new Map();
+        this.restoringSession = false; // Windows reopened by restoreSession() don't count as recent
+        /** @type {HTMLElement[]} Open modal windows, bottom-most first */
+        this.modals = [];
+
+        // Keep keyboard focus inside the top modal window
+        document.addEventListener('focusin', (e) => {
+            const modal = this.topModal();
+            if (modal && !modal.contains(e.target) && !e.target.closest('.toast, .notification-panel')) this.moveFocusInto(modal);
+        });
+
+        // Tell apps when their window changes size, whatever caused it (handles, snap, tile, maximize)
+        this.resizeObserver = new ResizeObserver(entries => {
+            entries.forEach(({ target, contentRect }) => {
+                const win = target.closest('.window');
+                if (!win || win.classList.contains('minimized')) return;
+                win.dispatchEvent(new CustomEvent('window-resized', {
+                    detail: { win, width: contentRect.width, height: contentRect.height }
+                }));
+            });
+        });
+    }
+
+    /**
+     * Opens a window for a registered app and instantiates the app inside it.
+     * Single-instance apps focus their existing window instead.
+     * @param {string} appId - The registered app id.
+     * @param {Object} [options] - Passed to the app factory (e.g. { path } for file-based apps).
+     * @returns {HTMLElement|null} The window element, or null if the app cannot be launched.
+     */
+    launchApp(appId, options = {}) {
+        const app = appRegistry.get(appId);
+        if (!app) {
+            console.warn(`[WindowManager] Unknown app "${appId}"`);
+            return null;
+        }
+
+        if (app.singleInstance) {
+            const existing = this.findAppWindows(appId)[0];
+            if (existing) {
+                this.activateWindow(existing);
+                return existing;
+            }
+        }
+
+        const html = appRegistry.renderTemplate(app);
+        if (html === null) return null;
+
+        const win = this.openWindow(app.title, html, {
+            icon: app.icon,
+            minWidth: app.minSize && app.minSize.width,
+            minHeight: app.minSize && app.minSize.height
+        });
+        win.dataset.appId = appId;
+        if (app.defaultSize && window.innerWidth >= 768) {
+            win.style.width = `${app.defaultSize.width}px`;
+            win.style.height = `${app.defaultSize.height}px`;
+            win.classList.add('sized');
+        }
+        if (app.factory) this.appInstances.set(win, app.factory(win, options));
+        // Documents are recorded by openFile; reopening the last session is not "opening" anything
+        if (!options.path && !this.restoringSession) recentItems.add({ kind: 'app', appId });
+        return win;
+    }
+
+    /**
+     * Opens a VFS entry with the app associated with its type.
+     * Folders open in Explorer, links in a new tab, app shortcuts launch the app.
+     * @param {string} path - Absolute VFS path.
+     * @returns {HTMLElement|null} The window opened (if any).
+     */
+    openFile(path) {
+        const node = vfs.get(path);
+        if (!node) {
+            console.warn(`[WindowManager] No such file: ${path}`);
+            return null;
+        }
+
+        if (node.type !== 'app') recentItems.add({ kind: 'file', path: vfs.pathOf(node) });
+
+        switch (node.type) {
+            case 'root':
+            case 'drive':
+            case 'folder':
+                return this.launchApp('explorer', { path: vfs.pathOf(node) });
+            case 'link':
+                window.open(node.url, '_blank');
+                return null;
+            case 'app':
+                return this.launchApp(node.app);
+            default: {
+                const appId = FILE_ASSOCIATIONS[node.type];
+                return appId ? this.launchApp(appId, { path: vfs.pathOf(node) }) : null;
+            }
+        }
+    }
+
+    /**
+     * Changes a window's title (title bar, taskbar button and accessible name).
+     * @param {HTMLElement} win - The window element.
+     * @param {string} title - New title.
+     */
+    setWindowTitle(win, title) {
+        win.querySelector('.title-text').textContent = title;
+        win.setAttribute('aria-label', title);
+        const button = this.taskButtons.get(win);
+        if (button) {
+            const icon = button.querySelector('i');
+            button.title = title;
+            button.replaceChildren(...(icon ? [icon, ' '] : []), title);
+        }
+    }
+
+    /**
+     * Returns the open windows belonging to an app.
+     * @param {string} appId - The registered app id.
+     * @returns {HTMLElement[]}
+     */
+    findAppWindows(appId) {
+        return [...this.taskButtons.keys()].filter(win => win.dataset.appId === appId);
+    }
+
+    // --- SESSION ---
+
+    /**
+     * Describes every open app window (geometry, z-order, state flags and app state).
+     * Apps opt into state persistence by implementing getState()/setState().
+     * @returns {Array<Object>} Window records, bottom-most first.
+     */
+    captureSession() {
+        return [...this.taskButtons.keys()]
+            .filter(win => win.dataset.appId)
+            .sort((a, b) => Number(a.style.zIndex) - Number(b.style.zIndex))
+            .map(win => {
+                const app = this.appInstances.get(win);
+                return {
+                    appId: win.dataset.appId,
+                    left: win.style.left,
+                    top: win.style.top,
+                    width: win.style.width,
+                    height: win.style.height,
+                    sized: win.classList.contains('sized'),
+                    restoreRect: win.dataset.restoreRect || null,
+                    snapped: win.classList.contains('snapped'),
+                    minimized: win.classList.contains('minimized'),
+                    maximized: win.classList.contains('maximized'),
+                    focused: win === this.focusedWindow,
+                    state: app && typeof app.getState === 'function' ? app.getState() : null
+                };
+            });
+    }
+
+    /**
+     * Reopens windows described by captureSession().
+     * @param {Array<Object>} records - Window records, bottom-most first.
+     */
+    restoreSession(records) {
+        let focused = null;
+
+        this.restoringSession = true;
+        records.forEach(record => {
+            const win = this.launchApp(record.appId);
+            if (!win) return;
+
+            win.style.left = record.left;
+            win.style.top = record.top;
+            win.style.width = record.width;
+            win.style.height = record.height;
+            win.classList.toggle('sized', Boolean(record.sized));
+            win.classList.toggle('snapped', Boolean(record.snapped));
+            if (record.restoreRect) win.dataset.restoreRect = record.restoreRect;
+
+            const app = this.appInstances.get(win);
+            if (record.state && app && typeof app.setState === 'function') {
+                try {
+                    app.setState(record.state);
+                } catch (error) {
+                    console.warn(`[Session] Could not restore state for ${record.appId}:`, error);
+                }
+            }
+
+            if (record.maximized) this.toggleMaximize(win);
+            if (record.minimized) this.minimizeWindow(win);
+            if (record.focused) focused = win;
+        });
+        this.restoringSession = false;
+
+        if (focused) this.focusWindow(focused);
+    }
+
+    /**
+     * Creates and appends a new window to the DOM.
+     * @param {string} title - Window title (plain text).
+     * @param {string} contentHtml - Inner HTML content.
+     * @param {Object} [options] - Window options.
+     * @param {number} [options.minWidth=300] - Minimum width (px) when resizing.
+     * @param {number} [options.minHeight=150] - Minimum height (px) when resizing.
+     * @param {string} [options.icon] - FontAwesome class string shown on the taskbar button.
+     * @returns {HTMLElement} The created window element.
+     */
+    openWindow(title, contentHtml, options = {}) {
+        const win = document.createElement('div');
+        win.className = 'window';
+        win.tabIndex = -1; // Focusable as a fallback when the content has no controls
+        win.setAttribute('role', 'dialog');
+        win.setAttribute('aria-label', title);
+        win.dataset.minWidth = options.minWidth || 300;
+        win.dataset.minHeight = options.minHeight || 150;
+        if (options.icon) win.dataset.icon = options.icon;
+
+        // Remember what launched the window so focus can go back there when it closes
+        if (document.activeElement && document.activeElement !== document.body) {
+            win.returnFocus = document.activeElement;
+        }
+
+        // Smart Positioning for Mobile vs Desktop
+        const isMobile = window.innerWidth < 768;
+        if (isMobile) {
+            win.style.left = '5vw';
+            win.style.top = '10vh';
+        } else {
+            const randX = Math.floor(Math.random() * 50) + 50;
+            const randY = Math.floor(Math.random() * 50) + 50;
+            win.style.left = randX + 'px';
+            win.style.top = randY + 'px';
+        }
+
+        win.innerHTML = `
+            <div class="title-bar">
+                <span class="title-text"></span>
+                <div class="title-buttons">
+                    <button class="btn-min" title="Minimize">_</button>
+                    <button class="btn-max" title="Maximize">□</button>
+                    <button class="btn-close" title="Close">X</button>
+                </div>
+            </div>
+            <div class="window-content">${contentHtml}</div>
+        `;
+        win.querySelector('.title-text').textContent = title;
+
+        // Title Bar Buttons
+        win.querySelector('.btn-min').addEventListener('click', () => this.minimizeWindow(win));
+        win.querySelector('.btn-max').addEventListener('click', () => this.toggleMaximize(win));
+        win.querySelector('.btn-close').addEventListener('click', () => this.closeWindow(win));
+        win.querySelector('.title-bar').addEventListener('dblclick', (e) => {
+            if (!e.target.closest('button')) this.toggleMaximize(win);
+        });
+
+        // Bring to front on click
+        win.addEventListener('mousedown', () => this.focusWindow(win));
+        // Handle touch focus
+        win.addEventListener('touchstart', () => this.focusWindow(win), { passive: true });
+        // Keyboard focus (Tab) entering the window also brings it to front
+        win.addEventListener('focusin', () => this.focusWindow(win));
+
+        this.makeDraggable(win);
+        this.makeResizable(win);
+        this.container.appendChild(win);
+        this.resizeObserver.observe(win.querySelector('.window-content'));
+        this.addTaskbarButton(win, title, options.icon);
+        this.focusWindow(win);
+        this.moveFocusInto(win);
+        return win;
+    }
+
+    /**
+     * Opens a modal window (used by Dialogs): it sits above everything else, a backdrop blocks the
+     * desktop until it closes, and it can't be minimized, maximized or resized.
+     * @param {string} title - Window title (plain text).
+     * @param {string} contentHtml - Inner HTML content.
+     * @param {Object} [options] - Same as openWindow.
+     * @returns {HTMLElement} The window element.
+     */
+    openModal(title, contentHtml, options = {}) {
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+        this.container.appendChild(backdrop);
+
+        const win = this.openWindow(title, contentHtml, options);
+        win.classList.add('modal');
+        win.setAttribute('aria-modal', 'true');
+        win.backdrop = backdrop;
+        this.container.appendChild(win); // Above its backdrop
+
+        // Centered in the workspace
+        const area = this.getWorkspaceRect();
+        win.style.left = `${Math.max(0, area.left + (area.width - win.offsetWidth) / 2)}px`;
+        win.style.top = `${Math.max(area.top, area.top + (area.height - win.offsetHeight) / 3)}px`;
+
+        this.modals.push(win);
+        this.moveFocusInto(win);
+        return win;
+    }
+
+    /**
+     * @returns {HTMLElement|null} The modal window on top, if any.
+     */
+    topModal() {
+        return this.modals[this.modals.length - 1] || null;
+    }
+
+    /**
+     * Closes a window, letting the app clean up first.
+     * @param {HTMLElement} win - The window element.
+     */
+    closeWindow(win) {
+        // Dispatch a custom event so apps can clean up resources (intervals, audio)
+        const event = new CustomEvent('window-closed', { detail: { win } });
+        win.dispatchEvent(event);
+
+        const hadFocus = this.focusedWindow === win || win.contains(document.activeElement);
+        const button = this.taskButtons.get(win);
+        if (button) button.remove();
+        this.taskButtons.delete(win);
+        this.appInstances.delete(win);
+        this.resizeObserver.unobserve(win.querySelector('.window-content'));
+        win.remove();
+        if (win.backdrop) {
+            win.backdrop.remove();
+            this.modals = this.modals.filter(modal => modal !== win);
+        }
+
+        if (this.focusedWindow === win) this.focusedWindow = null;
+        if (hadFocus) this.handOffFocus(win.returnFocus);
+    }
+
+    /**
+     * Moves keyboard focus into a window: its first control, or the window itself.
+     * @param {HTMLElement} win - The window element.
+     */
+    moveFocusInto(win) {
+        if (win.contains(document.activeElement)) return;
+        const focusable = win.querySelector(
+            '.window-content :is(button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])):not([disabled])'
+        );
+        (focusable || win).focus({ preventScroll: true });
+    }
+
+    /**
+     * After a window goes away, focuses the next window down or, if none is left,
+     * returns focus to the desktop.
+     * @param {HTMLElement} [fallback] - Element to focus when no window is left (e.g. the launching icon).
+     */
+    handOffFocus(fallback) {
+        this.focusTopWindow();
+        if (this.focusedWindow) {
+            this.moveFocusInto(this.focusedWindow);
+        } else if (fallback && fallback.isConnected && !fallback.closest('.window')) {
+            fallback.focus({ preventScroll: true });
+        } else {
+            this.focusDesktop();
+        }
+    }
+
+    /**
+     * Puts keyboard focus on the desktop icon grid.
+     */
+    focusDesktop() {
+        const icon = document.querySelector('#icon-grid .desktop-icon');
+        if (icon) icon.focus({ preventScroll: true });
+    }
+
+    /**
+     * Returns every open window, most recently focused first (minimized ones included).
+     * @returns {HTMLElement[]}
+     */
+    getWindowsByRecency() {
+        return [...this.taskButtons.keys()].sort((a, b) => Number(b.style.zIndex) - Number(a.style.zIndex));
+    }
+
+    /**
+     * Shows and focuses a window, restoring it if minimized (keyboard/taskbar activation).
+     * @param {HTMLElement} win - The window element.
+     */
+    activateWindow(win) {
+        if (win.classList.contains('minimized')) this.restoreWindow(win);
+        else this.focusWindow(win);
+        this.moveFocusInto(win);
+    }
+
+    /**
+     * Nudges a window by an offset (used by keyboard shortcuts).
+     * @param {HTMLElement} win - The window element.
+     * @param {number} dx - Horizontal offset (px).
+     * @param {number} dy - Vertical offset (px).
+     */
+    moveWindow(win, dx, dy) {
+        if (win.classList.contains('maximized')) return;
+        if (win.classList.contains('snapped')) this.unsnapWindow(win);
+        const top = this.getWorkspaceRect().top;
+        win.style.left = `${win.offsetLeft + dx}px`;
+        win.style.top = `${Math.max(win.offsetTop + dy, top)}px`;
+        this.notifyMoved(win, false);
+    }
+
+    /**
+     * Tells the window's app (and anything docked to it) that the window moved.
+     * @param {HTMLElement} win - The window element.
+     * @param {boolean} dragging - True while the user is still dragging it.
+     */
+    notifyMoved(win, dragging) {
+        win.dispatchEvent(new CustomEvent('window-moved', { detail: { win, dragging } }));
+    }
+
+    /**
+     * Brings a window to the front and marks it (and its taskbar button) as focused.
+     * @param {HTMLElement} win - The window element.
+     */
+    focusWindow(win) {
+        if (win.classList.contains('minimized')) return;
+
+        this.zIndex++;
+        win.style.zIndex = this.zIndex;
+        if (this.focusedWindow === win) return;
+
+        if (this.focusedWindow) this.focusedWindow.classList.remove('active');
+        this.focusedWindow = win;
+        win.classList.add('active');
+        this.updateTaskbar();
+
+        win.dispatchEvent(new CustomEvent('window-focused', { detail: { win } }));
+    }
+
+    /**
+     * Focuses the highest visible window, or clears focus if none is left.
+     */
+    focusTopWindow() {
+        const visible = [...this.taskButtons.keys()].filter(w => !w.classList.contains('minimized'));
+        if (visible.length === 0) {
+            this.focusedWindow = null;
+            this.updateTaskbar();
+            return;
+        }
+        const top = visible.reduce((a, b) => (Number(b.style.zIndex) > Number(a.style.zIndex) ? b : a));
+        this.focusWindow(top);
+    }
+
+    /**
+     * Hides a window, keeping its app running, and leaves it reachable from the taskbar.
+     * @param {HTMLElement} win - The window element.
+     */
+    minimizeWindow(win) {
+        if (win.classList.contains('minimized') || win.classList.contains('modal')) return;
+
+        win.classList.add('minimized');
+        win.classList.remove('active');
+        win.dispatchEvent(new CustomEvent('window-minimized', { detail: { win } }));
+
+        const hadFocus = this.focusedWindow === win || win.contains(document.activeElement);
+        if (this.focusedWindow === win) this.focusedWindow = null;
+        if (hadFocus) this.handOffFocus();
+        this.updateTaskbar();
+    }
+
+    /**
+     * Restores a minimized window and focuses it.
+     * @param {HTMLElement} win - The window element.
+     */
+    restoreWindow(win) {
+        if (!win.classList.contains('minimized')) return;
+
+        win.classList.remove('minimized');
+        win.dispatchEvent(new CustomEvent('window-restored', { detail: { win, from: 'minimized' } }));
+        this.focusWindow(win);
+        this.moveFocusInto(win);
+    }
+
+    /**
+     * Toggles a window between maximized and its previous size.
+     * @param {HTMLElement} win - The window element.
+     */
+    toggleMaximize(win) {
+        if (win.classList.contains('modal')) return;
+        if (win.classList.contains('snapped')) this.unsnapWindow(win);
+        const isMaximized = win.classList.toggle('maximized');
+        const btnMax = win.querySelector('.btn-max');
+        btnMax.title = isMaximized ? 'Restore' : 'Maximize';
+        btnMax.innerText = isMaximized ? '❐' : '□';
+
+        const eventName = isMaximized ? 'window-maximized' : 'window-restored';
+        win.dispatchEvent(new CustomEvent(eventName, { detail: { win, from: 'maximized' } }));
+        this.focusWindow(win);
+    }
+
+    // --- TASKBAR ---
+
+    /**
+     * Creates the taskbar button that represents a window.
+     * @param {HTMLElement} win - The window element.
+     * @param {string} title - Label for the button (plain text).
+     * @param {string} [iconClass] - FontAwesome class string.
+     */
+    addTaskbarButton(win, title, iconClass) {
+        const button = document.createElement('button');
+        button.className = 'task-button';
+        button.title = title;
+        if (iconClass) {
+            const icon = document.createElement('i');
+            icon.className = iconClass;
+            button.append(icon, ' ');
+        }
+        button.append(title);
+
+        // Restore if hidden, minimize if already in front, otherwise just focus
+        button.addEventListener('click', () => {
+            if (this.focusedWindow === win) this.minimizeWindow(win);
+            else this.activateWindow(win);
+        });
+
+        this.taskButtons.set(win, button);
+        this.taskbar.appendChild(button);
+    }
+
+    /**
+     * Syncs taskbar button states with the windows they represent.
+     */
+    updateTaskbar() {
+        this.taskButtons.forEach((button, win) => {
+            button.classList.toggle('task-active', win === this.focusedWindow);
+            button.classList.toggle('task-minimized', win.classList.contains('minimized'));
+        });
+    }
+
+    // --- LAYOUT: SNAP, TILE & CASCADE ---
+
+    /**
+     * Returns the desktop area available to windows (between the nav bar and the taskbar).
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    getWorkspaceRect() {
+        const top = document.querySelector('nav').getBoundingClientRect().bottom;
+        const bottom = this.taskbar.getBoundingClientRect().top || window.innerHeight;
+        return { left: 0, top, width: window.innerWidth, height: bottom - top };
+    }
+
+    /**
+     * Applies an explicit position and size to a window.
+     * @param {HTMLElement} win - The window element.
+     * @param {{left: number, top: number, width: number, height: number}} rect - Target geometry.
+     */
+    setWindowRect(win, rect) {
+        win.style.left = `${rect.left}px`;
+        win.style.top = `${rect.top}px`;
+        win.style.width = `${rect.width}px`;
+        win.style.height = `${rect.height}px`;
+        win.classList.add('sized');
+        this.notifyMoved(win, false);
+    }
+
+    /**
+     * Works out which snap zone (if any) the pointer is in.
+     * @param {number} x - Pointer X.
+     * @param {number} y - Pointer Y.
+     * @returns {string|null} 'left', 'right', 'top' or null.
+     */
+    getSnapZone(x, y) {
+        // Mobile windows are always full-width, so snapping has nothing to do
+        if (window.innerWidth < 768) return null;
+        const area = this.getWorkspaceRect();
+        if (y <= area.top + this.snapThreshold) return 'top';
+        if (x <= this.snapThreshold) return 'left';
+        if (x >= area.width - this.snapThreshold) return 'right';
+        return null;
+    }
+
+    /**
+     * Returns the geometry a window would take in a snap zone.
+     * @param {string} zone - 'left', 'right' or 'top'.
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    getSnapRect(zone) {
+        const area = this.getWorkspaceRect();
+        const half = Math.floor(area.width / 2);
+        if (zone === 'left') return { left: 0, top: area.top, width: half, height: area.height };
+        if (zone === 'right') return { left: half, top: area.top, width: area.width - half, height: area.height };
+        return { ...area };
+    }
+
+    /**
+     * Shows (or hides, with a null zone) the translucent outline of where a window will snap.
+     * @param {string|null} zone - Snap zone.
+     */
+    showSnapPreview(zone) {
+        if (!zone) {
+            if (this.snapPreview) this.snapPreview.style.display = 'none';
+            return;
+        }
+        if (!this.snapPreview) {
+            this.snapPreview = document.createElement('div');
+            this.snapPreview.className = 'snap-preview';
+            this.container.appendChild(this.snapPreview);
+        }
+        const rect = this.getSnapRect(zone);
+        Object.assign(this.snapPreview.style, {
+            display: 'block',
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+            zIndex: this.zIndex + 1
+        });
+    }
+
+    /**
+     * Snaps a window to half or full screen, remembering its previous geometry.
+     * @param {HTMLElement} win - The window element.
+     * @param {string} zone - 'left', 'right' or 'top' (top maximizes).
+     */
+    snapWindow(win, zone) {
+        if (zone === 'top') {
+            if (!win.classList.contains('maximized')) this.toggleMaximize(win);
+            return;
+        }
+        if (!win.classList.contains('snapped')) {
+            win.dataset.restoreRect = JSON.stringify({
+                width: win.style.width,
+                height: win.style.height,
+                sized: win.classList.contains('sized')
+            });
+        }
+        this.setWindowRect(win, this.getSnapRect(zone));
+        win.classList.add('snapped');
+    }
+
+    /**
+     * Gives a snapped window back the size it had before snapping.
+     * @param {HTMLElement} win - The window element.
+     */
+    unsnapWindow(win) {
+        const saved = JSON.parse(win.dataset.restoreRect || '{}');
+        win.style.width = saved.width || '';
+        win.style.height = saved.height || '';
+        win.classList.toggle('sized', Boolean(saved.sized));
+        win.classList.remove('snapped');
+        delete win.dataset.restoreRect;
+    }
+
+    /**
+     * Returns the windows that are currently on screen, bottom-most first.
+     * @returns {HTMLElement[]}
+     */
+    getVisibleWindows() {
+        return [...this.taskButtons.keys()]
+            .filter(w => !w.classList.contains('minimized'))
+            .sort((a, b) => Number(a.style.zIndex) - Number(b.style.zIndex));
+    }
+
+    /**
+     * Clears maximized/snapped states so a layout command can position the window freely.
+     * @param {HTMLElement} win - The window element.
+     */
+    resetWindowState(win) {
+        if (win.classList.contains('maximized')) this.toggleMaximize(win);
+        if (win.classList.contains('snapped')) this.unsnapWindow(win);
+    }
+
+    /**
+     * Arranges all visible windows in a grid that fills the workspace.
+     */
+    tileWindows() {
+        const windows = this.getVisibleWindows();
+        if (windows.length === 0) return;
+
+        const area = this.getWorkspaceRect();
+        const cols = Math.ceil(Math.sqrt(windows.length));
+        const rows = Math.ceil(windows.length / cols);
+        const cellW = Math.floor(area.width / cols);
+        const cellH = Math.floor(area.height / rows);
+
+        windows.forEach((win, i) => {
+            this.resetWindowState(win);
+            this.setWindowRect(win, {
+                left: (i % cols) * cellW,
+                top: area.top + Math.floor(i / cols) * cellH,
+                width: Math.max(cellW, Number(win.dataset.minWidth)),
+                height: Math.max(cellH, Number(win.dataset.minHeight))
+            });
+        });
+    }
+
+    /**
+     * Stacks all visible windows diagonally, keeping each title bar reachable.
+     */
+    cascadeWindows() {
+        const windows = this.getVisibleWindows();
+        const area = this.getWorkspaceRect();
+        const step = 30;
+
+        windows.forEach((win, i) => {
+            this.resetWindowState(win);
+            win.style.width = '';
+            win.style.height = '';
+            win.classList.remove('sized');
+            win.style.left = `${20 + i * step}px`;
+            win.style.top = `${area.top + 10 + i * step}px`;
+            this.focusWindow(win);
+        });
+    }
+
+    // --- POINTER INTERACTIONS ---
+
+    /**
+     * Adds drag-and-drop functionality to a window element.
+     * Dropping a window on the left/right edge snaps it to half the screen, on the top edge maximizes it.
+     * @param {HTMLElement} el - The window element.
+     */
+    makeDraggable(el) {
+        const header = el.querySelector('.title-bar');
+        let isDragging = false, startX, startY, initialLeft, initialTop, snapZone = null;
+
+        const beginDrag = (x, y) => {
+            // Dragging a snapped window out of its zone restores its previous size under the pointer
+            if (el.classList.contains('snapped')) {
+                const ratio = (x - el.offsetLeft) / el.offsetWidth;
+                this.unsnapWindow(el);
+                el.style.left = `${x - el.offsetWidth * ratio}px`;
+            }
+            isDragging = true;
+            startX = x;
+            startY = y;
+            initialLeft = el.offsetLeft;
+            initialTop = el.offsetTop;
+        };
+
+        const moveDrag = (x, y) => {
+            el.style.left = `${initialLeft + x - startX}px`;
+            // Keep the title bar below the nav so the window can always be grabbed again
+            el.style.top = `${Math.max(initialTop + y - startY, this.getWorkspaceRect().top)}px`;
+            snapZone = this.getSnapZone(x, y);
+            this.showSnapPreview(snapZone);
+            this.notifyMoved(el, true);
+        };
+
+        const endDrag = () => {
+            if (!isDragging) return;
+            isDragging = false;
+            this.showSnapPreview(null);
+            if (snapZone) this.snapWindow(el, snapZone);
+            else this.notifyMoved(el, false);
+            snapZone = null;
+        };
+
+        // --- MOUSE EVENTS ---
+        const onMouseMove = (e) => {
+            if (!isDragging) return;
+            moveDrag(e.clientX, e.clientY);
+        };
+
+        const onMouseUp = () => {
+            endDrag();
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+        };
+
+        header.addEventListener('mousedown', (e) => {
+            if (e.target.closest('button') || el.classList.contains('maximized')) return;
+            beginDrag(e.clientX, e.clientY);
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+
+        // --- TOUCH EVENTS ---
+        const onTouchMove = (e) => {
+            if (!isDragging) return;
+            // Prevent scrolling the page while dragging the window
+            e.preventDefault();
+            const touch = e.touches[0];
+            moveDrag(touch.clientX, touch.clientY);
+        };
+
+        const onTouchEnd = () => {
+            endDrag();
+            document.removeEventListener('touchmove', onTouchMove);
+            document.removeEventListener('touchend', onTouchEnd);
+        };
+
+        header.addEventListener('touchstart', (e) => {
+            if (e.target.closest('button') || el.classList.contains('maximized')) return;
+            const touch = e.touches[0];
+            beginDrag(touch.clientX, touch.clientY);
+            document.addEventListener('touchmove', onTouchMove, { passive: false });
+            document.addEventListener('touchend', onTouchEnd);
+        }, { passive: false });
+    }
+
+    /**
+     * Adds edge and corner resize handles to a window element.
+     * Sizes are clamped to the window's minWidth/minHeight data attributes.
+     * @param {HTMLElement} el - The window element.
+     */
+    makeResizable(el) {
+        const directions = ['n', 'e', 's', 'w', 'ne', 'nw', 'se', 'sw'];
+        let dir = null, startX, startY, startRect;
+
+        const moveResize = (x, y) => {
+            const minW = Number(el.dataset.minWidth);
+            const minH = Number(el.dataset.minHeight);
+            const dx = x - startX;
+            const dy = y - startY;
+            const rect = { ...startRect };
+
+            if (dir.includes('e')) rect.width = Math.max(minW, startRect.width + dx);
+            if (dir.includes('s')) rect.height = Math.max(minH, startRect.height + dy);
+            if (dir.includes('w')) {
+                rect.width = Math.max(minW, startRect.width - dx);
+                rect.left = startRect.left + startRect.width - rect.width;
+            }
+            if (dir.includes('n')) {
+                rect.height = Math.max(minH, startRect.height - dy);
+                rect.top = startRect.top + startRect.height - rect.height;
+            }
+            this.setWindowRect(el, rect);
+        };
+
+        const beginResize = (handleDir, x, y) => {
+            dir = handleDir;
+            startX = x;
+            startY = y;
+            startRect = { left: el.offsetLeft, top: el.offsetTop, width: el.offsetWidth, height: el.offsetHeight };
+            el.classList.remove('snapped');
+            delete el.dataset.restoreRect;
+        };
+
+        // --- MOUSE EVENTS ---
+        const onMouseMove = (e) => moveResize(e.clientX, e.clientY);
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+        };
+
+        // --- TOUCH EVENTS ---
+        const onTouchMove = (e) => {
+            e.preventDefault();
+            moveResize(e.touches[0].clientX, e.touches[0].clientY);
+        };
+        const onTouchEnd = () => {
+            document.removeEventListener('touchmove', onTouchMove);
+            document.removeEventListener('touchend', onTouchEnd);
+        };
+
+        directions.forEach(handleDir => {
+            const handle = document.createElement('div');
+            handle.className = `resize-handle resize-${handleDir}`;
+
+            handle.addEventListener('mousedown', (e) => {
+                if (el.classList.contains('maximized')) return;
+                e.preventDefault(); // Avoid selecting text while resizing
+                beginResize(handleDir, e.clientX, e.clientY);
+                document.addEventListener('mousemove', onMouseMove);
+                document.addEventListener('mouseup', onMouseUp);
+            });
+
+            handle.addEventListener('touchstart', (e) => {
+                if (el.classList.contains('maximized')) return;
+                const touch = e.touches[0];
+                beginResize(handleDir, touch.clientX, touch.clientY);
+                document.addEventListener('touchmove', onTouchMove, { passive: false });
+                document.addEventListener('touchend', onTouchEnd);
+            }, { passive: false });
+
+            el.appendChild(handle);
+        });
+    }
+}
+
+// --- KEYBOARD MANAGER ---
+
+/**
+ * Default keyboard shortcuts. Each action maps to one or more key combos
+ * ("Alt+Shift+ArrowLeft" style). config.json can override any of them in its "shortcuts" section.
+ * Browsers on Windows/Linux usually swallow Alt+Tab, so Alt+` is bound as well.
+ */
+const DEFAULT_SHORTCUTS = {
+    switchWindow: ['Alt+Tab', 'Alt+`'],
+    switchWindowBack: ['Alt+Shift+Tab', 'Alt+Shift+`'],
+    closeWindow: ['Alt+W', 'Alt+F4'],
+    minimizeWindow: ['Alt+M'],
+    maximizeWindow: ['Alt+ArrowUp'],
+    snapLeft: ['Alt+ArrowLeft'],
+    snapRight: ['Alt+ArrowRight'],
+    moveLeft: ['Alt+Shift+ArrowLeft'],
+    moveRight: ['Alt+Shift+ArrowRight'],
+    moveUp: ['Alt+Shift+ArrowUp'],
+    moveDown: ['Alt+Shift+ArrowDown'],
+    focusDesktop: ['Alt+Shift+D'],
+    startMenu: ['Ctrl+Escape', 'Alt+S'],
+    // Playback (the WinAmp player that played last); Z X V B are Winamp's own transport keys
+    mediaPrevious: ['MediaTrackPrevious', 'Alt+Z'],
+    mediaPlayPause: ['MediaPlayPause', 'Alt+X'],
+    mediaStop: ['MediaStop', 'Alt+V'],
+    mediaNext: ['MediaTrackNext', 'Alt+B']
+};
+
+/**
+ * Global keyboard handling: window switcher overlay, window shortcuts and
+ * arrow-key navigation of the desktop icon grid.
+ */
+class KeyboardManager {
+    /**
+     * @param {WindowManager} windowManager - The instance of the window manager.
+     */
+    constructor(windowManager) {
+        this.windowManager = windowManager;
+        this.moveStep = 20; // px per keyboard move
+        this.switcher = null;
+        this.switcherWindows = [];
+        this.switcherIndex = 0;
+        this.configure({});
+
+        // Capture phase so shortcuts still work when an app handles keys itself
+        document.addEventListener('keydown', (e) => this.onKeyDown(e), true);
+        document.addEventListener('keyup', (e) => this.onKeyUp(e), true);
+        window.addEventListener('blur', () => this.closeSwitcher(false));
+    }
+
+    /**
+     * Merges user shortcuts over the defaults.
+     * @param {Object<string, string|string[]>} [overrides] - Action -> combo(s), e.g. { "closeWindow": "Alt+Q" }.
+     */
+    configure(overrides = {}) {
+        const map = { ...DEFAULT_SHORTCUTS, ...overrides };
+        /** @type {Map<string, string>} Normalized combo -> action */
+        this.bindings = new Map();
+
+        Object.entries(map).forEach(([action, combos]) => {
+            if (!(action in DEFAULT_SHORTCUTS)) {
+                console.warn(`[Keyboard] Unknown shortcut action "${action}"`);
+                return;
+            }
+            [].concat(combos || []).forEach(combo => this.bindings.set(this.normalizeCombo(combo), action));
+        });
+    }
+
+    /**
+     * Normalizes a combo string so "shift+alt+a" and "Alt+Shift+A" match.
+     * @param {string} combo - Combo as written in config.
+     * @returns {string}
+     */
+    normalizeCombo(combo) {
+        const parts = combo.split('+').map(p => p.trim()).filter(Boolean);
+        const key = parts.pop() || '';
+        const mods = parts.map(m => m.toLowerCase());
+        const order = [['ctrl', 'Ctrl'], ['alt', 'Alt'], ['shift', 'Shift'], ['meta', 'Meta']];
+        const prefix = order.filter(([name]) => mods.includes(name)).map(([, label]) => label);
+        return [...prefix, key.length === 1 ? key.toUpperCase() : key].join('+');
+    }
+
+    /**
+     * Builds the normalized combo string for a keyboard event.
+     * Uses the physical key for letters/digits, since Alt changes e.key on macOS.
+     * @param {KeyboardEvent} e
+     * @returns {string}
+     */
+    comboFromEvent(e) {
+        let key = e.key;
+        if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+        else if (/^Digit[0-9]$/.test(e.code)) key = e.code.slice(5);
+        else if (e.code === 'Backquote') key = '`';
+        else if (key === ' ') key = 'Space';
+
+        const prefix = [];
+        if (e.ctrlKey) prefix.push('Ctrl');
+        if (e.altKey) prefix.push('Alt');
+        if (e.shiftKey) prefix.push('Shift');
+        if (e.metaKey) prefix.push('Meta');
+        return [...prefix, key.length === 1 ? key.toUpperCase() : key].join('+');
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        // A modal dialog handles its own keys until it is answered
+        if (this.windowManager.topModal()) return;
+
+        if (this.switcher && e.key === 'Escape') {
+            e.preventDefault();
+            this.closeSwitcher(false);
+            return;
+        }
+
+        const action = this.bindings.get(this.comboFromEvent(e));
+        if (action) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.runAction(action);
+            return;
+        }
+
+        // Desktop icon grid navigation (not while renaming an icon)
+        const icon = e.target.classList && e.target.classList.contains('desktop-icon') ? e.target : null;
+        if (icon && !e.altKey && !e.ctrlKey && !e.metaKey) this.onIconKey(e, icon);
+    }
+
+    /**
+     * Releasing Alt confirms the window switcher selection.
+     * @param {KeyboardEvent} e
+     */
+    onKeyUp(e) {
+        if (this.switcher && e.key === 'Alt') this.closeSwitcher(true);
+    }
+
+    /**
+     * Executes a shortcut action.
+     * @param {string} action - Action name (see DEFAULT_SHORTCUTS).
+     */
+    runAction(action) {
+        const wm = this.windowManager;
+        const win = wm.focusedWindow;
+
+        switch (action) {
+            case 'switchWindow': this.cycleSwitcher(1); return;
+            case 'switchWindowBack': this.cycleSwitcher(-1); return;
+            case 'focusDesktop': wm.focusDesktop(); return;
+            case 'startMenu': startMenu.toggle(); return;
+            // With no player open, play starts one
+            case 'mediaPlayPause': if (!nowPlaying.togglePlay()) wm.launchApp('music'); return;
+            case 'mediaPrevious': nowPlaying.control('previous'); return;
+            case 'mediaNext': nowPlaying.control('next'); return;
+            case 'mediaStop': nowPlaying.control('stop'); return;
+        }
+
+        if (!win) return;
+        switch (action) {
+            case 'closeWindow': wm.closeWindow(win); break;
+            case 'minimizeWindow': wm.minimizeWindow(win); break;
+            case 'maximizeWindow': wm.toggleMaximize(win); break;
+            case 'snapLeft': this.snapOrRestore(win, 'left'); break;
+            case 'snapRight': this.snapOrRestore(win, 'right'); break;
+            case 'moveLeft': wm.moveWindow(win, -this.moveStep, 0); break;
+            case 'moveRight': wm.moveWindow(win, this.moveStep, 0); break;
+            case 'moveUp': wm.moveWindow(win, 0, -this.moveStep); break;
+            case 'moveDown': wm.moveWindow(win, 0, this.moveStep); break;
+        }
+    }
+
+    /**
+     * Snaps a window to one half of the screen, or un-snaps it if it is already there.
+     * @param {HTMLElement} win - The window element.
+     * @param {string} zone - 'left' or 'right'.
+     */
+    snapOrRestore(win, zone) {
+        const wm = this.windowManager;
+        if (win.classList.contains('maximized')) wm.toggleMaximize(win);
+        const rect = wm.getSnapRect(zone);
+        const isThere = win.classList.contains('snapped') && win.offsetLeft === rect.left;
+        if (isThere) wm.unsnapWindow(win);
+        else wm.snapWindow(win, zone);
+    }
+
+    // --- WINDOW SWITCHER ---
+
+    /**
+     * Opens the switcher overlay (if needed) and moves the selection.
+     * @param {number} step - 1 for next, -1 for previous.
+     */
+    cycleSwitcher(step) {
+        if (!this.switcher) {
+            this.switcherWindows = this.windowManager.getWindowsByRecency();
+            if (this.switcherWindows.length === 0) return;
+            this.switcherIndex = 0;
+            this.renderSwitcher();
+        }
+        const count = this.switcherWindows.length;
+        this.switcherIndex = (this.switcherIndex + step + count) % count;
+        this.highlightSwitcher();
+    }
+
+    /**
+     * Builds the switcher overlay listing every open window.
+     */
+    renderSwitcher() {
+        this.switcher = document.createElement('div');
+        this.switcher.className = 'window-switcher';
+        this.switcher.setAttribute('role', 'listbox');
+
+        this.switcherWindows.forEach((win, i) => {
+            const item = document.createElement('div');
+            item.className = 'switcher-item';
+            item.setAttribute('role', 'option');
+            const title = win.getAttribute('aria-label');
+            const icon = win.dataset.icon || 'fa-solid fa-window-maximize';
+            item.innerHTML = `<i class="${escapeHtml(icon)}"></i><span></span>`;
+            item.querySelector('span').textContent = title;
+            if (win.classList.contains('minimized')) item.classList.add('switcher-minimized');
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.switcherIndex = i;
+                this.closeSwitcher(true);
+            });
+            this.switcher.appendChild(item);
+        });
+
+        document.body.appendChild(this.switcher);
+    }
+
+    /**
+     * Marks the selected switcher entry.
+     */
+    highlightSwitcher() {
+        [...this.switcher.children].forEach((item, i) => {
+            item.classList.toggle('selected', i === this.switcherIndex);
+            item.setAttribute('aria-selected', i === this.switcherIndex);
+        });
+    }
+
+    /**
+     * Closes the switcher overlay.
+     * @param {boolean} commit - Whether to activate the selected window.
+     */
+    closeSwitcher(commit) {
+        if (!this.switcher) return;
+        const target = this.switcherWindows[this.switcherIndex];
+        this.switcher.remove();
+        this.switcher = null;
+        this.switcherWindows = [];
+        if (commit && target && target.isConnected) this.windowManager.activateWindow(target);
+    }
+
+    // --- DESKTOP ICON GRID ---
+
+    /**
+     * Arrow keys move between desktop icons (Enter, F2 and the rest are handled by Desktop).
+     * @param {KeyboardEvent} e
+     * @param {HTMLElement} icon - The focused icon.
+     */
+    onIconKey(e, icon) {
+        const directions = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+
+        if (directions[e.key]) {
+            e.preventDefault();
+            const next = this.findIconInDirection(icon, ...directions[e.key]);
+            if (next) next.focus();
+        }
+    }
+
+    /**
+     * Finds the nearest icon in a direction, using on-screen positions
+     * (the grid flows in columns, so DOM order alone is not enough).
+     * @param {HTMLElement} from - Current icon.
+     * @param {number} dx - -1, 0 or 1.
+     * @param {number} dy - -1, 0 or 1.
+     * @returns {HTMLElement|null}
+     */
+    findIconInDirection(from, dx, dy) {
+        const center = (el) => {
+            const r = el.getBoundingClientRect();
+            return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+        };
+        const origin = center(from);
+        let best = null, bestScore = Infinity;
+
+        document.querySelectorAll('#icon-grid .desktop-icon').forEach(icon => {
+            if (icon === from) return;
+            const c = center(icon);
+            const along = (c.x - origin.x) * dx + (c.y - origin.y) * dy; // Distance in the wanted direction
+            const across = Math.abs((c.x - origin.x) * dy) + Math.abs((c.y - origin.y) * dx); // Drift sideways
+            if (along <= 0) return;
+            const score = along + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = icon;
+            }
+        });
+        return best;
+    }
+}
+
+// --- CONTEXT MENU ---
+
+/**
+ * A right-click menu shared by the desktop and the apps. Only one menu is open at a time.
+ * Items are { label, icon, action, disabled, default } objects, or { separator: true }.
+ *
+ * Usage from an app:
+ *     contextMenu.bind(this.query('.my-list'), (e) => [
+ *         { label: 'Open', icon: 'fa-solid fa-folder-open', action: () => this.open() },
+ *         { separator: true },
+ *         { label: 'Delete', disabled: !this.canDelete, action: () => this.remove() }
+ *     ]);
+ */
+class ContextMenu {
+    constructor() {
+        this.el = null;
+        this.returnFocus = null;
+        this.onOutside = (e) => {
+            if (this.el && !this.el.contains(e.target)) this.close();
+        };
+        this.onViewportChange = () => this.close();
+    }
+
+    /**
+     * Shows a menu whenever the element (or something inside it) is right-clicked,
+     * long-pressed on a touch screen, or gets the Menu key / Shift+F10.
+     * @param {HTMLElement} target - Element to listen on.
+     * @param {function(MouseEvent): Array<Object>|null} getItems - Builds the items for this click;
+     *     return null (or nothing) to keep the browser's own menu.
+     */
+    bind(target, getItems) {
+        target.addEventListener('contextmenu', (e) => {
+            const items = getItems(e);
+            if (!items || items.length === 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            // Keyboard-opened menus report (0, 0): show them next to the focused element instead
+            let { clientX: x, clientY: y } = e;
+            if (x === 0 && y === 0 && e.target.getBoundingClientRect) {
+                const rect = e.target.getBoundingClientRect();
+                x = rect.left + rect.width / 2;
+                y = rect.top + rect.height / 2;
+            }
+            this.open(x, y, items);
+        });
+
+        // Not every touch browser turns a long press into a contextmenu event (iOS Safari doesn't)
+        let timer = null, start = null, fired = false;
+        target.addEventListener('touchstart', (e) => {
+            clearTimeout(timer);
+            fired = false;
+            if (e.touches.length !== 1) return;
+            const touch = e.touches[0];
+            start = { x: touch.clientX, y: touch.clientY };
+            timer = setTimeout(() => {
+                if (this.el) return; // The browser already opened one
+                fired = true;
+                touch.target.dispatchEvent(new MouseEvent('contextmenu', {
+                    bubbles: true, cancelable: true, clientX: start.x, clientY: start.y
+                }));
+            }, ContextMenu.LONG_PRESS_MS);
+        }, { passive: true });
+        target.addEventListener('touchmove', (e) => {
+            const touch = e.touches[0];
+            if (Math.hypot(touch.clientX - start.x, touch.clientY - start.y) > 10) clearTimeout(timer);
+        }, { passive: true });
+        target.addEventListener('touchend', (e) => {
+            clearTimeout(timer);
+            if (fired) e.preventDefault(); // No click after a long press
+        });
+        target.addEventListener('contextmenu', () => clearTimeout(timer), true);
+    }
+
+    /**
+     * Opens a menu at a screen position (kept inside the viewport).
+     * @param {number} x - Client X.
+     * @param {number} y - Client Y.
+     * @param {Array<Object>} items - Menu items.
+     */
+    open(x, y, items) {
+        this.close();
+        this.returnFocus = document.activeElement;
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.setAttribute('role', 'menu');
+        items.forEach(item => {
+            if (item.separator) {
+                const line = document.createElement('div');
+                line.className = 'context-menu-separator';
+                line.setAttribute('role', 'separator');
+                menu.appendChild(line);
+                return;
+            }
+            const entry = document.createElement('div');
+            entry.className = `context-menu-item${item.default ? ' default' : ''}`;
+            entry.setAttribute('role', 'menuitem');
+            entry.tabIndex = -1;
+            if (item.disabled) entry.setAttribute('aria-disabled', 'true');
+            entry.innerHTML = `<i class="${escapeHtml(item.icon || '')}"></i><span>${escapeHtml(item.label)}</span>`;
+            entry.addEventListener('click', () => {
+                if (!item.disabled) this.activate(item);
+            });
+            entry.addEventListener('mouseenter', () => {
+                if (!item.disabled) entry.focus({ preventScroll: true });
+            });
+            menu.appendChild(entry);
+        });
+        menu.addEventListener('keydown', (e) => this.onKeyDown(e));
+        menu.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        document.body.appendChild(menu);
+        const left = Math.min(x, window.innerWidth - menu.offsetWidth - 4);
+        const top = Math.min(y, window.innerHeight - menu.offsetHeight - 4);
+        menu.style.left = `${Math.max(0, left)}px`;
+        menu.style.top = `${Math.max(0, top)}px`;
+        this.el = menu;
+
+        document.addEventListener('mousedown', this.onOutside, true);
+        document.addEventListener('touchstart', this.onOutside, true);
+        window.addEventListener('resize', this.onViewportChange);
+        window.addEventListener('blur', this.onViewportChange);
+
+        const first = this.enabledItems()[0];
+        if (first) first.focus({ preventScroll: true });
+    }
+
+    /**
+     * Closes the open menu, if any.
+     * @param {boolean} [restoreFocus=true] - Give focus back to what had it before the menu opened.
+     */
+    close(restoreFocus = true) {
+        if (!this.el) return;
+        this.el.remove();
+        this.el = null;
+        document.removeEventListener('mousedown', this.onOutside, true);
+        document.removeEventListener('touchstart', this.onOutside, true);
+        window.removeEventListener('resize', this.onViewportChange);
+        window.removeEventListener('blur', this.onViewportChange);
+        if (restoreFocus && this.returnFocus && this.returnFocus.isConnected) this.returnFocus.focus({ preventScroll: true });
+        this.returnFocus = null;
+    }
+
+    /**
+     * Closes the menu and runs an item's action.
+     * @param {Object} item
+     */
+    activate(item) {
+        this.close();
+        item.action();
+    }
+
+    /**
+     * @returns {HTMLElement[]} Items that can be focused and activated.
+     */
+    enabledItems() {
+        return [...this.el.querySelectorAll('.context-menu-item:not([aria-disabled])')];
+    }
+
+    /**
+     * Arrow keys move between items, Enter/Space activates, Escape and Tab close.
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        const entries = this.enabledItems();
+        const index = entries.indexOf(document.activeElement);
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (entries.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            entries[(index + step + entries.length) % entries.length].focus();
+        } else if (e.key === 'Home' || e.key === 'End') {
+            e.preventDefault();
+            if (entries.length) entries[e.key === 'Home' ? 0 : entries.length - 1].focus();
+        } else if ((e.key === 'Enter' || e.key === ' ') && index >= 0) {
+            e.preventDefault();
+            entries[index].click();
+        } else if (e.key === 'Escape' || e.key === 'Tab') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+}
+
+ContextMenu.LONG_PRESS_MS = 600;
+
+/**
+ * The shared context menu.
+ * @type {ContextMenu}
+ */
+const contextMenu = new ContextMenu();
+
+// --- DESKTOP ---
+
+/**
+ * The desktop icon grid. Icons snap to grid cells and can be dragged around,
+ * selected with a rubber band or Ctrl+click, renamed and opened with a double-click
+ * (a single tap on touch screens). Positions and custom labels are saved in localStorage.
+ */
+class Desktop {
+    /**
+     * @param {WindowManager} windowManager - Used to launch apps and open the Properties window.
+     * @param {string} [storageKey] - localStorage key holding positions and labels.
+     */
+    constructor(windowManager, storageKey = 'rubensos.desktop') {
+        this.windowManager = windowManager;
+        this.storageKey = storageKey;
+        this.grid = document.getElementById('icon-grid');
+        /** @type {Array<{key: string, app: string, label: string, icon: string, options: Object}>} */
+        this.entries = [];
+        this.layout = this.load();
+        this.pointerActive = false;
+
+        // Touch screens have no double-click, so a tap opens right away
+        this.openOnSingleTap = window.matchMedia('(pointer: coarse)').matches;
+
+        this.setupEvents();
+    }
+
+    /**
+     * @returns {{positions: Object<string, {col: number, row: number}>, labels: Object<string, string>}}
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return { positions: saved.positions || {}, labels: saved.labels || {} };
+        } catch (error) {
+            console.warn("[Desktop] Could not read the icon layout:", error);
+            return { positions: {}, labels: {} };
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.layout));
+        } catch (error) {
+            console.warn("[Desktop] Could not save the icon layout:", error);
+        }
+    }
+
+    /**
+     * Creates the icons and places them.
+     * @param {Array<{key: string, app: string, label: string, icon: string, options: Object}>} entries
+     */
+    render(entries) {
+        this.entries = entries;
+        this.grid.innerHTML = '';
+        entries.forEach(entry => this.grid.appendChild(this.createIcon(entry)));
+        this.arrange();
+    }
+
+    /**
+     * Helper to create a DOM element for a desktop icon.
+     * @param {Object} entry - Desktop entry.
+     * @returns {HTMLElement} The icon element.
+     */
+    createIcon(entry) {
+        const div = document.createElement('div');
+        div.className = 'desktop-icon';
+        div.tabIndex = 0;
+        div.setAttribute('role', 'button');
+        div.dataset.key = entry.key;
+        div.dataset.app = entry.app;
+        div.innerHTML = `
+            <div class="icon-img"><i class="${escapeHtml(entry.icon)}"></i></div>
+            <span class="icon-label">${escapeHtml(this.labelOf(entry))}</span>
+        `;
+        return div;
+    }
+
+    /**
+     * @param {Object} entry - Desktop entry.
+     * @returns {string} The user's label, or the configured one.
+     */
+    labelOf(entry) {
+        return this.layout.labels[entry.key] || entry.label;
+    }
+
+    /**
+     * @param {HTMLElement} icon
+     * @returns {Object|undefined} The entry behind an icon.
+     */
+    entryOf(icon) {
+        return this.entries.find(entry => entry.key === icon.dataset.key);
+    }
+
+    /**
+     * @returns {HTMLElement[]}
+     */
+    icons() {
+        return [...this.grid.querySelectorAll('.desktop-icon')];
+    }
+
+    // --- LAYOUT ---
+
+    /**
+     * @returns {number} How many icon rows fit on screen.
+     */
+    rowCount() {
+        return Math.max(1, Math.floor((this.grid.clientHeight - 2 * Desktop.PADDING) / Desktop.CELL_HEIGHT));
+    }
+
+    /**
+     * Puts every icon in a cell: saved positions first, then the rest in the first free cells
+     * (top to bottom, left to right). Saved cells that no longer fit on screen are reflowed.
+     */
+    arrange() {
+        const rows = this.rowCount();
+        const taken = new Set();
+        const cells = new Map();
+        const place = (icon, cell) => {
+            cells.set(icon, cell);
+            taken.add(`${cell.col},${cell.row}`);
+        };
+
+        const pending = [];
+        this.icons().forEach(icon => {
+            const cell = this.layout.positions[icon.dataset.key];
+            if (cell && cell.row < rows && !taken.has(`${cell.col},${cell.row}`)) place(icon, cell);
+            else pending.push(icon);
+        });
+        pending.forEach(icon => place(icon, this.nextFreeCell(taken, rows)));
+
+        cells.forEach((cell, icon) => this.moveIcon(icon, cell));
+        this.sortByPosition();
+    }
+
+    /**
+     * @param {Set<string>} taken - "col,row" keys of occupied cells.
+     * @param {number} rows - Rows on screen.
+     * @returns {{col: number, row: number}} The first free cell, top to bottom, left to right.
+     */
+    nextFreeCell(taken, rows) {
+        for (let i = 0; ; i++) {
+            const cell = { col: Math.floor(i / rows), row: i % rows };
+            if (!taken.has(`${cell.col},${cell.row}`)) return cell;
+        }
+    }
+
+    /**
+     * Finds the free cell closest to a wanted one.
+     * @param {{col: number, row: number}} wanted
+     * @param {Set<string>} taken - "col,row" keys of occupied cells.
+     * @param {number} rows - Rows on screen.
+     * @returns {{col: number, row: number}}
+     */
+    findFreeCell(wanted, taken, rows) {
+        let best = null, bestDistance = Infinity;
+        const maxCol = wanted.col + Math.ceil(this.entries.length / rows) + 1;
+        for (let col = 0; col <= maxCol; col++) {
+            for (let row = 0; row < rows; row++) {
+                if (taken.has(`${col},${row}`)) continue;
+                const distance = Math.hypot(col - wanted.col, row - wanted.row);
+                if (distance < bestDistance) {
+                    best = { col, row };
+                    bestDistance = distance;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Positions an icon on its cell.
+     * @param {HTMLElement} icon
+     * @param {{col: number, row: number}} cell
+     */
+    moveIcon(icon, cell) {
+        icon.dataset.col = cell.col;
+        icon.dataset.row = cell.row;
+        icon.style.left = `${Desktop.PADDING + cell.col * Desktop.CELL_WIDTH}px`;
+        icon.style.top = `${Desktop.PADDING + cell.row * Desktop.CELL_HEIGHT}px`;
+    }
+
+    /**
+     * Keeps DOM (and Tab) order in line with the grid: column by column, top to bottom.
+     */
+    sortByPosition() {
+        this.icons()
+            .sort((a, b) => (a.dataset.col - b.dataset.col) || (a.dataset.row - b.dataset.row))
+            .forEach(icon => this.grid.appendChild(icon));
+    }
+
+    /**
+     * Saves where every icon currently is.
+     */
+    savePositions() {
+        this.icons().forEach(icon => {
+            this.layout.positions[icon.dataset.key] = { col: Number(icon.dataset.col), row: Number(icon.dataset.row) };
+        });
+        this.save();
+    }
+
+    /**
+     * Lines the icons up alphabetically, column by column.
+     */
+    arrangeByName() {
+        this.layout.positions = {};
+        const rows = this.rowCount();
+        this.icons()
+            .sort((a, b) => this.labelOf(this.entryOf(a)).localeCompare(this.labelOf(this.entryOf(b)), undefined, { sensitivity: 'base' }))
+            .forEach((icon, i) => this.moveIcon(icon, { col: Math.floor(i / rows), row: i % rows }));
+        this.sortByPosition();
+        this.savePositions();
+    }
+
+    /**
+     * Re-reads the saved layout and redraws the icons.
+     */
+    refresh() {
+        this.layout = this.load();
+        this.render(this.entries);
+    }
+
+    // --- SELECTION ---
+
+    /**
+     * @returns {HTMLElement[]} Selected icons.
+     */
+    selectedIcons() {
+        return [...this.grid.querySelectorAll('.desktop-icon.selected')];
+    }
+
+    /**
+     * Selects exactly the given icons.
+     * @param {HTMLElement[]} icons
+     */
+    select(icons) {
+        this.icons().forEach(icon => {
+            const selected = icons.includes(icon);
+            icon.classList.toggle('selected', selected);
+            icon.setAttribute('aria-pressed', selected);
+        });
+    }
+
+    /**
+     * @param {HTMLElement} icon
+     * @returns {{left: number, top: number, right: number, bottom: number}} The icon's cell, in grid coordinates.
+     */
+    cellRect(icon) {
+        const left = parseFloat(icon.style.left) || 0;
+        const top = parseFloat(icon.style.top) || 0;
+        return { left, top, right: left + Desktop.CELL_WIDTH - Desktop.GAP, bottom: top + Desktop.CELL_HEIGHT - Desktop.GAP };
+    }
+
+    // --- ACTIONS ---
+
+    /**
+     * Launches the app behind each icon.
+     * @param {HTMLElement[]} icons
+     */
+    open(icons) {
+        icons.forEach(icon => {
+            const entry = this.entryOf(icon);
+            if (entry) this.windowManager.launchApp(entry.app, entry.options);
+        });
+    }
+
+    /**
+     * Edits an icon's label in place. Enter or leaving the field saves, Escape cancels,
+     * an empty name brings back the configured label.
+     * @param {HTMLElement} icon
+     */
+    rename(icon) {
+        const entry = this.entryOf(icon);
+        const label = icon.querySelector('.icon-label');
+        if (!entry || !label) return;
+
+        const input = document.createElement('input');
+        input.className = 'icon-rename';
+        input.value = this.labelOf(entry);
+        input.setAttribute('aria-label', 'New name');
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            const name = input.value.trim();
+            if (commit) {
+                if (name && name !== entry.label) this.layout.labels[entry.key] = name;
+                else delete this.layout.labels[entry.key];
+                this.save();
+            }
+            label.textContent = this.labelOf(entry);
+            input.replaceWith(label);
+            icon.focus({ preventScroll: true });
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            else if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        // Let the caret move and text get selected without starting an icon drag
+        ['mousedown', 'touchstart', 'dblclick', 'click'].forEach(type => input.addEventListener(type, (e) => e.stopPropagation()));
+    }
+
+    /**
+     * Opens a window describing an icon.
+     * @param {HTMLElement} icon
+     */
+    showProperties(icon) {
+        const entry = this.entryOf(icon);
+        if (!entry) return;
+        const app = appRegistry.get(entry.app);
+        const name = this.labelOf(entry);
+        const target = entry.options.path ? `${app.title} (${entry.options.path})` : app.title;
+        const rows = [
+            ['Type', 'Application shortcut'],
+            ['Target', target],
+            ['App ID', entry.app],
+            ['Location', `Desktop, column ${Number(icon.dataset.col) + 1}, row ${Number(icon.dataset.row) + 1}`]
+        ];
+        if (name !== entry.label) rows.push(['Original name', entry.label]);
+
+        this.windowManager.openWindow(`${name} Properties`, `
+            <div class="icon-properties">
+                <div class="icon-properties-header"><i class="${escapeHtml(entry.icon)}"></i> ${escapeHtml(name)}</div>
+                <dl>${rows.map(([term, value]) => `<dt>${term}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+            </div>
+        `, { icon: entry.icon, minWidth: 260, minHeight: 180 });
+    }
+
+    // --- EVENTS ---
+
+    /**
+     * Binds pointer, keyboard and context menu handling on the grid.
+     */
+    setupEvents() {
+        this.grid.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            const icon = e.target.closest('.desktop-icon');
+            if (icon) this.startIconDrag(e, icon);
+            else this.startRubberBand(e);
+        });
+
+        this.grid.addEventListener('click', (e) => {
+            const icon = e.target.closest('.desktop-icon');
+            if (icon && this.openOnSingleTap) this.open([icon]);
+        });
+        this.grid.addEventListener('dblclick', (e) => {
+            const icon = e.target.closest('.desktop-icon');
+            if (icon && !this.openOnSingleTap) this.open([icon]);
+        });
+        this.grid.addEventListener('touchstart', (e) => {
+            const icon = e.target.closest('.desktop-icon');
+            if (icon && e.touches.length === 1) this.startTouchDrag(e, icon);
+        }, { passive: true });
+
+        // Keyboard focus (arrow keys, Tab) selects, unless a click is managing the selection
+        this.grid.addEventListener('focusin', (e) => {
+            const icon = e.target.closest('.desktop-icon');
+            if (icon && !this.pointerActive && !icon.classList.contains('selected')) this.select([icon]);
+        });
+
+        this.grid.addEventListener('keydown', (e) => {
+            const icon = e.target.closest('.desktop-icon');
+            if (!icon) return;
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.open(icon.classList.contains('selected') ? this.selectedIcons() : [icon]);
+            } else if (e.key === 'F2') {
+                e.preventDefault();
+                this.rename(icon);
+            } else if (e.key === 'a' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.select(this.icons());
+            } else if (e.key === 'Escape') {
+                this.select([]);
+            }
+        });
+
+        contextMenu.bind(this.grid, (e) => {
+            const icon = e.target.closest('.desktop-icon');
+            if (!icon) return this.desktopMenu();
+            if (!icon.classList.contains('selected')) this.select([icon]);
+            icon.focus({ preventScroll: true });
+            return this.iconMenu(icon);
+        });
+
+        window.addEventListener('resize', () => this.arrange());
+    }
+
+    /**
+     * @returns {Array<Object>} Context menu for the empty desktop.
+     */
+    desktopMenu() {
+        return [
+            { label: 'Arrange Icons by Name', icon: 'fa-solid fa-arrow-down-a-z', action: () => this.arrangeByName() },
+            { label: 'Refresh', icon: 'fa-solid fa-rotate-right', action: () => this.refresh() },
+            { separator: true },
+            { label: 'Display Settings', icon: 'fa-solid fa-display', action: () => this.windowManager.launchApp('display') }
+        ];
+    }
+
+    /**
+     * @param {HTMLElement} icon - The right-clicked icon (already selected).
+     * @returns {Array<Object>} Context menu for the selected icons.
+     */
+    iconMenu(icon) {
+        const single = this.selectedIcons().length <= 1;
+        return [
+            { label: 'Open', icon: 'fa-solid fa-up-right-from-square', default: true, action: () => this.open(this.selectedIcons()) },
+            { separator: true },
+            { label: 'Rename', icon: 'fa-solid fa-i-cursor', disabled: !single, action: () => this.rename(icon) },
+            { label: 'Properties', icon: 'fa-solid fa-circle-info', disabled: !single, action: () => this.showProperties(icon) }
+        ];
+    }
+
+    /**
+     * Mouse down on an icon: select it, then drag the selection once the pointer moves far enough.
+     * Ctrl/Cmd+click toggles the icon instead.
+     * @param {MouseEvent} e
+     * @param {HTMLElement} icon
+     */
+    startIconDrag(e, icon) {
+        const toggle = e.ctrlKey || e.metaKey;
+        if (!toggle && !icon.classList.contains('selected')) this.select([icon]);
+        this.pointerActive = true;
+
+        const drag = this.createDrag(e.clientX, e.clientY);
+        const onMouseMove = (ev) => drag.move(ev.clientX, ev.clientY);
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+            this.pointerActive = false;
+            if (drag.moved) {
+                drag.drop();
+            } else if (toggle) {
+                const selected = this.selectedIcons();
+                this.select(icon.classList.contains('selected') ? selected.filter(el => el !== icon) : [...selected, icon]);
+            } else {
+                this.select([icon]);
+            }
+        };
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * Touch on an icon: dragging it moves it; a tap is left to the click handler.
+     * @param {TouchEvent} e
+     * @param {HTMLElement} icon
+     */
+    startTouchDrag(e, icon) {
+        const touch = e.touches[0];
+        let drag = null;
+
+        const onTouchMove = (ev) => {
+            const t = ev.touches[0];
+            if (!drag) {
+                this.select([icon]);
+                drag = this.createDrag(touch.clientX, touch.clientY);
+            }
+            drag.move(t.clientX, t.clientY);
+            // Prevent scrolling the page while dragging the icon
+            if (drag.moved) ev.preventDefault();
+        };
+        const onTouchEnd = (ev) => {
+            document.removeEventListener('touchmove', onTouchMove);
+            document.removeEventListener('touchend', onTouchEnd);
+            if (drag && drag.moved) {
+                ev.preventDefault(); // No click (and no launch) after a drag
+                drag.drop();
+            }
+        };
+        document.addEventListener('touchmove', onTouchMove, { passive: false });
+        document.addEventListener('touchend', onTouchEnd);
+    }
+
+    /**
+     * Tracks a drag of the selected icons.
+     * @param {number} startX - Client X where the pointer went down.
+     * @param {number} startY - Client Y where the pointer went down.
+     * @returns {{moved: boolean, move: function(number, number), drop: function()}}
+     */
+    createDrag(startX, startY) {
+        const icons = this.selectedIcons();
+        const origins = icons.map(icon => ({ icon, left: parseFloat(icon.style.left) || 0, top: parseFloat(icon.style.top) || 0 }));
+
+        const drag = {
+            moved: false,
+            move: (x, y) => {
+                const dx = x - startX, dy = y - startY;
+                if (!drag.moved && Math.hypot(dx, dy) < Desktop.DRAG_THRESHOLD) return;
+                drag.moved = true;
+                origins.forEach(({ icon, left, top }) => {
+                    icon.classList.add('dragging');
+                    icon.style.left = `${left + dx}px`;
+                    icon.style.top = `${top + dy}px`;
+                });
+            },
+            drop: () => {
+                const rows = this.rowCount();
+                const dragged = new Set(icons);
+                const taken = new Set(this.icons()
+                    .filter(icon => !dragged.has(icon))
+                    .map(icon => `${icon.dataset.col},${icon.dataset.row}`));
+
+                origins.forEach(({ icon }) => {
+                    icon.classList.remove('dragging');
+                    const wanted = {
+                        col: Math.max(0, Math.round((parseFloat(icon.style.left) - Desktop.PADDING) / Desktop.CELL_WIDTH)),
+                        row: Math.min(rows - 1, Math.max(0, Math.round((parseFloat(icon.style.top) - Desktop.PADDING) / Desktop.CELL_HEIGHT)))
+                    };
+                    const cell = taken.has(`${wanted.col},${wanted.row}`) ? this.findFreeCell(wanted, taken, rows) : wanted;
+                    taken.add(`${cell.col},${cell.row}`);
+                    this.moveIcon(icon, cell);
+                });
+                this.sortByPosition();
+                this.savePositions();
+            }
+        };
+        return drag;
+    }
+
+    /**
+     * Mouse down on the empty desktop: draw a selection rectangle.
+     * Ctrl/Cmd adds to the current selection.
+     * @param {MouseEvent} e
+     */
+    startRubberBand(e) {
+        e.preventDefault(); // No text selection while dragging
+        if (document.activeElement && document.activeElement.closest && document.activeElement.closest('.desktop-icon')) {
+            document.activeElement.blur();
+        }
+        const keep = e.ctrlKey || e.metaKey ? this.selectedIcons() : [];
+        this.select(keep);
+
+        const origin = this.grid.getBoundingClientRect();
+        const toGrid = (x, y) => ({ x: x - origin.left + this.grid.scrollLeft, y: y - origin.top + this.grid.scrollTop });
+        const start = toGrid(e.clientX, e.clientY);
+        const band = document.createElement('div');
+        band.className = 'selection-band';
+
+        const onMouseMove = (ev) => {
+            const point = toGrid(ev.clientX, ev.clientY);
+            const box = {
+                left: Math.min(start.x, point.x), top: Math.min(start.y, point.y),
+                right: Math.max(start.x, point.x), bottom: Math.max(start.y, point.y)
+            };
+            if (!band.isConnected) this.grid.appendChild(band);
+            Object.assign(band.style, {
+                left: `${box.left}px`, top: `${box.top}px`,
+                width: `${box.right - box.left}px`, height: `${box.bottom - box.top}px`
+            });
+            const inside = this.icons().filter(icon => {
+                const r = this.cellRect(icon);
+                return r.left < box.right && r.right > box.left && r.top < box.bottom && r.bottom > box.top;
+            });
+            this.select([...new Set([...keep, ...inside])]);
+        };
+        const onMouseUp = () => {
+            band.remove();
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+        };
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+}
+
+Desktop.PADDING = 20;
+Desktop.CELL_WIDTH = 96;
+Desktop.CELL_HEIGHT = 104;
+Desktop.GAP = 10;
+Desktop.DRAG_THRESHOLD = 5;
+
+// --- START MENU ---
+
+/**
+ * The Start menu behind the nav bar's Start button: every registered app, the Projects
+ * and Links folders, recently opened items and the system actions. Typing filters apps,
+ * links and Terminal commands. Keyboard: the startMenu shortcut opens it, arrows move,
+ * Enter opens, Escape closes.
+ */
+class StartMenu {
+    constructor() {
+        this.button = null;
+        this.el = null;
+        this.systemLoader = null;
+        /** @type {Array<Object>} Items currently shown, in display order */
+        this.items = [];
+        this.activeIndex = 0;
+        this.returnFocus = null;
+
+        // Touch screens would pop up the on-screen keyboard on every open
+        this.focusSearchOnOpen = !window.matchMedia('(pointer: coarse)').matches;
+
+        this.onOutside = (e) => {
+            if (this.isOpen() && !this.el.contains(e.target) && !this.button.contains(e.target)) this.close(false);
+        };
+    }
+
+    /**
+     * Wires up the Start button and the menu element.
+     * @param {HTMLElement} button - The nav bar Start button.
+     * @param {HTMLElement} el - The menu container (see index.html).
+     * @param {SystemLoader} systemLoader - Launches apps, reboots and shows About.
+     */
+    attach(button, el, systemLoader) {
+        this.button = button;
+        this.el = el;
+        this.systemLoader = systemLoader;
+        this.search = el.querySelector('.start-search');
+        this.list = el.querySelector('.start-list');
+
+        button.addEventListener('click', () => this.toggle());
+        this.search.addEventListener('input', () => {
+            this.activeIndex = 0;
+            this.render();
+        });
+        this.el.addEventListener('keydown', (e) => this.onKeyDown(e));
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.activate(this.items[Number(option.dataset.index)]);
+        });
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) this.highlight(Number(option.dataset.index));
+        });
+
+        window.addEventListener('recent-changed', () => {
+            if (this.isOpen()) this.render();
+        });
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.el && !this.el.hidden);
+    }
+
+    toggle() {
+        if (this.isOpen()) this.close();
+        else this.open();
+    }
+
+    /**
+     * Opens the menu with an empty search.
+     */
+    open() {
+        if (!this.el || this.isOpen()) return;
+        this.returnFocus = document.activeElement;
+        this.search.value = '';
+        this.activeIndex = 0;
+        this.render();
+        this.el.hidden = false;
+        this.button.classList.add('active');
+        this.button.setAttribute('aria-expanded', 'true');
+        if (this.focusSearchOnOpen) this.search.focus();
+        else this.list.focus({ preventScroll: true });
+        document.addEventListener('mousedown', this.onOutside, true);
+        document.addEventListener('touchstart', this.onOutside, true);
+    }
+
+    /**
+     * @param {boolean} [restoreFocus=true] - Give focus back to what had it before the menu opened.
+     */
+    close(restoreFocus = true) {
+        if (!this.isOpen()) return;
+        this.el.hidden = true;
+        this.button.classList.remove('active');
+        this.button.setAttribute('aria-expanded', 'false');
+        document.removeEventListener('mousedown', this.onOutside, true);
+        document.removeEventListener('touchstart', this.onOutside, true);
+        if (restoreFocus && this.returnFocus && this.returnFocus.isConnected) this.returnFocus.focus({ preventScroll: true });
+        this.returnFocus = null;
+    }
+
+    /**
+     * Closes the menu and runs an item.
+     * @param {Object} item
+     */
+    activate(item) {
+        if (!item) return;
+        this.close(false);
+        item.action();
+    }
+
+    /**
+     * Arrows move the highlight, Enter opens it, Escape closes.
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        const count = this.items.length;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count) this.highlight((this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count);
+        } else if ((e.key === 'Home' || e.key === 'End') && e.target !== this.search) {
+            e.preventDefault();
+            if (count) this.highlight(e.key === 'Home' ? 0 : count - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.activate(this.items[this.activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            this.close(false);
+        } else if (e.target !== this.search && e.key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey) {
+            // Typing anywhere in the menu searches
+            this.search.focus();
+        }
+    }
+
+    /**
+     * Moves the highlight.
+     * @param {number} index - Index in this.items.
+     */
+    highlight(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('[data-index]').forEach(option => {
+            const active = Number(option.dataset.index) === index;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', active);
+            if (active) {
+                this.search.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Redraws the list for the current search.
+     */
+    render() {
+        const query = this.search.value.trim();
+        const sections = query ? this.searchSections(query) : this.browseSections();
+
+        this.items = [];
+        this.list.innerHTML = '';
+        sections.forEach(({ title, items }) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('li');
+            heading.className = 'start-section';
+            heading.setAttribute('role', 'presentation');
+            heading.textContent = title;
+            this.list.appendChild(heading);
+
+            items.forEach(item => {
+                const index = this.items.push(item) - 1;
+                const option = document.createElement('li');
+                option.className = 'start-item';
+                option.id = `start-item-${index}`;
+                option.dataset.index = index;
+                option.setAttribute('role', 'option');
+                option.innerHTML = `
+                    <i class="${escapeHtml(item.icon)}"></i>
+                    <span class="start-item-label">${escapeHtml(item.label)}</span>
+                    ${item.detail ? `<span class="start-item-detail">${escapeHtml(item.detail)}</span>` : ''}
+                `;
+                this.list.appendChild(option);
+            });
+        });
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'start-empty';
+            empty.setAttribute('role', 'presentation');
+            empty.textContent = `Nothing matches "${query}"`;
+            this.list.appendChild(empty);
+        }
+        this.highlight(Math.min(this.activeIndex, Math.max(0, this.items.length - 1)));
+    }
+
+    /**
+     * @returns {Array<{title: string, items: Array<Object>}>} The menu without a search.
+     */
+    browseSections() {
+        return [
+            { title: 'Programs', items: this.appItems() },
+            ...StartMenu.FOLDERS.map(folder => ({ title: folder.title, items: this.folderItems(folder.path, false) })),
+            { title: 'Recent', items: this.recentItems() },
+            { title: 'System', items: this.systemItems() }
+        ];
+    }
+
+    /**
+     * @param {string} query - What the user typed.
+     * @returns {Array<{title: string, items: Array<Object>}>} Matching apps, links and commands.
+     */
+    searchSections(query) {
+        const needle = query.toLowerCase();
+        const rank = (item) => {
+            const haystack = [item.label, ...(item.keywords || [])].map(text => text.toLowerCase());
+            if (haystack.some(text => text.startsWith(needle))) return 0;
+            if (haystack.some(text => text.includes(needle))) return 1;
+            return -1;
+        };
+        const filter = (items) => items
+            .map(item => ({ item, score: rank(item) }))
+            .filter(({ score }) => score >= 0)
+            .sort((a, b) => a.score - b.score)
+            .map(({ item }) => item);
+
+        const links = StartMenu.FOLDERS.flatMap(folder => this.folderItems(folder.path, true));
+        return [
+            { title: 'Programs', items: filter(this.appItems()) },
+            { title: 'Links', items: filter(links) },
+            { title: 'Commands', items: this.commandItems(query) },
+            { title: 'System', items: filter(this.systemItems()) }
+        ];
+    }
+
+    /**
+     * @returns {Array<Object>} One item per registered app, by name.
+     */
+    appItems() {
+        return appRegistry.list()
+            .map(app => ({
+                label: app.label,
+                icon: app.icon,
+                keywords: [app.id, app.title],
+                action: () => this.systemLoader.windowManager.launchApp(app.id)
+            }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * @param {string} path - VFS folder.
+     * @param {boolean} deep - Include what is inside subfolders (for searching).
+     * @returns {Array<Object>} Items for the folder's entries.
+     */
+    folderItems(path, deep) {
+        const folder = vfs.get(path);
+        if (!folder || !folder.children) return [];
+        return vfs.list(path).flatMap(node => {
+            const item = this.fileItem(node);
+            return deep && node.children ? [item, ...this.folderItems(vfs.pathOf(node), true)] : [item];
+        });
+    }
+
+    /**
+     * @param {Object} node - VFS node.
+     * @returns {Object} Item opening it.
+     */
+    fileItem(node) {
+        const path = vfs.pathOf(node);
+        return {
+            label: node.name,
+            icon: vfs.iconFor(node),
+            detail: node.type === 'link' ? node.url.replace(/^https?:\/\//, '') : '',
+            keywords: node.type === 'link' ? [node.url] : [],
+            action: () => this.systemLoader.windowManager.openFile(path)
+        };
+    }
+
+    /**
+     * @returns {Array<Object>} Recently opened apps and files that still exist.
+     */
+    recentItems() {
+        return recentItems.list().map(entry => {
+            if (entry.kind === 'app') {
+                const app = appRegistry.get(entry.appId);
+                return app && { label: app.label, icon: app.icon, action: () => this.systemLoader.windowManager.launchApp(app.id) };
+            }
+            const node = vfs.get(entry.path);
+            return node && { ...this.fileItem(node), detail: vfs.pathOf(node) };
+        }).filter(Boolean);
+    }
+
+    /**
+     * @returns {Array<Object>} Reboot and About.
+     */
+    systemItems() {
+        return [
+            { label: 'Reboot System', icon: 'fa-solid fa-power-off', keywords: ['restart', 'shutdown'], action: () => this.systemLoader.reboot() },
+            { label: 'About RubensOS', icon: 'fa-solid fa-circle-info', keywords: ['help', 'version'], action: () => this.systemLoader.showAbout() }
+        ];
+    }
+
+    /**
+     * @param {string} query - What the user typed; a command name followed by arguments runs as typed.
+     * @returns {Array<Object>} Matching Terminal commands.
+     */
+    commandItems(query) {
+        const [name] = query.toLowerCase().split(/\s+/);
+        return commandRegistry.list()
+            .filter(command => command.name.startsWith(name) || command.description.toLowerCase().includes(query.toLowerCase()))
+            .map(command => {
+                const line = command.name === name ? query : command.name;
+                return {
+                    label: line,
+                    icon: 'fa-solid fa-terminal',
+                    detail: command.description,
+                    action: () => this.systemLoader.windowManager.launchApp('terminal', { command: line })
+                };
+            });
+    }
+}
+
+// The folders seeded from the "folders" section of config.json (see the projects/links apps)
+StartMenu.FOLDERS = [
+    { title: 'Projects', path: 'A:\\' },
+    { title: 'Links', path: 'C:\\Internet' }
+];
+
+/**
+ * The global Start menu (attached to the nav bar during boot).
+ * @type {StartMenu}
+ */
+const startMenu = new StartMenu();
+
+// --- DIALOGS & NOTIFICATIONS ---
+
+/**
+ * Promise-based message boxes drawn as modal windows (replaces alert/confirm/prompt):
+ *     await dialogs.info('Saved.');
+ *     if (await dialogs.confirm('Delete it?')) ...
+ *     const name = await dialogs.prompt('Name:', 'Untitled'); // null if cancelled
+ */
+class Dialogs {
+    constructor() {
+        this.windowManager = null;
+    }
+
+    /**
+     * @param {WindowManager} windowManager - Draws the dialog windows.
+     */
+    attach(windowManager) {
+        this.windowManager = windowManager;
+    }
+
+    /**
+     * Shows a dialog and waits for an answer.
+     * @param {Object} options
+     * @param {string} [options.type='info'] - 'info', 'warning', 'error' or 'question' (picks the icon).
+     * @param {string} options.title - Window title.
+     * @param {string} options.message - Text (newlines are kept).
+     * @param {Array<{label: string, value: *}>} options.buttons - First one is the default (Enter).
+     * @param {*} options.cancelValue - Result for Escape or the close button.
+     * @param {string} [options.input] - Show a text field with this initial value.
+     * @returns {Promise<{value: *, input: string|null}>} The button's value and the field text.
+     */
+    show({ type = 'info', title, message, buttons, cancelValue, input }) {
+        if (!this.windowManager) {
+            console.warn(`[Dialog] ${title}: ${message}`);
+            return Promise.resolve({ value: cancelValue, input: null });
+        }
+
+        const hasInput = typeof input === 'string';
+        const win = this.windowManager.openModal(title, `
+            <form class="dialog">
+                <div class="dialog-body">
+                    <i class="dialog-icon dialog-${type} ${Dialogs.ICONS[type]}"></i>
+                    <div class="dialog-message">${escapeHtml(message)}</div>
+                </div>
+                ${hasInput ? '<input type="text" class="dialog-input" aria-label="Answer">' : ''}
+                <div class="dialog-buttons">
+                    ${buttons.map((button, i) => `<button type="${i === 0 ? 'submit' : 'button'}" data-index="${i}">${escapeHtml(button.label)}</button>`).join('')}
+                </div>
+            </form>
+        `, { icon: Dialogs.ICONS[type], minWidth: 260, minHeight: 120 });
+        win.classList.add('dialog-window');
+
+        const form = win.querySelector('.dialog');
+        const field = win.querySelector('.dialog-input');
+        if (field) {
+            field.value = input;
+            field.focus();
+            field.select();
+        } else {
+            form.querySelector('button[type="submit"]').focus();
+        }
+
+        return new Promise(resolve => {
+            let result = { value: cancelValue, input: null };
+            const answer = (button) => {
+                result = { value: button.value, input: field ? field.value : null };
+                this.windowManager.closeWindow(win);
+            };
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                answer(buttons[0]);
+            });
+            form.addEventListener('click', (e) => {
+                const button = e.target.closest('button[type="button"]');
+                if (button) answer(buttons[Number(button.dataset.index)]);
+            });
+            win.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape') return;
+                e.preventDefault();
+                this.windowManager.closeWindow(win);
+            });
+            // Every way out (buttons, Escape, the title bar X) ends here
+            win.addEventListener('window-closed', () => resolve(result));
+        });
+    }
+
+    /**
+     * @param {string} message
+     * @param {string} [title]
+     * @returns {Promise<void>} Resolves when dismissed.
+     */
+    async info(message, title = 'Information') {
+        await this.show({ type: 'info', title, message, buttons: [{ label: 'OK', value: true }] });
+    }
+
+    /**
+     * @param {string} message
+     * @param {string} [title]
+     * @returns {Promise<void>} Resolves when dismissed.
+     */
+    async warning(message, title = 'Warning') {
+        await this.show({ type: 'warning', title, message, buttons: [{ label: 'OK', value: true }] });
+    }
+
+    /**
+     * @param {string} message
+     * @param {string} [title]
+     * @returns {Promise<void>} Resolves when dismissed.
+     */
+    async error(message, title = 'Error') {
+        await this.show({ type: 'error', title, message, buttons: [{ label: 'OK', value: true }] });
+    }
+
+    /**
+     * @param {string} message - The question.
+     * @param {Object} [options]
+     * @param {string} [options.title='Confirm']
+     * @param {string} [options.ok='OK'] - Label of the accepting button.
+     * @param {string} [options.cancel='Cancel'] - Label of the refusing button.
+     * @returns {Promise<boolean>} True if accepted.
+     */
+    async confirm(message, { title = 'Confirm', ok = 'OK', cancel = 'Cancel' } = {}) {
+        const { value } = await this.show({
+            type: 'question', title, message, cancelValue: false,
+            buttons: [{ label: ok, value: true }, { label: cancel, value: false }]
+        });
+        return value;
+    }
+
+    /**
+     * @param {string} message - What to type.
+     * @param {string} [defaultValue='']
+     * @param {Object} [options]
+     * @param {string} [options.title='Input']
+     * @returns {Promise<string|null>} The text, or null if cancelled.
+     */
+    async prompt(message, defaultValue = '', { title = 'Input' } = {}) {
+        const { value, input } = await this.show({
+            type: 'question', title, message, input: defaultValue, cancelValue: false,
+            buttons: [{ label: 'OK', value: true }, { label: 'Cancel', value: false }]
+        });
+        return value ? input : null;
+    }
+}
+
+Dialogs.ICONS = {
+    info: 'fa-solid fa-circle-info',
+    warning: 'fa-solid fa-triangle-exclamation',
+    error: 'fa-solid fa-circle-xmark',
+    question: 'fa-solid fa-circle-question'
+};
+
+/**
+ * The global dialog service (attached to the window manager during bootstrap).
+ * @type {Dialogs}
+ */
+const dialogs = new Dialogs();
+
+/**
+ * Toast notifications next to the tray, plus a history panel behind the bell button.
+ * For things the user didn't ask for: boot problems, background errors, player fallbacks.
+ *     notifications.notify({ type: 'warning', title: 'WinAmp', message: 'Switched to the backup MP3' });
+ */
+class NotificationCenter {
+    constructor() {
+        /** @type {Array<{id: number, type: string, title: string, message: string, time: Date, read: boolean}>} Newest first */
+        this.history = [];
+        this.nextId = 1;
+        this.button = null;
+        this.panel = null;
+        this.toastArea = null;
+        this.pending = []; // Notified before attach()
+
+        this.onOutside = (e) => {
+            if (!this.panel.contains(e.target) && !this.button.contains(e.target)) this.closePanel();
+        };
+    }
+
+    /**
+     * @param {HTMLElement} button - Tray button toggling the history panel.
+     * @param {HTMLElement} panel - History panel.
+     * @param {HTMLElement} toastArea - Container for the toasts.
+     */
+    attach(button, panel, toastArea) {
+        this.button = button;
+        this.panel = panel;
+        this.toastArea = toastArea;
+
+        button.addEventListener('click', () => {
+            if (panel.hidden) this.openPanel();
+            else this.closePanel();
+        });
+        panel.querySelector('.notification-clear').addEventListener('click', () => this.clear());
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closePanel();
+                button.focus();
+            }
+        });
+
+        this.renderBadge();
+        this.pending.forEach(entry => this.showToast(entry));
+        this.pending = [];
+    }
+
+    /**
+     * Shows a toast and adds it to the history.
+     * @param {Object} options
+     * @param {string} [options.type='info'] - 'info', 'success', 'warning' or 'error'.
+     * @param {string} options.title
+     * @param {string} [options.message='']
+     * @param {number} [options.timeout] - ms before the toast hides (0 keeps it until dismissed).
+     * @returns {Object} The history entry.
+     */
+    notify({ type = 'info', title, message = '', timeout }) {
+        const entry = { id: this.nextId++, type, title, message, time: new Date(), read: false };
+        this.history.unshift(entry);
+        this.history.length = Math.min(this.history.length, NotificationCenter.HISTORY_LIMIT);
+        if (typeof timeout === 'number') entry.timeout = timeout;
+        else entry.timeout = type === 'error' ? NotificationCenter.ERROR_TIMEOUT : NotificationCenter.TIMEOUT;
+
+        if (this.toastArea) {
+            this.showToast(entry);
+            this.renderBadge();
+            if (!this.panel.hidden) this.renderPanel();
+        } else {
+            this.pending.push(entry);
+        }
+        window.dispatchEvent(new CustomEvent('notification', { detail: { entry } }));
+        return entry;
+    }
+
+    /**
+     * @param {Object} entry - History entry.
+     */
+    showToast(entry) {
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${entry.type}`;
+        toast.setAttribute('role', entry.type === 'error' ? 'alert' : 'status');
+        toast.innerHTML = `
+            <i class="${NotificationCenter.ICONS[entry.type] || NotificationCenter.ICONS.info}"></i>
+            <div class="toast-text">
+                <strong>${escapeHtml(entry.title)}</strong>
+                ${entry.message ? `<span>${escapeHtml(entry.message)}</span>` : ''}
+            </div>
+            <button class="toast-close" title="Dismiss" aria-label="Dismiss">X</button>
+        `;
+        const dismiss = () => toast.remove();
+        toast.querySelector('.toast-close').addEventListener('click', dismiss);
+        this.toastArea.appendChild(toast);
+        if (entry.timeout > 0) setTimeout(dismiss, entry.timeout);
+
+        // Keep the pile short
+        while (this.toastArea.children.length > NotificationCenter.MAX_TOASTS) this.toastArea.firstElementChild.remove();
+    }
+
+    openPanel() {
+        this.history.forEach(entry => { entry.read = true; });
+        this.renderPanel();
+        this.renderBadge();
+        this.panel.hidden = false;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.panel.querySelector('.notification-clear').focus({ preventScroll: true });
+        document.addEventListener('mousedown', this.onOutside, true);
+    }
+
+    closePanel() {
+        if (!this.panel || this.panel.hidden) return;
+        this.panel.hidden = true;
+        this.button.setAttribute('aria-expanded', 'false');
+        document.removeEventListener('mousedown', this.onOutside, true);
+    }
+
+    /**
+     * Empties the history and hides the toasts.
+     */
+    clear() {
+        this.history = [];
+        this.toastArea.innerHTML = '';
+        this.renderPanel();
+        this.renderBadge();
+    }
+
+    /**
+     * Draws the history list.
+     */
+    renderPanel() {
+        const list = this.panel.querySelector('.notification-list');
+        if (this.history.length === 0) {
+            list.innerHTML = '<li class="notification-empty">No notifications</li>';
+            return;
+        }
+        list.innerHTML = this.history.map(entry => `
+            <li class="notification-entry toast-${entry.type}">
+                <i class="${NotificationCenter.ICONS[entry.type] || NotificationCenter.ICONS.info}"></i>
+                <div class="toast-text">
+                    <strong>${escapeHtml(entry.title)}</strong>
+                    ${entry.message ? `<span>${escapeHtml(entry.message)}</span>` : ''}
+                </div>
+                <time datetime="${entry.time.toISOString()}">${entry.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</time>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Shows the unread count on the tray button.
+     */
+    renderBadge() {
+        const unread = this.history.filter(entry => !entry.read).length;
+        const badge = this.button.querySelector('.notification-badge');
+        badge.hidden = unread === 0;
+        badge.textContent = unread > 9 ? '9+' : String(unread);
+        this.button.title = unread ? `${unread} new notification(s)` : 'Notifications';
+    }
+}
+
+NotificationCenter.TIMEOUT = 5000;
+NotificationCenter.ERROR_TIMEOUT = 10000;
+NotificationCenter.MAX_TOASTS = 4;
+NotificationCenter.HISTORY_LIMIT = 50;
+NotificationCenter.ICONS = {
+    info: 'fa-solid fa-circle-info',
+    success: 'fa-solid fa-circle-check',
+    warning: 'fa-solid fa-triangle-exclamation',
+    error: 'fa-solid fa-circle-xmark'
+};
+
+/**
+ * The global notification center (attached to the tray during bootstrap).
+ * @type {NotificationCenter}
+ */
+const notifications = new NotificationCenter();
+
+// --- APP BASE CLASS ---
+
+/**
+ * Base class for apps living inside a window.
+ * Each instance owns its state and only ever touches the DOM of its own window,
+ * so any app can safely run in several windows at once.
+ */
+class BaseApp {
+    /**
+     * @param {HTMLElement} windowEl - The DOM element of the window containing the app.
+     */
+    constructor(windowEl) {
+        this.windowEl = windowEl;
+        windowEl.addEventListener('window-closed', () => this.destroy());
+    }
+
+    /**
+     * querySelector scoped to this app's window.
+     * @param {string} selector - CSS selector.
+     * @returns {HTMLElement|null}
+     */
+    query(selector) {
+        return this.windowEl.querySelector(selector);
+    }
+
+    /**
+     * querySelectorAll scoped to this app's window.
+     * @param {string} selector - CSS selector.
+     * @returns {NodeListOf<HTMLElement>}
+     */
+    queryAll(selector) {
+        return this.windowEl.querySelectorAll(selector);
+    }
+
+    /**
+     * Releases resources (timers, players, listeners on document) when the window closes.
+     * Subclasses override this as needed.
+     */
+    destroy() { }
+}
+
+// --- APP: WINAMP (HYBRID: YOUTUBE + MP3 BACKUP) ---
+
+/**
+ * Reads M3U/M3U8 and PLS playlists into Winamp tracks. Only web links can be played
+ * (a page cannot open paths on the user's disk); YouTube links become YouTube tracks.
+ */
+class PlaylistFormat {
+    /**
+     * @param {string} filename
+     * @returns {boolean} True for .m3u, .m3u8 and .pls files.
+     */
+    static isPlaylist(filename) {
+        return /\.(m3u8?|pls)$/i.test(filename);
+    }
+
+    /**
+     * @param {string} text - File contents.
+     * @param {string} filename - Used to tell PLS from M3U.
+     * @returns {Object[]} Normalized tracks.
+     * @throws {Error} If the file has no playable entries.
+     */
+    static parse(text, filename) {
+        const content = text.replace(/^\uFEFF/, '');
+        const entries = /\.pls$/i.test(filename) || /^\s*\[playlist\]/i.test(content)
+            ? this.parsePls(content)
+            : this.parseM3u(content);
+
+        const tracks = entries.map(entry => this.toTrack(entry)).filter(Boolean);
+        if (tracks.length < entries.length) {
+            console.warn(`[Winamp] Skipped ${entries.length - tracks.length} entries of ${filename} that are not web links`);
+        }
+        if (!tracks.length) throw new Error("No playable web links found");
+        return tracks;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {{location: string, title: string|null}[]}
+     */
+    static parseM3u(text) {
+        const entries = [];
+        let title = null;
+        text.split(/\r?\n/).forEach(raw => {
+            const line = raw.trim();
+            if (!line) return;
+            // #EXTINF:<seconds>,<display title> describes the next location
+            const info = /^#EXTINF:[^,]*,(.*)$/i.exec(line);
+            if (info) {
+                title = info[1].trim() || null;
+                return;
+            }
+            if (line.startsWith('#')) return;
+            entries.push({ location: line, title });
+            title = null;
+        });
+        return entries;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {{location: string, title: string|null}[]}
+     */
+    static parsePls(text) {
+        const files = {};
+        const titles = {};
+        text.split(/\r?\n/).forEach(raw => {
+            const match = /^\s*(File|Title)(\d+)\s*=\s*(.*?)\s*$/i.exec(raw);
+            if (!match) return;
+            (match[1].toLowerCase() === 'file' ? files : titles)[match[2]] = match[3];
+        });
+        return Object.keys(files)
+            .sort((a, b) => a - b)
+            .map(n => ({ location: files[n], title: titles[n] || null }));
+    }
+
+    /**
+     * @param {{location: string, title: string|null}} entry
+     * @returns {Object|null} Track, or null for locations a browser cannot fetch.
+     */
+    static toTrack({ location, title }) {
+        const youtube = this.youtubeId(location);
+        if (!youtube && !/^https?:\/\//i.test(location)) return null;
+        return MusicLibrary.normalize(youtube
+            ? { title, youtube, imported: true }
+            : { title, url: location, imported: true });
+    }
+
+    /**
+     * @param {string} location
+     * @returns {string|null} The video ID of a youtube.com / youtu.be link.
+     */
+    static youtubeId(location) {
+        const match = /(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/i.exec(location);
+        return match ? match[1] : null;
+    }
+}
+
+/**
+ * Reads title/artist/album tags from audio files: ID3v2.2-2.4 at the start, ID3v1 at the end.
+ */
+class Id3Reader {
+    /**
+     * @param {Blob} file
+     * @returns {Promise<{title?: string, artist?: string, album?: string, picture?: {mime: string, data: Uint8Array}}>}
+     *   Empty when the file has no tags.
+     */
+    static async read(file) {
+        try {
+            const head = new Uint8Array(await file.slice(0, Id3Reader.MAX_HEADER_BYTES).arrayBuffer());
+            const tags = this.parseV2(head);
+            if (tags.title && tags.artist) return tags;
+
+            // ID3v1 fills in what v2 lacks
+            const tail = new Uint8Array(await file.slice(Math.max(0, file.size - 128)).arrayBuffer());
+            return { ...this.parseV1(tail), ...tags };
+        } catch (error) {
+            console.warn("[Winamp] Could not read ID3 tags:", error);
+            return {};
+        }
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Start of the file.
+     * @returns {Object} Tags found in an ID3v2 header.
+     */
+    static parseV2(bytes) {
+        if (bytes.length < 10 || String.fromCharCode(bytes[0], bytes[1], bytes[2]) !== 'ID3') return {};
+        const version = bytes[3];
+        const end = Math.min(bytes.length, 10 + this.syncsafe(bytes, 6));
+        let pos = 10;
+
+        // Skip the extended header (v2.3 stores its size without the size field, v2.4 with it)
+        if (bytes[5] & 0x40 && version >= 3) {
+            pos += version === 3 ? this.uint32(bytes, pos) + 4 : this.syncsafe(bytes, pos);
+        }
+
+        // v2.2 uses 3-letter frame IDs and 6-byte frame headers
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+        const names = version === 2
+            ? { TT2: 'title', TP1: 'artist', TAL: 'album' }
+            : { TIT2: 'title', TPE1: 'artist', TALB: 'album' };
+
+        const tags = {};
+        while (pos + headerLength <= end) {
+            const id = String.fromCharCode(...bytes.subarray(pos, pos + idLength));
+            if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+            let size;
+            if (version === 2) size = (bytes[pos + 3] << 16) | (bytes[pos + 4] << 8) | bytes[pos + 5];
+            else if (version === 4) size = this.syncsafe(bytes, pos + 4);
+            else size = this.uint32(bytes, pos + 4);
+
+            pos += headerLength;
+            if (names[id]) {
+                const text = this.decodeText(bytes.subarray(pos, Math.min(end, pos + size)));
+                if (text) tags[names[id]] = text;
+            } else if (id === (version === 2 ? 'PIC' : 'APIC') && pos + size <= end) {
+                // Cover art; the front cover wins over other pictures
+                const picture = this.parsePicture(bytes.subarray(pos, pos + size), version);
+                if (picture && (!tags.picture || picture.type === 3)) tags.picture = { mime: picture.mime, data: picture.data };
+            }
+            pos += size;
+        }
+        return tags;
+    }
+
+    /**
+     * Reads an attached picture frame: encoding, MIME type (v2.2: a 3-letter format),
+     * picture type, NUL-terminated description, then the image data.
+     * @param {Uint8Array} bytes - Frame body.
+     * @param {number} version - ID3v2 major version.
+     * @returns {{mime: string, type: number, data: Uint8Array}|null}
+     */
+    static parsePicture(bytes, version) {
+        const encoding = bytes[0];
+        let pos = 1;
+        let mime;
+        if (version === 2) {
+            mime = `image/${String.fromCharCode(...bytes.subarray(1, 4)).toLowerCase().replace('jpg', 'jpeg')}`;
+            pos = 4;
+        } else {
+            const mimeEnd = bytes.indexOf(0, pos);
+            if (mimeEnd < 0) return null;
+            mime = String.fromCharCode(...bytes.subarray(pos, mimeEnd)).toLowerCase() || 'image/jpeg';
+            if (!mime.includes('/')) mime = `image/${mime.replace('jpg', 'jpeg')}`;
+            pos = mimeEnd + 1;
+        }
+        const type = bytes[pos++];
+
+        // Skip the description (UTF-16 text ends with two NUL bytes on an even offset)
+        if (encoding === 1 || encoding === 2) {
+            while (pos + 1 < bytes.length && (bytes[pos] || bytes[pos + 1])) pos += 2;
+            pos += 2;
+        } else {
+            while (pos < bytes.length && bytes[pos]) pos++;
+            pos++;
+        }
+        return pos < bytes.length ? { mime, type, data: bytes.slice(pos) } : null;
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Last 128 bytes of the file.
+     * @returns {Object} Tags found in an ID3v1 footer.
+     */
+    static parseV1(bytes) {
+        if (bytes.length < 128 || String.fromCharCode(bytes[0], bytes[1], bytes[2]) !== 'TAG') return {};
+        const field = (start, length) => new TextDecoder('latin1').decode(bytes.subarray(start, start + length))
+            .replace(/\0.*$/, '').trim();
+        const tags = {};
+        [['title', 3], ['artist', 33], ['album', 63]].forEach(([name, start]) => {
+            const value = field(start, 30);
+            if (value) tags[name] = value;
+        });
+        return tags;
+    }
+
+    /**
+     * Decodes a text frame: an encoding byte followed by the text.
+     * @param {Uint8Array} bytes
+     * @returns {string} First value of the frame.
+     */
+    static decodeText(bytes) {
+        if (!bytes.length) return '';
+        const data = bytes.subarray(1);
+        let encoding = ['latin1', 'utf-16', 'utf-16be', 'utf-8'][bytes[0]] || 'latin1';
+        if (encoding === 'utf-16') encoding = data[0] === 0xfe && data[1] === 0xff ? 'utf-16be' : 'utf-16le';
+        // TextDecoder drops a matching byte order mark; v2.4 separates multiple values with NUL
+        return new TextDecoder(encoding).decode(data).split('\0')[0].trim();
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @param {number} pos
+     * @returns {number} 28-bit "syncsafe" integer (7 bits per byte).
+     */
+    static syncsafe(bytes, pos) {
+        return ((bytes[pos] & 0x7f) << 21) | ((bytes[pos + 1] & 0x7f) << 14) | ((bytes[pos + 2] & 0x7f) << 7) | (bytes[pos + 3] & 0x7f);
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @param {number} pos
+     * @returns {number} Big-endian 32-bit integer.
+     */
+    static uint32(bytes, pos) {
+        return ((bytes[pos] << 24) >>> 0) + ((bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]);
+    }
+}
+
+Id3Reader.MAX_HEADER_BYTES = 256 * 1024;
+
+/**
+ * Reads and writes classic Winamp equalizer preset files (.eqf, and .q1 libraries):
+ * a text header, then per preset a 257-byte name plus ten band bytes and a preamp byte,
+ * where 0 is +12 dB and 63 is -12 dB.
+ */
+class EqfFormat {
+    /**
+     * @param {ArrayBuffer} buffer - File contents.
+     * @returns {{name: string, preamp: number, bands: number[]}[]} Presets in dB.
+     * @throws {Error} If the file is not a Winamp EQ file.
+     */
+    static parse(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const header = String.fromCharCode(...bytes.subarray(0, EqfFormat.HEADER.length));
+        if (!header.startsWith('Winamp EQ library file')) throw new Error("Not a Winamp EQ preset file");
+
+        const presets = [];
+        for (let pos = EqfFormat.HEADER.length; pos + EqfFormat.ENTRY_BYTES <= bytes.length; pos += EqfFormat.ENTRY_BYTES) {
+            const name = new TextDecoder('latin1').decode(bytes.subarray(pos, pos + EqfFormat.NAME_BYTES))
+                .replace(/\0[\s\S]*$/, '').trim();
+            const values = Array.from(bytes.subarray(pos + EqfFormat.NAME_BYTES, pos + EqfFormat.ENTRY_BYTES), byte => EqfFormat.toDb(byte));
+            presets.push({ name: name || 'Imported', bands: values.slice(0, 10), preamp: values[10] });
+        }
+        if (!presets.length) throw new Error("The file has no presets");
+        return presets;
+    }
+
+    /**
+     * @param {{name: string, preamp: number, bands: number[]}[]} presets
+     * @returns {Uint8Array} File contents.
+     */
+    static build(presets) {
+        const bytes = new Uint8Array(EqfFormat.HEADER.length + presets.length * EqfFormat.ENTRY_BYTES);
+        bytes.set(Array.from(EqfFormat.HEADER, c => c.charCodeAt(0)));
+        presets.forEach((preset, i) => {
+            const pos = EqfFormat.HEADER.length + i * EqfFormat.ENTRY_BYTES;
+            const name = Array.from(preset.name.slice(0, EqfFormat.NAME_BYTES - 1), c => c.charCodeAt(0) & 0xff);
+            bytes.set(name, pos);
+            bytes.set([...preset.bands, preset.preamp].map(db => EqfFormat.toByte(db)), pos + EqfFormat.NAME_BYTES);
+        });
+        return bytes;
+    }
+
+    /**
+     * @param {number} byte - 0 (+12 dB) to 63 (-12 dB).
+     * @returns {number} dB, rounded to half a dB.
+     */
+    static toDb(byte) {
+        return Math.round((31.5 - byte) / 31.5 * 12 * 2) / 2 || 0;
+    }
+
+    /**
+     * @param {number} db - -12 to +12.
+     * @returns {number} File byte.
+     */
+    static toByte(db) {
+        return Math.min(63, Math.max(0, Math.round(31.5 - db / 12 * 31.5)));
+    }
+}
+
+EqfFormat.HEADER = 'Winamp EQ library file v1.1\x1a!--';
+EqfFormat.NAME_BYTES = 257;
+EqfFormat.ENTRY_BYTES = 257 + 11;
+
+/**
+ * Winamp's 10-band graphic equalizer for the native audio path: a preamp gain followed
+ * by ten peaking BiquadFilters. The settings live here even before there is an audio graph,
+ * so the EQ can be set up while YouTube plays and applies once the MP3 engine starts.
+ */
+class WinampEqualizer {
+    constructor() {
+        this.enabled = true;
+        this.preamp = 0; // dB
+        this.bands = WinampEqualizer.FREQUENCIES.map(() => 0); // dB per band
+        this.input = null;
+        this.filters = [];
+    }
+
+    /**
+     * Creates the EQ nodes in an audio graph. Connect something to `input` and `output` onwards.
+     * @param {AudioContext} audioContext
+     * @returns {{input: AudioNode, output: AudioNode}}
+     */
+    connect(audioContext) {
+        this.input = audioContext.createGain();
+        this.filters = WinampEqualizer.FREQUENCIES.map(frequency => {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'peaking';
+            filter.frequency.value = frequency;
+            filter.Q.value = WinampEqualizer.Q;
+            return filter;
+        });
+        this.filters.reduce((previous, filter) => {
+            previous.connect(filter);
+            return filter;
+        }, this.input);
+        this.apply();
+        return { input: this.input, output: this.filters[this.filters.length - 1] };
+    }
+
+    /**
+     * Pushes the settings to the audio nodes (switched off = all gains neutral).
+     */
+    apply() {
+        if (!this.input) return;
+        this.input.gain.value = this.enabled ? 10 ** (this.preamp / 20) : 1;
+        this.filters.forEach((filter, i) => {
+            filter.gain.value = this.enabled ? this.bands[i] : 0;
+        });
+    }
+
+    /**
+     * @param {number} index - Band index (see FREQUENCIES).
+     * @param {number} db
+     */
+    setBand(index, db) {
+        this.bands[index] = WinampEqualizer.clamp(db);
+        this.apply();
+    }
+
+    /**
+     * @param {number} db
+     */
+    setPreamp(db) {
+        this.preamp = WinampEqualizer.clamp(db);
+        this.apply();
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.apply();
+    }
+
+    /**
+     * Applies a preset (or saved settings).
+     * @param {{preamp: number, bands: number[], enabled?: boolean}} preset
+     */
+    load(preset) {
+        this.preamp = WinampEqualizer.clamp(preset.preamp);
+        this.bands = WinampEqualizer.FREQUENCIES.map((frequency, i) => WinampEqualizer.clamp(preset.bands && preset.bands[i]));
+        if (typeof preset.enabled === 'boolean') this.enabled = preset.enabled;
+        this.apply();
+    }
+
+    /**
+     * @returns {{enabled: boolean, preamp: number, bands: number[]}}
+     */
+    getSettings() {
+        return { enabled: this.enabled, preamp: this.preamp, bands: [...this.bands] };
+    }
+
+    /**
+     * @param {*} db
+     * @returns {number} A gain within the ±12 dB range of the sliders.
+     */
+    static clamp(db) {
+        return Math.min(12, Math.max(-12, Number(db) || 0));
+    }
+}
+
+WinampEqualizer.FREQUENCIES = [60, 170, 310, 600, 1000, 3000, 6000, 12000, 14000, 16000];
+WinampEqualizer.Q = 1.4;
+WinampEqualizer.PRESETS = {
+    'Flat': { preamp: 0, bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    'Rock': { preamp: -2, bands: [4.5, 3, -3.5, -5, -2, 2.5, 5.5, 6.5, 6.5, 6.5] },
+    'Pop': { preamp: 0, bands: [-1, 3, 4.5, 5, 3.5, -0.5, -1.5, -1.5, -1, -1] },
+    'Dance': { preamp: -2, bands: [6, 4.5, 1.5, 0, 0, -3.5, -4.5, -4.5, 0, 0] },
+    'Classical': { preamp: 0, bands: [0, 0, 0, 0, 0, 0, -4.5, -4.5, -4.5, -6] },
+    'Full Bass': { preamp: -4, bands: [5, 5, 5, 3, 1, -2.5, -5, -6.5, -6.5, -6.5] },
+    'Full Treble': { preamp: -4, bands: [-6, -6, -6, -2.5, 1.5, 6.5, 9.5, 9.5, 9.5, 10] },
+    'Vaporwave Bass Boost': { preamp: -4, bands: [9, 7.5, 4, 1, 0, -1, -2, -3, -4, -5] },
+    'Laptop Speakers': { preamp: -3, bands: [2.5, 6.5, 3.5, -2, -1.5, 1, 2.5, 6, 7.5, 8.5] }
+};
+
+/**
+ * User equalizer presets, kept in localStorage and shared by every Winamp window.
+ * Dispatches `eq-presets-changed` on window after every change.
+ */
+class EqualizerPresetStore {
+    /**
+     * @param {string} [storageKey] - localStorage key holding the presets.
+     */
+    constructor(storageKey = 'rubensos.eq-presets') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * @returns {Object<string, {preamp: number, bands: number[]}>} Presets by name.
+     */
+    list() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.warn("[Winamp] Could not read EQ presets:", error);
+            return {};
+        }
+    }
+
+    /**
+     * Adds or replaces presets.
+     * @param {{name: string, preamp: number, bands: number[]}[]} presets
+     */
+    save(presets) {
+        const saved = this.list();
+        presets.forEach(({ name, preamp, bands }) => {
+            saved[name] = { preamp, bands };
+        });
+        this.commit(saved);
+    }
+
+    /**
+     * @param {string} name
+     */
+    remove(name) {
+        const saved = this.list();
+        delete saved[name];
+        this.commit(saved);
+    }
+
+    /**
+     * @param {Object} saved - All presets.
+     */
+    commit(saved) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.warn("[Winamp] Could not save EQ presets:", error);
+        }
+        window.dispatchEvent(new CustomEvent('eq-presets-changed'));
+    }
+}
+
+/**
+ * The global user preset store.
+ * @type {EqualizerPresetStore}
+ */
+const eqPresetStore = new EqualizerPresetStore();
+
+/**
+ * The equalizer window of a Winamp player: sliders, on/off, presets and .eqf import/export.
+ * While docked it sticks to the bottom edge of the player window and follows it around;
+ * dragging it away undocks it, dropping it back near that edge docks it again.
+ */
+class EqualizerWindow extends BaseApp {
+    /**
+     * @param {HTMLElement} windowEl - The EQ window.
+     * @param {WinampApp} player - The player it belongs to.
+     * @param {Object} [options]
+     * @param {boolean} [options.docked=true]
+     */
+    constructor(windowEl, player, options = {}) {
+        super(windowEl);
+        this.player = player;
+        this.equalizer = player.equalizer;
+        this.windowManager = player.windowManager;
+        this.docked = false;
+
+        this.renderBands();
+        this.renderPresets();
+        this.syncControls();
+        this.setupEvents();
+        if (options.docked !== false) this.dock();
+    }
+
+    /**
+     * Stops following the player.
+     */
+    destroy() {
+        if (this.player.equalizerWindow === this) this.player.equalizerWindow = null;
+        this.player.query('.btn-eq').setAttribute('aria-pressed', 'false');
+        const playerWin = this.player.windowEl;
+        playerWin.removeEventListener('window-moved', this.onPlayerChanged);
+        playerWin.removeEventListener('window-resized', this.onPlayerChanged);
+        playerWin.removeEventListener('window-minimized', this.onPlayerMinimized);
+        playerWin.removeEventListener('window-restored', this.onPlayerRestored);
+        window.removeEventListener('eq-presets-changed', this.onPresetsChanged);
+    }
+
+    /**
+     * Binds the sliders, buttons and the docking listeners.
+     */
+    setupEvents() {
+        // Sliders: preamp and the ten bands
+        this.query('.eq-sliders').addEventListener('input', (e) => {
+            const slider = e.target.closest('input[type="range"]');
+            if (!slider) return;
+            if (slider.dataset.band === 'preamp') this.equalizer.setPreamp(Number(slider.value));
+            else this.equalizer.setBand(Number(slider.dataset.band), Number(slider.value));
+            this.query('.eq-preset').value = ''; // Now a custom setting
+            this.updateLabels();
+        });
+
+        this.query('.eq-enabled').addEventListener('change', (e) => this.equalizer.setEnabled(e.target.checked));
+        this.query('.eq-preset').addEventListener('change', (e) => this.applyPreset(e.target.value));
+        this.query('.btn-eq-save').addEventListener('click', () => this.savePreset());
+        this.query('.btn-eq-delete').addEventListener('click', () => this.deletePreset());
+
+        // .eqf import/export
+        const fileInput = this.query('.eq-file-input');
+        this.query('.btn-eq-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importEqf(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        this.query('.btn-eq-export').addEventListener('click', () => this.exportEqf());
+
+        // Docking: follow the player, undock when dragged away, dock when dropped near it
+        this.onPlayerChanged = () => {
+            if (this.docked) this.followPlayer();
+        };
+        this.onPlayerMinimized = () => {
+            if (this.docked) this.windowManager.minimizeWindow(this.windowEl);
+        };
+        this.onPlayerRestored = () => {
+            if (!this.docked) return;
+            this.windowManager.restoreWindow(this.windowEl);
+            this.followPlayer();
+        };
+        this.onPresetsChanged = () => this.renderPresets();
+
+        const playerWin = this.player.windowEl;
+        playerWin.addEventListener('window-moved', this.onPlayerChanged);
+        playerWin.addEventListener('window-resized', this.onPlayerChanged);
+        playerWin.addEventListener('window-minimized', this.onPlayerMinimized);
+        playerWin.addEventListener('window-restored', this.onPlayerRestored);
+        window.addEventListener('eq-presets-changed', this.onPresetsChanged);
+
+        this.windowEl.addEventListener('window-moved', (e) => {
+            if (e.detail.dragging) {
+                this.docked = false;
+            } else if (this.isNearPlayer()) {
+                this.dock();
+            }
+        });
+    }
+
+    // --- DOCKING ---
+
+    /**
+     * Attaches the EQ under the player.
+     */
+    dock() {
+        this.docked = true;
+        this.followPlayer();
+    }
+
+    /**
+     * Moves the EQ to the player's bottom edge, at the player's width.
+     */
+    followPlayer() {
+        const playerWin = this.player.windowEl;
+        // A maximized player has no bottom edge to dock to; the EQ waits where it is
+        if (playerWin.classList.contains('minimized') || playerWin.classList.contains('maximized')) return;
+        this.windowEl.style.left = `${playerWin.offsetLeft}px`;
+        this.windowEl.style.top = `${playerWin.offsetTop + playerWin.offsetHeight}px`;
+        this.windowEl.style.width = `${playerWin.offsetWidth}px`;
+    }
+
+    /**
+     * @returns {boolean} True if the EQ's top edge is close to the player's bottom edge (and they overlap horizontally).
+     */
+    isNearPlayer() {
+        const playerWin = this.player.windowEl;
+        if (playerWin.classList.contains('minimized') || playerWin.classList.contains('maximized')) return false;
+        const gap = Math.abs(this.windowEl.offsetTop - (playerWin.offsetTop + playerWin.offsetHeight));
+        const overlaps = this.windowEl.offsetLeft < playerWin.offsetLeft + playerWin.offsetWidth
+            && this.windowEl.offsetLeft + this.windowEl.offsetWidth > playerWin.offsetLeft;
+        return gap <= EqualizerWindow.DOCK_DISTANCE && overlaps;
+    }
+
+    // --- SLIDERS ---
+
+    /**
+     * Builds the ten band sliders next to the preamp.
+     */
+    renderBands() {
+        const label = (hz) => (hz >= 1000 ? `${hz / 1000}K` : String(hz));
+        this.query('.eq-bands').innerHTML = WinampEqualizer.FREQUENCIES.map((hz, i) => `
+            <label class="eq-band">
+                <input type="range" min="-12" max="12" step="0.5" value="0" data-band="${i}" aria-label="${label(hz)} Hz">
+                <span>${label(hz)}</span>
+            </label>`).join('');
+    }
+
+    /**
+     * Moves the sliders and the on/off box to the equalizer's current settings.
+     */
+    syncControls() {
+        const { enabled, preamp, bands } = this.equalizer.getSettings();
+        this.query('.eq-enabled').checked = enabled;
+        this.query('[data-band="preamp"]').value = preamp;
+        bands.forEach((db, i) => {
+            this.query(`[data-band="${i}"]`).value = db;
+        });
+        this.updateLabels();
+    }
+
+    /**
+     * Shows each slider's gain in its tooltip.
+     */
+    updateLabels() {
+        this.queryAll('.eq-sliders input[type="range"]').forEach(slider => {
+            const db = Number(slider.value);
+            slider.title = `${db > 0 ? '+' : ''}${db} dB`;
+        });
+    }
+
+    // --- PRESETS ---
+
+    /**
+     * Fills the preset picker: built-in presets, then the user's.
+     */
+    renderPresets() {
+        const select = this.query('.eq-preset');
+        const current = select.value;
+        const option = (group, name) => `<option value="${group}:${escapeHtml(name)}">${escapeHtml(name)}</option>`;
+        const userNames = Object.keys(eqPresetStore.list());
+
+        select.innerHTML = `
+            <option value="">Presets…</option>
+            <optgroup label="Built-in">${Object.keys(WinampEqualizer.PRESETS).map(name => option('builtin', name)).join('')}</optgroup>
+            ${userNames.length ? `<optgroup label="My presets">${userNames.map(name => option('user', name)).join('')}</optgroup>` : ''}`;
+        select.value = Array.from(select.options).some(o => o.value === current) ? current : '';
+    }
+
+    /**
+     * @param {string} value - Picker value ("builtin:<name>" or "user:<name>").
+     * @returns {Object|undefined} The preset.
+     */
+    findPreset(value) {
+        const [group, ...rest] = value.split(':');
+        const name = rest.join(':');
+        return group === 'builtin' ? WinampEqualizer.PRESETS[name] : eqPresetStore.list()[name];
+    }
+
+    /**
+     * @param {string} value - Picker value.
+     */
+    applyPreset(value) {
+        const preset = this.findPreset(value);
+        if (!preset) return;
+        this.equalizer.load(preset);
+        this.syncControls();
+    }
+
+    /**
+     * Saves the current sliders as a user preset.
+     */
+    async savePreset() {
+        const selected = this.query('.eq-preset').value;
+        const suggestion = selected.startsWith('user:') ? selected.slice(5) : '';
+        const name = ((await dialogs.prompt("Preset name:", suggestion, { title: 'Save Preset' })) || '').trim();
+        if (!name) return;
+
+        const { preamp, bands } = this.equalizer.getSettings();
+        eqPresetStore.save([{ name, preamp, bands }]);
+        this.query('.eq-preset').value = `user:${name}`;
+    }
+
+    /**
+     * Deletes the selected user preset (built-in presets cannot be deleted).
+     */
+    async deletePreset() {
+        const selected = this.query('.eq-preset').value;
+        if (!selected.startsWith('user:')) return;
+        const name = selected.slice(5);
+        if (!(await dialogs.confirm(`Delete the preset "${name}"?`, { title: 'Delete Preset', ok: 'Delete' }))) return;
+        eqPresetStore.remove(name);
+    }
+
+    /**
+     * Imports every preset of a .eqf/.q1 file as user presets and applies the first one.
+     * @param {File} file
+     */
+    async importEqf(file) {
+        try {
+            const presets = EqfFormat.parse(await file.arrayBuffer());
+            eqPresetStore.save(presets);
+            this.equalizer.load(presets[0]);
+            this.syncControls();
+            this.query('.eq-preset').value = `user:${presets[0].name}`;
+        } catch (error) {
+            console.warn("[Winamp] Could not import EQ preset:", error);
+            dialogs.error(`Could not import ${file.name}: ${error.message}`, 'Equalizer');
+        }
+    }
+
+    /**
+     * Downloads the current settings as a Winamp .eqf file.
+     */
+    exportEqf() {
+        const selected = this.query('.eq-preset').value;
+        const name = selected ? selected.split(':').slice(1).join(':') : 'RubensOS';
+        const { preamp, bands } = this.equalizer.getSettings();
+        const blob = new Blob([EqfFormat.build([{ name, preamp, bands }])], { type: 'application/octet-stream' });
+
+        const link = document.createElement('a');
+        link.download = `${name.replace(/[\\/:*?"<>|]+/g, '_')}.eqf`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+}
+
+EqualizerWindow.DOCK_DISTANCE = 24; // px between the EQ's top and the player's bottom that still docks
+
+/**
+ * Minimal reader for .zip files (Winamp skins are zips). Supports stored and deflated
+ * entries; deflate is unpacked with the browser's DecompressionStream.
+ */
+class ZipArchive {
+    /**
+     * @param {Uint8Array} bytes - The whole archive.
+     * @param {Map<string, {method: number, compressedSize: number, localOffset: number}>} entries - By path.
+     */
+    constructor(bytes, entries) {
+        this.bytes = bytes;
+        this.entries = entries;
+    }
+
+    /**
+     * Reads the central directory.
+     * @param {ArrayBuffer} buffer - Archive contents.
+     * @returns {ZipArchive}
+     * @throws {Error} If the data is not a zip file.
+     */
+    static read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+
+        // The end-of-central-directory record sits at the end, before an optional comment
+        let end = -1;
+        for (let pos = bytes.length - 22; pos >= Math.max(0, bytes.length - 22 - 0xffff); pos--) {
+            if (view.getUint32(pos, true) === ZipArchive.END_SIGNATURE) {
+                end = pos;
+                break;
+            }
+        }
+        if (end < 0) throw new Error("Not a zip file");
+
+        const entries = new Map();
+        const count = view.getUint16(end + 10, true);
+        let pos = view.getUint32(end + 16, true);
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > bytes.length || view.getUint32(pos, true) !== ZipArchive.ENTRY_SIGNATURE) {
+                throw new Error("Damaged zip file");
+            }
+            const nameLength = view.getUint16(pos + 28, true);
+            const name = new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+            entries.set(name, {
+                method: view.getUint16(pos + 10, true),
+                compressedSize: view.getUint32(pos + 20, true),
+                localOffset: view.getUint32(pos + 42, true)
+            });
+            pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+        }
+        return new ZipArchive(bytes, entries);
+    }
+
+    /**
+     * Finds a file by name, ignoring case and folders (many skins are zipped inside a folder).
+     * @param {string} fileName - e.g. "main.bmp".
+     * @returns {string|null} Its path in the archive.
+     */
+    find(fileName) {
+        const wanted = fileName.toLowerCase();
+        for (const path of this.entries.keys()) {
+            if (path.split('/').pop().toLowerCase() === wanted) return path;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} path - Path in the archive.
+     * @returns {Promise<Uint8Array>} The unpacked file.
+     */
+    async file(path) {
+        const entry = this.entries.get(path);
+        if (!entry) throw new Error(`${path} is not in the archive`);
+
+        // The local header repeats the name and has its own extra field before the data
+        const view = new DataView(this.bytes.buffer, this.bytes.byteOffset);
+        const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error(`${path} uses an unsupported compression method`);
+        if (typeof DecompressionStream === 'undefined') throw new Error("This browser cannot unpack zip files");
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+ZipArchive.END_SIGNATURE = 0x06054b50;
+ZipArchive.ENTRY_SIGNATURE = 0x02014b50;
+
+/**
+ * A classic Winamp 2.x skin (.wsz): a zip of BMP sprite sheets plus text files.
+ * Loading cuts the sprites the player uses into data URLs, exposed as CSS variables:
+ * main.bmp (window background), cbuttons.bmp (transport buttons and eject), volume.bmp
+ * (28 slider backgrounds and the thumb), text.bmp (the marquee font, see renderText()),
+ * viscolor.txt (24 visualizer colors) and pledit.txt (playlist colors and font).
+ * Missing files simply leave that part of the player unskinned.
+ */
+class WinampSkin {
+    /**
+     * @param {string} name - Skin name shown in the picker.
+     */
+    constructor(name) {
+        this.name = name;
+        this.parts = new Set();   // Skinned parts: 'main', 'buttons', 'volume', 'text', 'playlist'
+        this.variables = {};      // CSS custom properties for the player element
+        this.volumeStrips = [];   // volume.bmp backgrounds from 0% to 100%
+        this.font = null;         // text.bmp
+        this.visColors = null;    // viscolor.txt as CSS colors
+    }
+
+    /**
+     * Unpacks a .wsz file.
+     * @param {ArrayBuffer} buffer - File contents.
+     * @param {string} name - Skin name.
+     * @returns {Promise<WinampSkin>}
+     * @throws {Error} If the file is not a zip or has none of the main bitmaps.
+     */
+    static async load(buffer, name) {
+        const zip = ZipArchive.read(buffer);
+        const image = async (fileName) => {
+            const path = zip.find(fileName);
+            return path ? WinampSkin.loadImage(await zip.file(path)) : null;
+        };
+        const text = async (fileName) => {
+            const path = zip.find(fileName);
+            return path ? new TextDecoder('latin1').decode(await zip.file(path)) : null;
+        };
+
+        const [main, buttons, volume, font, visColors, pledit] = await Promise.all([
+            image('main.bmp'), image('cbuttons.bmp'), image('volume.bmp'), image('text.bmp'),
+            text('viscolor.txt'), text('pledit.txt')
+        ]);
+        if (!main && !buttons) throw new Error("Not a Winamp 2 skin (no main.bmp or cbuttons.bmp)");
+
+        const skin = new WinampSkin(name);
+        if (main) {
+            skin.parts.add('main');
+            skin.variables['--skin-main'] = `url(${WinampSkin.crop(main, 0, 0, main.width, main.height)})`;
+            skin.variables['--skin-main-color'] = WinampSkin.pixel(main, 1, main.height - 2);
+        }
+        if (buttons) {
+            skin.parts.add('buttons');
+            Object.entries(WinampSkin.BUTTONS).forEach(([button, [x, width, height]]) => {
+                skin.variables[`--skin-btn-${button}`] = `url(${WinampSkin.crop(buttons, x, 0, width, height)})`;
+                skin.variables[`--skin-btn-${button}-active`] = `url(${WinampSkin.crop(buttons, x, height, width, height)})`;
+            });
+        }
+        if (volume) {
+            skin.parts.add('volume');
+            for (let i = 0; i < WinampSkin.VOLUME_STRIPS; i++) {
+                skin.volumeStrips.push(`url(${WinampSkin.crop(volume, 0, i * 15, 68, 13)})`);
+            }
+            // Some skins leave the thumb out of volume.bmp and keep the browser's
+            if (volume.height >= 433) {
+                skin.variables['--skin-volume-thumb'] = `url(${WinampSkin.crop(volume, 15, 422, 14, 11)})`;
+                skin.variables['--skin-volume-thumb-active'] = `url(${WinampSkin.crop(volume, 0, 422, 14, 11)})`;
+            }
+        }
+        if (font) {
+            skin.parts.add('text');
+            skin.font = font;
+            skin.variables['--skin-display-color'] = WinampSkin.pixel(font, 152, 2); // Inside the space glyph
+        }
+        if (visColors) skin.visColors = WinampSkin.parseVisColors(visColors);
+        if (pledit) {
+            const colors = WinampSkin.parsePledit(pledit);
+            skin.parts.add('playlist');
+            Object.entries(colors).forEach(([key, value]) => {
+                if (value) skin.variables[`--pl-${key}`] = value;
+            });
+        }
+        return skin;
+    }
+
+    /**
+     * Draws text in the skin's bitmap font (5x6 pixel glyphs from text.bmp).
+     * Characters the font lacks are drawn without accents, or as spaces.
+     * @param {string} text
+     * @returns {string|null} PNG data URL, or null if the skin has no font.
+     */
+    renderText(text) {
+        if (!this.font) return null;
+        const chars = Array.from(text.toLowerCase());
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, chars.length) * 5;
+        canvas.height = 6;
+        const ctx = canvas.getContext('2d');
+
+        chars.forEach((char, i) => {
+            const [row, column] = WinampSkin.glyph(char);
+            ctx.drawImage(this.font, column * 5, row * 6, 5, 6, i * 5, 0, 5, 6);
+        });
+        return canvas.toDataURL();
+    }
+
+    /**
+     * @param {string} char - A lowercase character.
+     * @returns {number[]} [row, column] of its glyph in text.bmp.
+     */
+    static glyph(char) {
+        const candidates = [char, WinampSkin.FONT_ALIASES[char], char.normalize('NFD')[0]];
+        for (const candidate of candidates) {
+            const row = candidate ? WinampSkin.FONT_ROWS.findIndex(chars => chars.includes(candidate)) : -1;
+            if (row >= 0) return [row, WinampSkin.FONT_ROWS[row].indexOf(candidate)];
+        }
+        return [0, 30]; // Space
+    }
+
+    /**
+     * @param {string} text - viscolor.txt: one "r,g,b, // comment" line per color.
+     * @returns {string[]|null} The 24 colors (0 background, 1 dots, 2-17 spectrum top to bottom,
+     *   18-22 oscilloscope, 23 peaks), or null if the file is incomplete.
+     */
+    static parseVisColors(text) {
+        const colors = text.split(/\r?\n/)
+            .map(line => line.match(/^\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/))
+            .filter(Boolean)
+            .map(([, r, g, b]) => `rgb(${r}, ${g}, ${b})`);
+        return colors.length >= 24 ? colors.slice(0, 24) : null;
+    }
+
+    /**
+     * @param {string} text - pledit.txt ("[Text]" section with Normal=#00FF00 etc.).
+     * @returns {{normal: ?string, current: ?string, background: ?string, selected: ?string, font: ?string}}
+     */
+    static parsePledit(text) {
+        const values = {};
+        text.split(/\r?\n/).forEach(line => {
+            const match = line.match(/^\s*(\w+)\s*=\s*(.*?)\s*$/);
+            if (match) values[match[1].toLowerCase()] = match[2];
+        });
+        const color = (value) => (/^#?[0-9a-f]{6}$/i.test(value || '') ? `#${value.replace('#', '')}` : null);
+        return {
+            normal: color(values.normal),
+            current: color(values.current),
+            background: color(values.normalbg),
+            selected: color(values.selectedbg),
+            font: values.font ? `"${values.font.replace(/["\\]/g, '')}", sans-serif` : null
+        };
+    }
+
+    /**
+     * @param {Uint8Array} bytes - BMP file.
+     * @returns {Promise<HTMLImageElement>}
+     */
+    static loadImage(bytes) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([bytes], { type: 'image/bmp' }));
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error("Unreadable bitmap in the skin"));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * @param {HTMLImageElement} image - Sprite sheet.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @returns {string} PNG data URL of that region.
+     */
+    static crop(image, x, y, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, width, height);
+        return canvas.toDataURL();
+    }
+
+    /**
+     * @param {HTMLImageElement} image - Sprite sheet.
+     * @param {number} x
+     * @param {number} y
+     * @returns {string} CSS color of that pixel.
+     */
+    static pixel(image, x, y) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, x, y, 1, 1, 0, 0, 1, 1);
+        const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+}
+
+// cbuttons.bmp: [x, width, height] of each button; the pressed state is the row below
+WinampSkin.BUTTONS = {
+    prev: [0, 23, 18],
+    play: [23, 23, 18],
+    pause: [46, 23, 18],
+    stop: [69, 23, 18],
+    next: [92, 22, 18],
+    eject: [114, 22, 16]
+};
+WinampSkin.VOLUME_STRIPS = 28; // 68x13 backgrounds, 15px apart
+// text.bmp glyph rows (5x6 px each); a space is column 30 of the first row
+WinampSkin.FONT_ROWS = ['abcdefghijklmnopqrstuvwxyz"@', '0123456789\u2026.:()-\'!_+\\/[]^&%,=$#', '\u00e5\u00f6\u00e4?*'];
+WinampSkin.FONT_ALIASES = { '<': '[', '>': ']', '{': '[', '}': ']', '`': '\'' };
+
+/**
+ * Draws the Winamp visualizer. Fed by an AnalyserNode it shows the real audio as bars
+ * with peak-hold caps, an oscilloscope or a canvas spectrum, redrawn every animation frame.
+ * Without one (the YouTube engine, whose audio cannot be read) it falls back to random bars.
+ */
+class WinampVisualizer {
+    /**
+     * @param {HTMLElement} container - The `.visualizer` element (bar slots + canvas).
+     */
+    constructor(container) {
+        this.container = container;
+        this.bars = Array.from(container.querySelectorAll('.bar'));
+        this.peakEls = Array.from(container.querySelectorAll('.bar-peak'));
+        this.canvas = container.querySelector('.vis-canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        this.analyser = null;
+        this.style = 'bars';
+        this.running = false;
+        this.frame = null;    // requestAnimationFrame id (real data)
+        this.interval = null; // setInterval id (fake bars)
+        this.peaks = [];      // Per band: { level, time } of the last peak
+        this.lastTime = 0;
+        this.colors = null;   // Skin colors (see WinampSkin.parseVisColors), null for the defaults
+        this.container.dataset.style = 'bars';
+    }
+
+    /**
+     * Recolors the visualizer from a skin's viscolor.txt.
+     * @param {string[]|null} colors - The 24 skin colors, or null for the default green-to-red look.
+     */
+    setColors(colors) {
+        this.colors = colors;
+        const style = this.container.style;
+        if (!colors) {
+            ['--vis-background', '--vis-bars', '--vis-peak'].forEach(property => style.removeProperty(property));
+            return;
+        }
+        // Colors 2-17 run from the top of the spectrum to the bottom
+        style.setProperty('--vis-background', colors[0]);
+        style.setProperty('--vis-bars', `linear-gradient(to top, ${colors.slice(2, 18).reverse().join(', ')})`);
+        style.setProperty('--vis-peak', colors[23]);
+    }
+
+    /**
+     * Switches between real data and fake bars.
+     * @param {AnalyserNode|null} analyser - Null for the fake bars.
+     */
+    setAnalyser(analyser) {
+        this.analyser = analyser;
+        if (analyser) {
+            this.freqData = new Uint8Array(analyser.frequencyBinCount);
+            this.timeData = new Uint8Array(analyser.fftSize);
+        }
+        this.setStyle(this.style);
+    }
+
+    /**
+     * @param {string} style - One of WinampVisualizer.STYLES. Fake mode always shows bars.
+     */
+    setStyle(style) {
+        if (!WinampVisualizer.STYLES.includes(style)) return;
+        this.style = style;
+        this.container.dataset.style = this.analyser ? style : 'bars';
+        this.peaks = [];
+        if (this.running) this.start();
+    }
+
+    /**
+     * Starts animating (restarts if already running).
+     */
+    start() {
+        this.stop();
+        this.running = true;
+
+        if (!this.analyser) {
+            this.interval = setInterval(() => {
+                this.bars.forEach(bar => {
+                    // Random height between 10% and 100%
+                    bar.style.height = Math.floor(Math.random() * 90) + 10 + '%';
+                });
+            }, 100);
+            return;
+        }
+
+        this.container.classList.add('live');
+        const loop = (now) => {
+            this.render(now);
+            this.frame = requestAnimationFrame(loop);
+        };
+        this.frame = requestAnimationFrame(loop);
+    }
+
+    /**
+     * Stops animating and returns to the resting state.
+     */
+    stop() {
+        this.running = false;
+        clearInterval(this.interval);
+        cancelAnimationFrame(this.frame);
+        this.interval = null;
+        this.frame = null;
+        this.peaks = [];
+        this.container.classList.remove('live');
+        this.bars.forEach(bar => {
+            bar.style.height = '5%'; // Resting state
+        });
+        this.peakEls.forEach(peak => {
+            peak.style.bottom = '0';
+        });
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Draws one frame in the current style.
+     * @param {number} now - Frame timestamp (ms).
+     */
+    render(now) {
+        const elapsed = this.lastTime ? Math.min(100, now - this.lastTime) : 0;
+        this.lastTime = now;
+
+        if (this.style === 'bars') {
+            const levels = this.bandLevels(this.bars.length);
+            const peaks = this.updatePeaks(levels, now, elapsed);
+            levels.forEach((level, i) => {
+                this.bars[i].style.height = `${Math.max(5, level * 100)}%`;
+                this.peakEls[i].style.bottom = `${peaks[i] * 100}%`;
+            });
+            return;
+        }
+
+        // Match the bitmap to the displayed size so lines stay crisp
+        const { clientWidth, clientHeight } = this.canvas;
+        if (this.canvas.width !== clientWidth || this.canvas.height !== clientHeight) {
+            this.canvas.width = clientWidth;
+            this.canvas.height = clientHeight;
+        }
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.style === 'scope') this.drawScope();
+        else this.drawSpectrum(now, elapsed);
+    }
+
+    /**
+     * Splits the spectrum into logarithmic bands (so bass and treble get a fair share).
+     * @param {number} count - Number of bands.
+     * @returns {number[]} Loudest bin of each band, 0-1.
+     */
+    bandLevels(count) {
+        this.analyser.getByteFrequencyData(this.freqData);
+        const nyquist = this.analyser.context.sampleRate / 2;
+        const bins = this.freqData.length;
+        const { MIN_HZ, MAX_HZ } = WinampVisualizer;
+
+        const levels = [];
+        for (let i = 0; i < count; i++) {
+            const low = MIN_HZ * (MAX_HZ / MIN_HZ) ** (i / count);
+            const high = MIN_HZ * (MAX_HZ / MIN_HZ) ** ((i + 1) / count);
+            const from = Math.min(bins - 1, Math.floor(low / nyquist * bins));
+            const to = Math.min(bins, Math.max(from + 1, Math.ceil(high / nyquist * bins)));
+            let max = 0;
+            for (let bin = from; bin < to; bin++) max = Math.max(max, this.freqData[bin]);
+            levels.push(max / 255);
+        }
+        return levels;
+    }
+
+    /**
+     * Peak-hold caps: a peak stays put for a moment, then falls until the band catches it.
+     * @param {number[]} levels - Current band levels.
+     * @param {number} now - Frame timestamp (ms).
+     * @param {number} elapsed - Time since the previous frame (ms).
+     * @returns {number[]} Peak level of each band, 0-1.
+     */
+    updatePeaks(levels, now, elapsed) {
+        return levels.map((level, i) => {
+            const peak = this.peaks[i] || (this.peaks[i] = { level: 0, time: now });
+            if (level >= peak.level) {
+                peak.level = level;
+                peak.time = now;
+            } else if (now - peak.time > WinampVisualizer.PEAK_HOLD_MS) {
+                peak.level = Math.max(level, peak.level - WinampVisualizer.PEAK_FALL_PER_MS * elapsed);
+            }
+            return peak.level;
+        });
+    }
+
+    /**
+     * Oscilloscope: the waveform of the current audio buffer.
+     */
+    drawScope() {
+        const { width, height } = this.canvas;
+        this.analyser.getByteTimeDomainData(this.timeData);
+
+        this.ctx.strokeStyle = this.colors ? this.colors[18] : '#0f0';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.timeData.forEach((value, i) => {
+            const x = i / (this.timeData.length - 1) * width;
+            const y = value / 255 * height;
+            if (i === 0) this.ctx.moveTo(x, y);
+            else this.ctx.lineTo(x, y);
+        });
+        this.ctx.stroke();
+    }
+
+    /**
+     * Spectrum: many thin bands with peak caps, in the classic green-to-red gradient (or the skin's colors).
+     * @param {number} now - Frame timestamp (ms).
+     * @param {number} elapsed - Time since the previous frame (ms).
+     */
+    drawSpectrum(now, elapsed) {
+        const { width, height } = this.canvas;
+        const count = Math.max(1, Math.floor(width / 4));
+        const levels = this.bandLevels(count);
+        const peaks = this.updatePeaks(levels, now, elapsed);
+        const bandWidth = width / count;
+
+        const gradient = this.ctx.createLinearGradient(0, height, 0, 0);
+        if (this.colors) {
+            this.colors.slice(2, 18).reverse().forEach((color, i) => gradient.addColorStop(i / 15, color));
+        } else {
+            gradient.addColorStop(0, '#0f0');
+            gradient.addColorStop(0.5, '#ff0');
+            gradient.addColorStop(1, '#f00');
+        }
+        this.ctx.fillStyle = gradient;
+        levels.forEach((level, i) => {
+            const barHeight = level * height;
+            this.ctx.fillRect(i * bandWidth, height - barHeight, bandWidth - 1, barHeight);
+        });
+
+        this.ctx.fillStyle = this.colors ? this.colors[23] : '#ccc';
+        peaks.forEach((peak, i) => {
+            this.ctx.fillRect(i * bandWidth, Math.min(height - 1, height - peak * height), bandWidth - 1, 1);
+        });
+    }
+}
+
+WinampVisualizer.STYLES = ['bars', 'scope', 'spectrum'];
+WinampVisualizer.MIN_HZ = 40;
+WinampVisualizer.MAX_HZ = 16000;
+WinampVisualizer.PEAK_HOLD_MS = 400;
+WinampVisualizer.PEAK_FALL_PER_MS = 0.0008;
+
+/**
+ * Controls the Music Player logic.
+ * * Implements a robust fallback system.
+ * * Logic: Each track plays its sources in the configured order (YouTube first by default).
+ * * If YouTube reports an error (e.g. 150, Embed Block), the track switches to HTML5 Audio:
+ * * its own audio URL, or else the fallback MP3 stream from Archive.org.
+ */
+class WinampApp extends BaseApp {
+    /**
+     * Initializes the Winamp application.
+     * @param {HTMLElement} windowEl - The DOM element of the window containing the app.
+     * @param {WindowManager} windowManager - Used to open the equalizer window.
+     */
+    constructor(windowEl, windowManager) {
+        super(windowEl);
+        this.windowManager = windowManager;
+        this.isPlaying = false;
+        this.visualizer = new WinampVisualizer(this.query('.visualizer'));
+        this.equalizer = new WinampEqualizer();
+        this.equalizerWindow = null; // EqualizerWindow while the EQ is open
+        this.skin = null;            // WinampSkin, null for the built-in look
+        this.title = '';             // Marquee text, redrawn when the skin changes
+
+        // Player State
+        this.player = null;            // This window's YouTube player
+        this.useAudioFallback = false; // Flag: true if using native <audio>
+        this.audioElement = null;      // Reference to the native audio object
+        this.failedTracks = 0;         // Tracks in a row with no playable source (stops a repeat-all loop)
+        this.noCorsUrls = new Set();   // Audio URLs whose host refused CORS: played without Web Audio
+        this.audioContext = null;      // Web Audio graph (native mode only): source -> EQ -> analyser -> speakers
+        this.analyser = null;
+        this.objectUrls = [];          // Local files, released on close
+
+        // Playlist from config.json (see MusicLibrary)
+        this.playlist = musicLibrary.tracks();
+        this.currentTrackIndex = 0;
+        this.volume = 50; // 0-100, mirrors the volume slider
+        this.shuffle = false;
+        this.repeat = 'off';  // 'off', 'all' or 'one'
+        this.order = [];      // Play order as playlist indexes (shuffled when shuffle is on)
+        this.seeking = false; // True while the user drags the seek bar
+
+        // Backup MP3 for tracks with no playable source
+        this.fallback = musicLibrary.fallback;
+
+        // Initialize Player and UI
+        this.setupPlayer();
+        this.setupControls();
+        this.buildOrder();
+        this.renderPlaylist();
+        this.renderSkinList();
+        nowPlaying.update(this);
+
+        // Both engines are polled for the seek bar and time display
+        this.progressInterval = setInterval(() => this.updateProgress(), 500);
+
+        // Keep the music playing while minimized, but skip animating hidden bars
+        windowEl.addEventListener('window-minimized', () => this.visualizer.stop());
+        windowEl.addEventListener('window-restored', () => {
+            if (this.isPlaying) this.startVisualizer();
+        });
+    }
+
+    /**
+     * Cleanup resources when the window is closed.
+     */
+    destroy() {
+        this.isClosed = true;
+        nowPlaying.release(this);
+        clearInterval(this.progressInterval);
+        window.removeEventListener('winamp-skins-changed', this.onSkinsChanged);
+        this.stopVisualizer();
+        this.destroyYouTube();
+        if (this.equalizerWindow) this.windowManager.closeWindow(this.equalizerWindow.windowEl);
+
+        // Destroy Native Audio instance
+        if (this.audioElement) {
+            this.audioElement.pause();
+            this.audioElement = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+        }
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    }
+
+    /**
+     * Destroys this window's YouTube player, if any.
+     */
+    destroyYouTube() {
+        if (this.player && typeof this.player.destroy === 'function') {
+            try { this.player.destroy(); } catch (e) { console.warn(e); }
+        }
+        this.player = null;
+    }
+
+    /**
+     * Determines which player engine to initialize (YouTube or Native) for the first track.
      */
     setupPlayer() {
+        this.useAudioFallback = this.engineFor(this.playlist[this.currentTrackIndex]) === 'native';
         if (this.useAudioFallback) {
             this.initNativeAudio();
         } else {
-            this.initYouTube();
+            this.initYouTube();
+        }
+    }
+
+    /**
+     * @param {Object} track - Playlist entry.
+     * @returns {string} 'youtube' or 'native': the first of the track's sources that has not failed
+     *     (native also covers the backup MP3 once every source failed).
+     */
+    engineFor(track) {
+        const source = track.sources.find(s => (s === 'youtube' ? !track.youtubeFailed : !track.urlFailed));
+        return source === 'youtube' ? 'youtube' : 'native';
+    }
+
+    // --- MODE 1: YOUTUBE ---
+
+    /**
+     * Initializes the YouTube Iframe API Player.
+     * recurses via setTimeout if the API is not yet loaded.
+     */
+    initYouTube() {
+        // The window may have been closed (or switched to a native track) while waiting for the API
+        if (this.isClosed || this.useAudioFallback) return;
+
+        // Wait for global API ready flag, unless the boot sequence gave up on it
+        if (!isYoutubeReady && isYoutubeUnavailable) {
+            this.activateFallbackMode();
+            return;
+        }
+        if (!isYoutubeReady) {
+            this.updateTitle("Connecting to Satellite...");
+            setTimeout(() => this.initYouTube(), 1000);
+            return;
+        }
+
+        // Cleanup existing instance before creating a new one
+        this.destroyYouTube();
+
+        const currentTrack = this.playlist[this.currentTrackIndex];
+        this.updateTitle(`Loading YT: ${this.trackTitle(currentTrack)}...`);
+
+        // Instantiate Player
+        this.player = new YT.Player(this.query('.hidden-player'), {
+            height: '200',
+            width: '200',
+            videoId: currentTrack.youtube,
+            playerVars: {
+                'playsinline': 1,
+                'controls': 0,
+                'origin': window.location.origin, // Important for localhost testing
+                'enablejsapi': 1,
+                'rel': 0
+            },
+            events: {
+                'onReady': (event) => {
+                    console.log(`[Winamp] YouTube Ready: ${currentTrack.title}`);
+                    event.target.setVolume(this.volume);
+                    // A native track may have been started while the player loaded
+                    if (this.useAudioFallback) return;
+                    // Attempt autoplay (might be blocked by browser policy)
+                    event.target.playVideo();
+                    this.setPlaying(true);
+                    this.startVisualizer();
+                    this.updateTitle(this.trackTitle(currentTrack));
+                },
+                'onStateChange': (event) => {
+                    // Stopping the video for a native track must not stop the native visualizer
+                    if (this.useAudioFallback) return;
+                    if (event.data === YT.PlayerState.PLAYING) {
+                        this.setPlaying(true);
+                        this.startVisualizer();
+                    } else {
+                        this.setPlaying(false);
+                        this.stopVisualizer();
+                        if (event.data === YT.PlayerState.ENDED) this.onTrackEnded();
+                    }
+                },
+                'onError': (event) => {
+                    if (this.useAudioFallback) return;
+                    console.warn(`[Winamp] YouTube Error ${event.data}. Switching to Backup MP3...`);
+                    notifications.notify({ type: 'warning', title: 'WinAmp', message: `YouTube error ${event.data}. Switched to the backup MP3.` });
+                    // On critical error (like 150), switch to fallback immediately
+                    this.activateFallbackMode();
+                }
+            }
+        });
+    }
+
+    // --- MODE 2: NATIVE AUDIO (FALLBACK) ---
+
+    /**
+     * Switches the current track to Fallback Mode.
+     * Destroys YouTube player and replays the track with Native Audio (its URL or the backup MP3).
+     * Later YouTube tracks get a fresh player.
+     */
+    activateFallbackMode() {
+        this.playlist[this.currentTrackIndex].youtubeFailed = true;
+
+        // Destroy the failed YouTube player
+        this.destroyYouTube();
+
+        // Start Native Audio
+        this.playTrack(this.currentTrackIndex);
+    }
+
+    /**
+     * Initializes the HTML5 Audio object with the current track (or the backup MP3).
+     */
+    initNativeAudio() {
+        if (this.audioElement) return; // Prevent duplicate instances
+
+        console.log("[Winamp] Initializing Native Audio (Fallback Mode)");
+        const track = this.playlist[this.currentTrackIndex];
+        this.updateTitle(`Loading: ${this.trackTitle(track)}...`);
+
+        const src = this.nativeSource(track);
+        this.createAudioElement(this.canUseCors(src));
+        this.audioElement.src = src;
+        this.setEngine(true);
+
+        // Attempt to play
+        this.playNative();
+    }
+
+    /**
+     * Creates the Audio object in memory, replacing the current one. In CORS mode it is routed
+     * through the EQ and the analyser; a host that sends no CORS headers needs a plain element,
+     * which plays straight to the speakers (no EQ, random-bar visualizer).
+     * @param {boolean} cors - Fetch in CORS mode and connect the Web Audio graph.
+     */
+    createAudioElement(cors) {
+        if (this.audioElement) this.audioElement.pause();
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+            this.analyser = null;
+        }
+
+        const audio = new Audio();
+        // Without CORS the analyser would only ever hear silence
+        if (cors) audio.crossOrigin = 'anonymous';
+        audio.volume = this.volume / 100;
+        // Events from a replaced element are stale
+        audio.addEventListener('ended', () => {
+            if (audio === this.audioElement) this.onTrackEnded();
+        });
+        audio.addEventListener('error', () => {
+            if (audio === this.audioElement) this.onNativeError();
+        });
+        this.audioElement = audio;
+        if (cors) this.connectAudioGraph();
+    }
+
+    /**
+     * @param {string} url - Audio URL.
+     * @returns {boolean} False for URLs that already failed to load in CORS mode.
+     */
+    canUseCors(url) {
+        return !this.noCorsUrls.has(url);
+    }
+
+    /**
+     * @param {string} url - Audio URL.
+     * @returns {boolean} Whether loading it goes through CORS (blob:, data: and same-origin URLs don't).
+     */
+    static isCrossOrigin(url) {
+        try {
+            const parsed = new URL(url, location.href);
+            return !['blob:', 'data:'].includes(parsed.protocol) && parsed.origin !== location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Plays the native audio, reporting a blocked autoplay in the title.
+     * Load failures are handled by onNativeError().
+     */
+    playNative() {
+        const playPromise = this.audioElement.play();
+
+        if (playPromise !== undefined) {
+            playPromise.then(() => {
+                this.failedTracks = 0;
+                this.resumeAudioContext();
+                this.setPlaying(true);
+                this.startVisualizer();
+                this.updateTitle(this.trackTitle(this.playlist[this.currentTrackIndex]));
+            }).catch(error => {
+                this.setPlaying(false);
+                if (error.name !== 'NotAllowedError') {
+                    // AbortError: a newer track replaced this one; NotSupportedError: the 'error' event follows
+                    console.warn("[Winamp] Native playback failed:", error);
+                    return;
+                }
+                console.error("[Winamp] Autoplay blocked:", error);
+                this.updateTitle("Click PLAY to start (Autoplay blocked)");
+                notifications.notify({ type: 'info', title: 'WinAmp', message: 'Autoplay was blocked by the browser. Press Play to start.' });
+            });
+        }
+    }
+
+    /**
+     * The native audio could not load (404, unsupported file...). A failed `url` is marked
+     * like a failed YouTube ID and the track's next source is tried (another source, then
+     * the backup MP3). When even the backup fails, the track is skipped.
+     */
+    onNativeError() {
+        if (this.isClosed) return;
+        const track = this.playlist[this.currentTrackIndex];
+        const src = this.nativeSource(track);
+        const error = this.audioElement.error;
+        console.warn(`[Winamp] Could not load ${src}:`, error && error.message);
+        this.setPlaying(false);
+        this.stopVisualizer();
+
+        // Maybe only the CORS request was refused: retry once as a plain element
+        if (this.audioElement.crossOrigin && WinampApp.isCrossOrigin(src) && this.canUseCors(src)) {
+            console.warn("[Winamp] Retrying without CORS (no EQ, simple visualizer)");
+            this.noCorsUrls.add(src);
+            this.playTrack(this.currentTrackIndex);
+            return;
+        }
+
+        if (track.url && !track.urlFailed) {
+            track.urlFailed = true;
+            notifications.notify({ type: 'warning', title: 'WinAmp', message: `Could not load "${this.trackName(track)}". Trying the next source.` });
+            this.playTrack(this.currentTrackIndex);
+            return;
+        }
+
+        this.failedTracks++;
+        notifications.notify({ type: 'error', title: 'WinAmp', message: `"${this.trackName(track)}" has no playable source. Skipping it.` });
+        if (this.failedTracks >= this.playlist.length) {
+            this.failedTracks = 0;
+            this.stop();
+            this.updateTitle("No playable tracks");
+            return;
+        }
+        this.next(true);
+    }
+
+    /**
+     * @param {Object} track - Playlist entry.
+     * @returns {string} Audio URL for the native engine: the track's own file, or the backup MP3
+     *     once it failed (or the track has none).
+     */
+    nativeSource(track) {
+        return track.url && !track.urlFailed ? track.url : this.fallback.url;
+    }
+
+    /**
+     * @param {Object} track - Playlist entry.
+     * @returns {string} "Artist - Title" (or just the title).
+     */
+    trackName(track) {
+        return track.artist ? `${track.artist} - ${track.title}` : track.title;
+    }
+
+    /**
+     * @param {Object} track - Playlist entry.
+     * @returns {string} What the marquee shows for the track in the current engine.
+     */
+    trackTitle(track) {
+        return this.useAudioFallback && !track.url ? this.fallback.title : this.trackName(track);
+    }
+
+    /**
+     * Records which engine is active and points the visualizer at the matching data
+     * (the analyser for native audio, random bars for YouTube).
+     * @param {boolean} native
+     */
+    setEngine(native) {
+        this.useAudioFallback = native;
+        const analyser = native ? this.analyser : null;
+        if (analyser !== this.visualizer.analyser) this.visualizer.setAnalyser(analyser);
+        this.query('.vis-style').disabled = !analyser;
+    }
+
+    /**
+     * Routes the native audio through the equalizer and an AnalyserNode, so the EQ shapes
+     * the sound and the visualizer shows it. Browsers without Web Audio keep the simple random bars.
+     */
+    connectAudioGraph() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        try {
+            this.audioContext = new AudioContextClass();
+            const source = this.audioContext.createMediaElementSource(this.audioElement);
+            const eq = this.equalizer.connect(this.audioContext);
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.75;
+            source.connect(eq.input);
+            eq.output.connect(this.analyser);
+            this.analyser.connect(this.audioContext.destination);
+        } catch (error) {
+            console.warn("[Winamp] Web Audio unavailable, using the simple visualizer:", error);
+            this.audioContext = null;
+            this.analyser = null;
+        }
+    }
+
+    /**
+     * Audio contexts created without a user gesture start suspended (and silent).
+     */
+    resumeAudioContext() {
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(error => console.warn("[Winamp] Could not resume audio:", error));
+        }
+    }
+
+    // --- UI & CONTROLS ---
+
+    /**
+     * Updates the scrolling marquee title.
+     * @param {string} text - The text to display.
+     */
+    updateTitle(text) {
+        this.title = text;
+        const image = this.skin && this.skin.renderText(text);
+        const content = image ? `<img class="skin-marquee-text" src="${image}" alt="${escapeHtml(text)}">` : escapeHtml(text);
+        this.query('.music-display').innerHTML = `<marquee scrollamount="4">${content}</marquee>`;
+    }
+
+    /**
+     * Binds click events to the player controls (Play, Pause, Stop, Volume).
+     * Handles logic for both YouTube and Native Audio modes.
+     */
+    setupControls() {
+        const btnPlay = this.query('.btn-play');
+        const btnPause = this.query('.btn-pause');
+        const btnStop = this.query('.btn-stop');
+        const volSlider = this.query('.vol-slider');
+        const seekBar = this.query('.seek-bar');
+
+        // Play / Pause Buttons
+        btnPlay.addEventListener('click', () => this.play());
+        btnPause.addEventListener('click', () => this.pause());
+
+        // Stop Button
+        btnStop.addEventListener('click', () => this.stop());
+
+        // Track navigation and play modes
+        this.query('.btn-prev').addEventListener('click', () => this.previous());
+        this.query('.btn-next').addEventListener('click', () => this.next());
+        this.query('.btn-shuffle').addEventListener('click', () => this.setShuffle(!this.shuffle));
+        this.query('.btn-repeat').addEventListener('click', () => {
+            const modes = WinampApp.REPEAT_MODES;
+            this.setRepeat(modes[(modes.indexOf(this.repeat) + 1) % modes.length]);
+        });
+
+        // Playlist: click (or Enter) plays an entry
+        const playlistEl = this.query('.playlist');
+        playlistEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (item) this.playTrack(Number(item.dataset.index));
+        });
+        playlistEl.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (item && e.key === 'Enter') this.playTrack(Number(item.dataset.index));
+        });
+
+        // Seek Bar: the time display follows the drag, the jump happens on release
+        seekBar.addEventListener('input', () => {
+            this.seeking = true;
+            this.updateProgress();
+        });
+        seekBar.addEventListener('change', () => {
+            const { duration } = this.getPlaybackTime();
+            this.seeking = false;
+            if (duration) this.seek(seekBar.value / 1000 * duration);
+        });
+
+        // Volume Slider
+        volSlider.addEventListener('input', (e) => {
+            this.volume = Number(e.target.value);
+            this.updateVolumeSkin();
+            const vol = e.target.value / 100; // Normalize 0-100 to 0-1
+
+            if (this.useAudioFallback && this.audioElement) {
+                this.audioElement.volume = vol;
+            } else if (this.player && this.player.setVolume) {
+                this.player.setVolume(e.target.value);
+            }
+        });
+
+        // Visualizer style (real audio only; the YouTube engine always shows the simple bars)
+        this.query('.vis-style').addEventListener('change', (e) => this.visualizer.setStyle(e.target.value));
+
+        // Equalizer window
+        this.query('.btn-eq').addEventListener('click', () => this.toggleEqualizer());
+
+        // Skins: config.json list plus dropped .wsz files, shared by every player
+        this.query('.skin-select').addEventListener('change', (e) => this.setSkin(e.target.value));
+        this.onSkinsChanged = () => this.renderSkinList();
+        window.addEventListener('winamp-skins-changed', this.onSkinsChanged);
+
+        // Add local audio files or .m3u/.m3u8/.pls playlists: button or drag-drop onto the window
+        const fileInput = this.query('.music-file-input');
+        this.query('.btn-add-music').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            this.addFiles(Array.from(fileInput.files));
+            fileInput.value = '';
+        });
+        this.windowEl.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.windowEl.addEventListener('drop', (e) => {
+            const files = e.dataTransfer ? Array.from(e.dataTransfer.files) : [];
+            if (!files.length) return;
+            e.preventDefault();
+            this.addFiles(files);
+        });
+    }
+
+    /**
+     * Starts or resumes playback in the active engine.
+     */
+    play() {
+        if (this.useAudioFallback && this.audioElement) {
+            this.resumeAudioContext();
+            this.playNative();
+        } else if (this.player && this.player.playVideo) {
+            this.player.playVideo();
+        }
+    }
+
+    /**
+     * Pauses playback, keeping the position.
+     */
+    pause() {
+        if (this.useAudioFallback && this.audioElement) {
+            this.audioElement.pause();
+            this.setPlaying(false);
+            this.stopVisualizer();
+        } else if (this.player && this.player.pauseVideo) {
+            this.player.pauseVideo();
+        }
+    }
+
+    /**
+     * Play/pause in one (tray button, media keys).
+     */
+    togglePlay() {
+        if (this.isPlaying) this.pause();
+        else this.play();
+    }
+
+    /**
+     * Records the play state and tells the now-playing tray and Media Session.
+     * @param {boolean} playing
+     */
+    setPlaying(playing) {
+        this.isPlaying = playing;
+        nowPlaying.update(this);
+    }
+
+    /**
+     * @returns {{title: string, artist: string, artwork: ?string}} What is playing, for the
+     *   now-playing tray and the Media Session (YouTube tracks use the video thumbnail).
+     */
+    getTrackInfo() {
+        const track = this.playlist[this.currentTrackIndex];
+        if (this.useAudioFallback && !track.url) return { title: this.fallback.title, artist: '', artwork: null };
+        const artwork = track.artwork || (track.youtube && !this.useAudioFallback ? `https://i.ytimg.com/vi/${encodeURIComponent(track.youtube)}/hqdefault.jpg` : null);
+        return { title: track.title, artist: track.artist, artwork };
+    }
+
+    /**
+     * Stops playback and rewinds the current track.
+     */
+    stop() {
+        if (this.useAudioFallback && this.audioElement) {
+            this.audioElement.pause();
+            this.audioElement.currentTime = 0; // Reset track
+            this.setPlaying(false);
+            this.stopVisualizer();
+        } else if (this.player && this.player.stopVideo) {
+            this.player.stopVideo();
+            this.stopVisualizer();
+        }
+        this.updateProgress();
+    }
+
+    // --- PLAYLIST ---
+
+    /**
+     * Switches to a playlist entry and starts playing it in the current engine.
+     * @param {number} index - Playlist index.
+     */
+    playTrack(index) {
+        const track = this.playlist[index];
+        if (!track) return;
+        this.currentTrackIndex = index;
+        this.renderPlaylist();
+        nowPlaying.update(this);
+
+        if (this.engineFor(track) === 'native') {
+            // Keep the YouTube player (silenced) for later YouTube tracks
+            if (this.player && this.player.stopVideo) this.player.stopVideo();
+            if (!this.audioElement) {
+                this.useAudioFallback = true;
+                this.initNativeAudio();
+                return;
+            }
+            const src = this.nativeSource(track);
+            const cors = this.canUseCors(src);
+            if (Boolean(this.audioElement.crossOrigin) !== cors) this.createAudioElement(cors);
+            this.setEngine(true);
+            this.updateTitle(this.trackTitle(track));
+            this.audioElement.src = src;
+            this.playNative();
+            return;
+        }
+
+        if (this.audioElement) this.audioElement.pause();
+        this.setEngine(false);
+        this.updateTitle(this.trackTitle(track));
+        if (this.player && this.player.loadVideoById) this.player.loadVideoById(track.youtube);
+        else if (!this.player) this.initYouTube();
+        // Otherwise the player is still starting and picks up currentTrackIndex itself
+    }
+
+    /**
+     * Adds dropped or picked files to the playlist: audio files play from object URLs
+     * (titled from their ID3 tags), playlists add their web links, .wsz skins are applied.
+     * Starts the first new track if nothing is playing.
+     * @param {File[]} files
+     */
+    async addFiles(files) {
+        const added = [];
+        for (const file of files) {
+            if (/\.wsz$/i.test(file.name)) {
+                await this.addSkin(file);
+            } else if (PlaylistFormat.isPlaylist(file.name)) {
+                try {
+                    added.push(...PlaylistFormat.parse(await file.text(), file.name));
+                } catch (error) {
+                    console.warn("[Winamp] Could not import playlist:", error);
+                    dialogs.error(`Could not import ${file.name}: ${error.message}`, 'WinAmp');
+                }
+            } else if (file.type.startsWith('audio/') || WinampApp.AUDIO_EXTENSIONS.test(file.name)) {
+                added.push(await this.localTrack(file));
+            } else {
+                console.warn(`[Winamp] Ignored ${file.name}: not an audio file or playlist`);
+            }
+        }
+        if (!added.length || this.isClosed) return;
+
+        const first = this.playlist.length;
+        this.playlist.push(...added);
+        this.buildOrder();
+        this.renderPlaylist();
+        if (!this.isPlaying) this.playTrack(first);
+    }
+
+    /**
+     * @param {File} file - Local audio file.
+     * @returns {Promise<Object>} Track playing the file through an object URL.
+     */
+    async localTrack(file) {
+        const url = URL.createObjectURL(file);
+        this.objectUrls.push(url);
+        const tags = await Id3Reader.read(file);
+        let artwork = null;
+        if (tags.picture) {
+            artwork = URL.createObjectURL(new Blob([tags.picture.data], { type: tags.picture.mime }));
+            this.objectUrls.push(artwork);
+        }
+        return MusicLibrary.normalize({
+            title: tags.title || file.name.replace(/\.[^.]+$/, ''),
+            artist: tags.artist,
+            url,
+            artwork,
+            local: true
+        });
+    }
+
+    /**
+     * Moves to the next track in play order. Past the end it wraps around
+     * (reshuffling in shuffle mode), unless a track ended with repeat off.
+     * @param {boolean} [auto] - True when called because a track ended.
+     */
+    next(auto = false) {
+        const position = this.order.indexOf(this.currentTrackIndex);
+        if (position < this.order.length - 1) {
+            this.playTrack(this.order[position + 1]);
+        } else if (this.repeat === 'all' || !auto) {
+            if (this.shuffle) this.buildOrder(false);
+            this.playTrack(this.order[0]);
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * Restarts the track if it has played for a few seconds, otherwise goes to the previous one.
+     */
+    previous() {
+        if (this.getPlaybackTime().current > 3) {
+            this.seek(0);
+            return;
+        }
+        const position = this.order.indexOf(this.currentTrackIndex);
+        this.playTrack(this.order[(position - 1 + this.order.length) % this.order.length]);
+    }
+
+    /**
+     * Auto-advance, called by both engines when a track finishes.
+     */
+    onTrackEnded() {
+        if (this.repeat === 'one') this.playTrack(this.currentTrackIndex);
+        else this.next(true);
+    }
+
+    /**
+     * Rebuilds the play order: playlist order, or a fresh shuffle.
+     * @param {boolean} [keepCurrentFirst] - Start the shuffled order with the current track.
+     */
+    buildOrder(keepCurrentFirst = true) {
+        const indexes = this.playlist.map((track, i) => i);
+        if (this.shuffle) {
+            // Fisher-Yates
+            for (let i = indexes.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+            }
+            if (keepCurrentFirst) {
+                indexes.splice(indexes.indexOf(this.currentTrackIndex), 1);
+                indexes.unshift(this.currentTrackIndex);
+            }
+        }
+        this.order = indexes;
+    }
+
+    /**
+     * @param {boolean} on
+     */
+    setShuffle(on) {
+        this.shuffle = on;
+        this.buildOrder();
+        const btn = this.query('.btn-shuffle');
+        btn.classList.toggle('active', on);
+        btn.setAttribute('aria-pressed', on);
+        btn.title = `Shuffle: ${on ? 'on' : 'off'}`;
+    }
+
+    /**
+     * @param {string} mode - One of WinampApp.REPEAT_MODES.
+     */
+    setRepeat(mode) {
+        if (!WinampApp.REPEAT_MODES.includes(mode)) return;
+        this.repeat = mode;
+        const btn = this.query('.btn-repeat');
+        btn.classList.toggle('active', mode !== 'off');
+        btn.classList.toggle('repeat-one', mode === 'one');
+        btn.title = `Repeat: ${mode === 'one' ? 'track' : mode}`;
+    }
+
+    /**
+     * Lists the tracks, highlighting the current one.
+     */
+    renderPlaylist() {
+        this.query('.playlist').innerHTML = this.playlist.map((track, i) => `
+            <li class="playlist-item ${i === this.currentTrackIndex ? 'active' : ''}" data-index="${i}" tabindex="0">${escapeHtml(this.trackName(track))}</li>`).join('');
+    }
+
+    // --- SEEK & TIME ---
+
+    /**
+     * @returns {{current: number, duration: number}} Position and length in seconds (duration is 0 when unknown, e.g. live streams).
+     */
+    getPlaybackTime() {
+        if (this.useAudioFallback && this.audioElement) {
+            const { currentTime, duration } = this.audioElement;
+            return { current: currentTime || 0, duration: Number.isFinite(duration) ? duration : 0 };
+        }
+        if (this.player && this.player.getDuration) {
+            return { current: this.player.getCurrentTime() || 0, duration: this.player.getDuration() || 0 };
+        }
+        return { current: 0, duration: 0 };
+    }
+
+    /**
+     * @param {number} seconds - Position to jump to.
+     */
+    seek(seconds) {
+        if (this.useAudioFallback && this.audioElement) {
+            this.audioElement.currentTime = seconds;
+        } else if (this.player && this.player.seekTo) {
+            this.player.seekTo(seconds, true);
+        }
+        this.updateProgress();
+        nowPlaying.update(this);
+    }
+
+    /**
+     * Syncs the seek bar and the elapsed/remaining time with the player.
+     */
+    updateProgress() {
+        const { current, duration } = this.getPlaybackTime();
+        const seekBar = this.query('.seek-bar');
+        seekBar.disabled = !duration;
+        if (!this.seeking) seekBar.value = duration ? Math.round(current / duration * 1000) : 0;
+
+        // While dragging, show the time under the thumb
+        const shown = this.seeking ? seekBar.value / 1000 * duration : current;
+        this.query('.time-elapsed').textContent = WinampApp.formatTime(shown);
+        this.query('.time-remaining').textContent = `-${WinampApp.formatTime(duration - shown)}`;
+    }
+
+    /**
+     * @param {number} seconds
+     * @returns {string} "m:ss" (or "h:mm:ss" for long mixes).
+     */
+    static formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor(total / 60) % 60;
+        const s = String(total % 60).padStart(2, '0');
+        return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    // --- EQUALIZER ---
+
+    /**
+     * Opens the equalizer window, or brings it back to the front if it is already open.
+     * @param {Object} [options] - See EqualizerWindow (e.g. { docked: false }).
+     */
+    openEqualizer(options = {}) {
+        if (this.equalizerWindow) {
+            this.windowManager.activateWindow(this.equalizerWindow.windowEl);
+            return;
+        }
+        const win = this.windowManager.openWindow('Winamp Equalizer', document.getElementById('tpl-winamp-eq').innerHTML, {
+            icon: 'fa-solid fa-sliders',
+            minWidth: 300,
+            minHeight: 180
+        });
+        this.equalizerWindow = new EqualizerWindow(win, this, options);
+        this.query('.btn-eq').setAttribute('aria-pressed', 'true');
+    }
+
+    /**
+     * Opens or closes the equalizer window.
+     */
+    toggleEqualizer() {
+        if (this.equalizerWindow) this.windowManager.closeWindow(this.equalizerWindow.windowEl);
+        else this.openEqualizer();
+    }
+
+    // --- SKINS ---
+
+    /**
+     * Fills the skin picker: the built-in look, then the skins from config.json and dropped files.
+     */
+    renderSkinList() {
+        const select = this.query('.skin-select');
+        select.innerHTML = `<option value="">Classic (built-in)</option>`
+            + musicLibrary.skins.map(({ name }) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        select.value = this.skin ? this.skin.name : '';
+    }
+
+    /**
+     * Switches to a skin from the list ('' for the built-in look).
+     * @param {string} name
+     */
+    async setSkin(name) {
+        const select = this.query('.skin-select');
+        select.value = name;
+        if (!name) {
+            this.applySkin(null);
+            return;
+        }
+        try {
+            const skin = await musicLibrary.loadSkin(name);
+            // Ignore it if the user picked something else meanwhile
+            if (!this.isClosed && select.value === name) this.applySkin(skin);
+        } catch (error) {
+            console.warn("[Winamp] Could not load skin:", error);
+            dialogs.error(`Could not load the skin "${name}": ${error.message}`, 'WinAmp');
+            select.value = this.skin ? this.skin.name : '';
+        }
+    }
+
+    /**
+     * Unpacks a dropped or picked .wsz file, adds it to the skin list and applies it.
+     * @param {File} file
+     */
+    async addSkin(file) {
+        try {
+            const skin = await musicLibrary.addSkin(file);
+            if (this.isClosed) return;
+            this.renderSkinList();
+            this.applySkin(skin);
+        } catch (error) {
+            console.warn("[Winamp] Could not load skin:", error);
+            dialogs.error(`Could not load the skin ${file.name}: ${error.message}`, 'WinAmp');
+        }
+    }
+
+    /**
+     * Redraws the player with a skin: sprites and colors go into CSS variables, and a class
+     * per skinned part turns on the matching styles (see styles.css).
+     * @param {WinampSkin|null} skin - Null restores the built-in look.
+     */
+    applySkin(skin) {
+        const root = this.query('.music-player');
+        if (this.skin) {
+            Object.keys(this.skin.variables).forEach(property => root.style.removeProperty(property));
+            this.skin.parts.forEach(part => root.classList.remove(`skin-${part}`));
+        }
+
+        this.skin = skin;
+        if (skin) {
+            Object.entries(skin.variables).forEach(([property, value]) => root.style.setProperty(property, value));
+            skin.parts.forEach(part => root.classList.add(`skin-${part}`));
+        }
+        this.query('.skin-select').value = skin ? skin.name : '';
+        this.visualizer.setColors(skin ? skin.visColors : null);
+        this.updateVolumeSkin();
+        if (this.title) this.updateTitle(this.title);
+    }
+
+    /**
+     * volume.bmp has a background per volume level; shows the one for the current volume.
+     */
+    updateVolumeSkin() {
+        const root = this.query('.music-player');
+        const strips = this.skin ? this.skin.volumeStrips : [];
+        if (!strips.length) {
+            root.style.removeProperty('--skin-volume');
+            return;
+        }
+        root.style.setProperty('--skin-volume', strips[Math.round(this.volume / 100 * (strips.length - 1))]);
+    }
+
+    // --- SESSION STATE ---
+
+    /**
+     * Snapshot of the player settings worth restoring after a reload.
+     * Tracks imported from playlist files are kept; local files and dropped skins cannot be reopened.
+     * @returns {{track: number, volume: number, visualizer: string, shuffle: boolean, repeat: string, imported: Object[], eq: Object, eqOpen: boolean, eqDocked: boolean, skin: string}}
+     */
+    getState() {
+        const kept = this.playlist.filter(track => !track.local);
+        return {
+            track: Math.max(0, kept.indexOf(this.playlist[this.currentTrackIndex])),
+            imported: kept.filter(track => track.imported)
+                .map(({ title, artist, youtube, url, sources }) => ({ title, artist, youtube, url, order: sources })),
+            volume: this.volume,
+            visualizer: this.visualizer.style,
+            shuffle: this.shuffle,
+            repeat: this.repeat,
+            eq: this.equalizer.getSettings(),
+            eqOpen: Boolean(this.equalizerWindow),
+            eqDocked: Boolean(this.equalizerWindow && this.equalizerWindow.docked),
+            skin: this.skin && musicLibrary.skins.some(skin => skin.name === this.skin.name && skin.url) ? this.skin.name : ''
+        };
+    }
+
+    /**
+     * Applies a snapshot from getState().
+     * @param {{track: number, volume: number, visualizer: string, shuffle: boolean, repeat: string, imported: Object[], eq: Object, eqOpen: boolean, eqDocked: boolean, skin: string}} state
+     */
+    setState(state) {
+        if (Array.isArray(state.imported) && state.imported.length) {
+            this.playlist.push(...state.imported.map(entry => MusicLibrary.normalize({ ...entry, imported: true })).filter(Boolean));
+            this.buildOrder();
+            this.renderPlaylist();
+        }
+        if (state.repeat) this.setRepeat(state.repeat);
+        if (state.eq) this.equalizer.load(state.eq);
+        if (state.eqOpen) this.openEqualizer({ docked: state.eqDocked });
+        if (WinampVisualizer.STYLES.includes(state.visualizer)) {
+            this.query('.vis-style').value = state.visualizer;
+            this.visualizer.setStyle(state.visualizer);
+        }
+
+        if (state.skin) this.setSkin(state.skin);
+        if (Number.isFinite(state.volume)) {
+            this.volume = state.volume;
+            this.updateVolumeSkin();
+            this.query('.vol-slider').value = state.volume;
+            if (this.audioElement) this.audioElement.volume = state.volume / 100;
+            else if (this.player && this.player.setVolume) this.player.setVolume(state.volume);
+        }
+
+        // The player may already be loading the first track
+        if (this.playlist[state.track] && state.track !== this.currentTrackIndex) this.playTrack(state.track);
+        if (state.shuffle) this.setShuffle(true);
+    }
+
+    // --- VISUALIZER ---
+
+    /**
+     * Starts the visualizer (real data in native mode, random bars for YouTube).
+     */
+    startVisualizer() {
+        // Hidden windows skip the animation; 'window-restored' starts it again
+        if (this.windowEl.classList.contains('minimized')) return;
+        this.visualizer.start();
+    }
+
+    /**
+     * Stops the visualizer animation and resets bars to resting state.
+     */
+    stopVisualizer() {
+        this.visualizer.stop();
+    }
+}
+
+WinampApp.REPEAT_MODES = ['off', 'all', 'one'];
+WinampApp.AUDIO_EXTENSIONS = /\.(mp3|ogg|oga|opus|wav|flac|m4a|aac|weba)$/i;
+
+// --- NOW PLAYING ---
+
+/**
+ * Connects the Winamp player that played last to the rest of the system: the now-playing
+ * indicator in the menu bar tray, the browser's Media Session (lock screen, headset and
+ * hardware media keys) and the global playback shortcuts (see KeyboardManager).
+ * Players report every change of track or play state through update().
+ */
+class NowPlaying {
+    constructor() {
+        this.player = null; // The WinampApp in control
+        this.tray = null;
+    }
+
+    /**
+     * Binds the tray indicator and the Media Session action handlers.
+     * @param {HTMLElement} tray - The `#now-playing` element in the menu bar.
+     */
+    attach(tray) {
+        this.tray = tray;
+        tray.querySelector('.now-playing-toggle').addEventListener('click', () => this.togglePlay());
+        tray.querySelector('.now-playing-title').addEventListener('click', () => {
+            if (this.player) this.player.windowManager.activateWindow(this.player.windowEl);
+        });
+
+        if (!('mediaSession' in navigator)) return;
+        const handlers = {
+            play: () => this.player && this.player.play(),
+            pause: () => this.player && this.player.pause(),
+            stop: () => this.player && this.player.stop(),
+            previoustrack: () => this.player && this.player.previous(),
+            nexttrack: () => this.player && this.player.next(),
+            seekto: (details) => this.player && this.player.seek(details.seekTime),
+            seekbackward: (details) => this.seekBy(-(details.seekOffset || NowPlaying.SEEK_STEP)),
+            seekforward: (details) => this.seekBy(details.seekOffset || NowPlaying.SEEK_STEP)
+        };
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Older browsers throw for actions they do not know
+                console.warn(`[NowPlaying] Media Session action "${action}" unsupported`);
+            }
+        });
+    }
+
+    /**
+     * Called by a player when its track or play state changes. A player that starts
+     * playing takes over; the others only refresh the display while in control.
+     * @param {WinampApp} player
+     */
+    update(player) {
+        if (player.isPlaying || !this.player) this.player = player;
+        if (player === this.player) this.render();
+    }
+
+    /**
+     * Called when a player closes.
+     * @param {WinampApp} player
+     */
+    release(player) {
+        if (this.player !== player) return;
+        this.player = null;
+        this.render();
+    }
+
+    /**
+     * Plays or pauses the player in control.
+     * @returns {boolean} False if no player is open.
+     */
+    togglePlay() {
+        if (!this.player) return false;
+        this.player.togglePlay();
+        return true;
+    }
+
+    /**
+     * Runs a transport command on the player in control.
+     * @param {string} command - 'next', 'previous' or 'stop'.
+     */
+    control(command) {
+        if (this.player) this.player[command]();
+    }
+
+    /**
+     * @param {number} seconds - Offset from the current position.
+     */
+    seekBy(seconds) {
+        if (!this.player) return;
+        const { current, duration } = this.player.getPlaybackTime();
+        if (duration) this.player.seek(Math.min(duration, Math.max(0, current + seconds)));
+    }
+
+    /**
+     * Updates the tray indicator and the Media Session.
+     */
+    render() {
+        const player = this.player;
+        const info = player ? player.getTrackInfo() : null;
+
+        if (this.tray) {
+            this.tray.hidden = !player;
+            if (player) {
+                const toggle = this.tray.querySelector('.now-playing-toggle');
+                const label = player.isPlaying ? 'Pause' : 'Play';
+                toggle.title = label;
+                toggle.setAttribute('aria-label', label);
+                toggle.innerHTML = `<i class="fa-solid fa-${player.isPlaying ? 'pause' : 'play'}"></i>`;
+                const title = this.tray.querySelector('.now-playing-title');
+                title.textContent = info.artist ? `${info.artist} - ${info.title}` : info.title;
+                title.title = `${title.textContent} (show the player)`;
+            }
+        }
+
+        if (!('mediaSession' in navigator)) return;
+        const session = navigator.mediaSession;
+        if (!player) {
+            session.metadata = null;
+            session.playbackState = 'none';
+            return;
+        }
+        if (typeof MediaMetadata === 'function') {
+            session.metadata = new MediaMetadata({
+                title: info.title,
+                artist: info.artist,
+                album: 'WinAmp',
+                artwork: info.artwork ? [{ src: info.artwork }] : []
+            });
+        }
+        session.playbackState = player.isPlaying ? 'playing' : 'paused';
+
+        // Lets the lock screen show a progress bar; live streams have no duration
+        const { current, duration } = player.getPlaybackTime();
+        if (typeof session.setPositionState === 'function' && Number.isFinite(duration) && duration > 0) {
+            try {
+                session.setPositionState({ duration, position: Math.min(current, duration), playbackRate: 1 });
+            } catch (error) {
+                console.warn("[NowPlaying] Could not set the position:", error);
+            }
+        }
+    }
+}
+
+NowPlaying.SEEK_STEP = 10; // Seconds for seek backward/forward without an offset
+
+/**
+ * The global now-playing state (attached to the tray during boot).
+ * @type {NowPlaying}
+ */
+const nowPlaying = new NowPlaying();
+
+// --- APP: PAINT ---
+
+/**
+ * Bounded undo/redo history for a drawing. Each entry is a full ImageData snapshot
+ * of the canvas (layer) an action changed, so the number of steps kept depends on the
+ * canvas size: the oldest entries are dropped once the snapshots exceed the memory budget.
+ */
+class PaintHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.budgetBytes] - Memory allowed for all snapshots (default 32 MB).
+     * @param {number} [options.maxSteps] - Hard cap on undo steps.
+     */
+    constructor(options = {}) {
+        this.budgetBytes = options.budgetBytes || 32 * 1024 * 1024;
+        this.maxSteps = options.maxSteps || 50;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @returns {{canvas: HTMLCanvasElement, image: ImageData}} The canvas' current content.
+     */
+    capture(canvas) {
+        return { canvas, image: canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height) };
+    }
+
+    /**
+     * Stores a snapshot taken before an action, making that action undoable.
+     * @param {{canvas: HTMLCanvasElement, image: ImageData}} snapshot - Output of capture().
+     */
+    push(snapshot) {
+        this.undoStack.push(snapshot);
+        this.redoStack = [];
+        this.trim();
+    }
+
+    /**
+     * Shortcut for push(capture(canvas)): call right before changing the canvas.
+     * @param {HTMLCanvasElement} canvas
+     */
+    record(canvas) {
+        this.push(this.capture(canvas));
+    }
+
+    /**
+     * @returns {{canvas: HTMLCanvasElement, image: ImageData}|null} The snapshot painted back, or null if there was none.
+     */
+    undo() {
+        if (!this.undoStack.length) return null;
+        const snapshot = this.undoStack.pop();
+        this.redoStack.push(this.capture(snapshot.canvas));
+        this.restore(snapshot);
+        this.trim();
+        return snapshot;
+    }
+
+    /**
+     * @returns {{canvas: HTMLCanvasElement, image: ImageData}|null} The snapshot painted back, or null if there was none.
+     */
+    redo() {
+        if (!this.redoStack.length) return null;
+        const snapshot = this.redoStack.pop();
+        this.undoStack.push(this.capture(snapshot.canvas));
+        this.restore(snapshot);
+        this.trim();
+        return snapshot;
+    }
+
+    /**
+     * Paints a snapshot back. Snapshots taken before the canvas grew only cover
+     * the top-left part, so the rest is cleared first (PaintApp whitens it again on the free canvas).
+     * @param {{canvas: HTMLCanvasElement, image: ImageData}} snapshot
+     */
+    restore(snapshot) {
+        const ctx = snapshot.canvas.getContext('2d');
+        ctx.clearRect(0, 0, snapshot.canvas.width, snapshot.canvas.height);
+        ctx.putImageData(snapshot.image, 0, 0);
+    }
+
+    /**
+     * Drops the oldest undo steps (then the furthest redo steps) until the history fits its budget.
+     */
+    trim() {
+        const bytes = (stack) => stack.reduce((sum, s) => sum + s.image.data.length, 0);
+        while (this.undoStack.length > this.maxSteps) this.undoStack.shift();
+        while (this.undoStack.length && bytes(this.undoStack) + bytes(this.redoStack) > this.budgetBytes) {
+            this.undoStack.shift();
+        }
+        while (this.redoStack.length && bytes(this.redoStack) > this.budgetBytes) this.redoStack.shift();
+    }
+
+    /**
+     * Drops the steps of a canvas that no longer exists (e.g. a deleted layer).
+     * @param {HTMLCanvasElement} canvas
+     */
+    forget(canvas) {
+        this.undoStack = this.undoStack.filter(s => s.canvas !== canvas);
+        this.redoStack = this.redoStack.filter(s => s.canvas !== canvas);
+    }
+
+    /**
+     * Forgets every step (e.g. after loading a saved drawing).
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
+/**
+ * Reads and writes color palettes: GIMP (.gpl), JASC (.pal) and plain hex lists (.hex).
+ */
+class PaletteFormat {
+    /**
+     * Parses a palette file. The format is detected from the content.
+     * @param {string} text - File content.
+     * @returns {string[]} Colors as "#rrggbb".
+     * @throws {Error} If no color could be read.
+     */
+    static parse(text) {
+        const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+        const toHex = (r, g, b) => '#' + [r, g, b].map(v => Math.min(255, Number(v)).toString(16).padStart(2, '0')).join('');
+        let colors = [];
+
+        if (/^GIMP Palette/i.test(lines[0] || '')) {
+            lines.slice(1).forEach(line => {
+                const match = /^(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})/.exec(line);
+                if (match) colors.push(toHex(match[1], match[2], match[3]));
+            });
+        } else if (/^JASC-PAL/i.test(lines[0] || '')) {
+            // Header: "JASC-PAL", version, color count
+            lines.slice(3).forEach(line => {
+                const match = /^(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})$/.exec(line);
+                if (match) colors.push(toHex(match[1], match[2], match[3]));
+            });
+        } else {
+            colors = lines
+                .map(line => /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(line.split(/\s/)[0]))
+                .filter(Boolean)
+                .map(match => PaletteFormat.normalize(`#${match[1]}`));
+        }
+
+        if (colors.length === 0) throw new Error("No colors found in palette file");
+        return colors;
+    }
+
+    /**
+     * @param {string[]} colors - "#rrggbb" colors.
+     * @param {string} [name] - Palette name.
+     * @returns {string} GIMP palette.
+     */
+    static toGpl(colors, name = 'RubensOS') {
+        const rows = colors.map(hex => {
+            const { r, g, b } = PaletteFormat.toRgb(hex);
+            return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${hex}`;
+        });
+        return ['GIMP Palette', `Name: ${name}`, 'Columns: 8', '#', ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * @param {string[]} colors - "#rrggbb" colors.
+     * @returns {string} One "rrggbb" per line (the Lospec .hex format).
+     */
+    static toHexList(colors) {
+        return colors.map(hex => hex.slice(1)).join('\n') + '\n';
+    }
+
+    /**
+     * @param {string} hex - "#rgb" or "#rrggbb".
+     * @returns {string} Lowercase "#rrggbb".
+     */
+    static normalize(hex) {
+        let value = hex.replace('#', '').toLowerCase();
+        if (value.length === 3) value = value.split('').map(c => c + c).join('');
+        return `#${value}`;
+    }
+
+    /**
+     * @param {string} hex - "#rgb" or "#rrggbb".
+     * @returns {{r: number, g: number, b: number}}
+     */
+    static toRgb(hex) {
+        const value = parseInt(PaletteFormat.normalize(hex).slice(1), 16);
+        return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+    }
+}
+
+/**
+ * Minimal animated GIF (GIF89a) encoder for Paint's pixel mode.
+ * Frames share one global color table; if they use more than 256 colors, pixels
+ * are snapped to a 6x6x6 color cube. Mostly transparent pixels (alpha < 128) become transparent.
+ */
+class GifEncoder {
+    /**
+     * @param {Array<{data: Uint8ClampedArray}>} frames - RGBA frames (ImageData), all width x height.
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} [options]
+     * @param {number} [options.delay] - Frame delay in milliseconds.
+     * @param {number} [options.loop] - Loop count (0 = forever).
+     * @returns {Uint8Array} The GIF file.
+     */
+    static encode(frames, width, height, options = {}) {
+        const delay = Math.max(2, Math.round((options.delay || 100) / 10)); // hundredths of a second
+        const { colors, indexFrames, transparentIndex } = GifEncoder.quantize(frames);
+
+        // Color table sizes are powers of two (minimum 2 entries)
+        let bits = 1;
+        while ((1 << bits) < colors.length) bits++;
+        const tableSize = 1 << bits;
+
+        const out = [];
+        const word = (v) => out.push(v & 255, (v >> 8) & 255);
+        const ascii = (s) => s.split('').forEach(c => out.push(c.charCodeAt(0)));
+
+        ascii('GIF89a');
+        word(width);
+        word(height);
+        out.push(0xf0 | (bits - 1), 0, 0); // global color table, 8-bit color resolution
+        for (let i = 0; i < tableSize; i++) {
+            const c = colors[i] || 0;
+            out.push((c >> 16) & 255, (c >> 8) & 255, c & 255);
+        }
+
+        // NETSCAPE2.0 extension: loop count
+        out.push(0x21, 0xff, 0x0b);
+        ascii('NETSCAPE2.0');
+        out.push(0x03, 0x01);
+        word(options.loop || 0);
+        out.push(0x00);
+
+        const minCodeSize = Math.max(2, bits);
+        indexFrames.forEach(indices => {
+            // Graphic control extension: restore to background between frames so transparency works
+            const hasAlpha = transparentIndex >= 0;
+            out.push(0x21, 0xf9, 0x04, (2 << 2) | (hasAlpha ? 1 : 0));
+            word(delay);
+            out.push(hasAlpha ? transparentIndex : 0, 0x00);
+
+            // Image descriptor covering the whole canvas, no local color table
+            out.push(0x2c);
+            word(0);
+            word(0);
+            word(width);
+            word(height);
+            out.push(0x00);
+
+            out.push(minCodeSize);
+            const data = GifEncoder.lzw(indices, minCodeSize);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.slice(i, i + 255);
+                out.push(block.length, ...block);
+            }
+            out.push(0x00);
+        });
+
+        out.push(0x3b);
+        return new Uint8Array(out);
+    }
+
+    /**
+     * Maps every pixel to a palette index.
+     * @param {Array<{data: Uint8ClampedArray}>} frames
+     * @returns {{colors: number[], indexFrames: Uint8Array[], transparentIndex: number}}
+     */
+    static quantize(frames) {
+        const isTransparent = (data, i) => data[i + 3] < 128;
+        const unique = new Set();
+        let hasTransparent = false;
+        frames.forEach(({ data }) => {
+            for (let i = 0; i < data.length; i += 4) {
+                if (isTransparent(data, i)) hasTransparent = true;
+                else unique.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+            }
+        });
+
+        const limit = hasTransparent ? 255 : 256;
+        let mapColor = (rgb) => rgb;
+        if (unique.size > limit) {
+            // Too many colors: snap each channel to 6 levels (216-color cube)
+            const level = (v) => Math.round(v / 51) * 51;
+            mapColor = (rgb) => (level(rgb >> 16) << 16) | (level((rgb >> 8) & 255) << 8) | level(rgb & 255);
+        }
+
+        const colors = [];
+        const lookup = new Map();
+        const transparentIndex = hasTransparent ? 0 : -1;
+        if (hasTransparent) colors.push(0);
+
+        const indexFrames = frames.map(({ data }) => {
+            const indices = new Uint8Array(data.length / 4);
+            for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+                if (isTransparent(data, i)) {
+                    indices[p] = transparentIndex;
+                    continue;
+                }
+                const rgb = mapColor((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+                let index = lookup.get(rgb);
+                if (index === undefined) {
+                    index = colors.length;
+                    colors.push(rgb);
+                    lookup.set(rgb, index);
+                }
+                indices[p] = index;
+            }
+            return indices;
+        });
+
+        return { colors, indexFrames, transparentIndex };
+    }
+
+    /**
+     * Variable-width LZW compression as used by GIF.
+     * @param {Uint8Array} indices - Palette index per pixel.
+     * @param {number} minCodeSize - Initial code size.
+     * @returns {number[]} Packed bytes.
+     */
+    static lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const eoiCode = clearCode + 1;
+        let codeSize = minCodeSize + 1;
+        let nextCode = eoiCode + 1;
+        let table = new Map();
+
+        const bytes = [];
+        let buffer = 0;
+        let bufferBits = 0;
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                bytes.push(buffer & 255);
+                buffer >>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode < 4096) {
+                // The decoder widens its codes one step behind us, so widen before adding the entry that needs it
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            } else {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = eoiCode + 1;
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(eoiCode);
+        if (bufferBits > 0) bytes.push(buffer & 255);
+        return bytes;
+    }
+}
+
+/**
+ * A robust Canvas-based drawing application.
+ * Supports brush, eraser, flood fill, line/rectangle/ellipse shapes, eyedropper,
+ * undo/redo, saving, and an editable color palette.
+ *
+ * In pixel mode the canvas bitmap is the logical sprite size (e.g. 32x32), shown zoomed
+ * through CSS and drawn one cell at a time. Pixel documents can hold several frames
+ * (each with its own undo history) for sprite sheet and GIF export.
+ */
+class PaintApp extends BaseApp {
+    /**
+     * @param {HTMLElement} windowEl - The DOM element of the window.
+     */
+    constructor(windowEl) {
+        super(windowEl);
+        this.stage = this.query('.paint-stage');
+        this.isDrawing = false;
+
+        // Default Settings
+        this.color = '#000000';
+        this.lineWidth = 3;
+        this.tool = 'brush';
+        this.fillShapes = false;
+        this.palette = [...PaintApp.DEFAULT_PALETTE];
+
+        // Pixel mode state (free canvas by default: one frame, no zoom)
+        this.pixelMode = false;
+        this.zoom = 1;
+        this.showGrid = true;
+        this.fps = 8;
+        this.pendingSnapshot = null;
+
+        // The template canvas becomes the first layer; newDocument() sizes it and adds the frame
+        const base = this.query('.paint-canvas');
+        this.layers = [this.createLayer('Background', base)];
+        this.layerIndex = 0;
+        this.canvas = base;
+        this.ctx = base.getContext('2d');
+
+        this.setupEvents();
+        this.renderPalette();
+
+        // Dynamic Canvas Sizing
+        // Desktop default: 400x300. Mobile: 90% of screen width.
+        this.newDocument(false);
+
+        // Grow the canvas (or the pixel zoom) with the window
+        windowEl.addEventListener('window-resized', () => this.resizeCanvas());
+    }
+
+    /**
+     * Re-applies stroke settings (they are reset whenever the canvas is resized).
+     */
+    applyBrushStyle() {
+        this.layers.forEach(layer => {
+            layer.ctx.lineCap = 'round';
+            layer.ctx.lineJoin = 'round';
+            layer.ctx.imageSmoothingEnabled = !this.pixelMode;
+        });
+    }
+
+    /**
+     * Grows the canvas to fill the space the window gives it, keeping the current drawing.
+     * The canvas never shrinks, so making the window smaller does not crop the artwork.
+     */
+    resizeCanvas() {
+        if (this.pixelMode) {
+            this.updateZoom();
+            return;
+        }
+
+        // Only explicitly sized windows have room to fill; auto-sized ones just wrap the canvas
+        const win = this.windowEl;
+        if (!win.classList.contains('sized') && !win.classList.contains('maximized')) return;
+
+        const content = this.query('.window-content');
+        const toolbar = this.query('.paint-toolbar');
+        const layersPanel = this.query('.paint-layers');
+        const style = getComputedStyle(content);
+        const padX = parseFloat(style.paddingLeft) + parseFloat(style.paddingRight);
+        const padY = parseFloat(style.paddingTop) + parseFloat(style.paddingBottom);
+
+        // 10px gaps + 4px stage border
+        const availWidth = Math.floor(content.clientWidth - padX - 4);
+        const availHeight = Math.floor(content.clientHeight - padY - toolbar.offsetHeight - layersPanel.offsetHeight - 24);
+        this.growCanvas(availWidth, availHeight);
+    }
+
+    /**
+     * Enlarges every layer to at least the given size, keeping their content.
+     * @param {number} width
+     * @param {number} height
+     */
+    growCanvas(width, height) {
+        const oldWidth = this.canvas.width;
+        const oldHeight = this.canvas.height;
+        const newWidth = Math.max(oldWidth, width);
+        const newHeight = Math.max(oldHeight, height);
+        if (newWidth === oldWidth && newHeight === oldHeight) return;
+
+        this.layers.forEach(layer => {
+            // Resizing wipes the bitmap, so keep a copy to paint back
+            const snapshot = document.createElement('canvas');
+            snapshot.width = layer.canvas.width;
+            snapshot.height = layer.canvas.height;
+            snapshot.getContext('2d').drawImage(layer.canvas, 0, 0);
+
+            layer.canvas.width = newWidth;
+            layer.canvas.height = newHeight;
+            layer.ctx.drawImage(snapshot, 0, 0);
+            this.fillUncovered(layer.canvas, oldWidth, oldHeight);
+        });
+        this.applyBrushStyle();
+    }
+
+    /**
+     * The free canvas has a white Background layer (see newDocument). Paints the part of it
+     * outside width x height white again: area added by growing the canvas, or left over by
+     * an undo snapshot taken while the canvas was smaller.
+     * @param {HTMLCanvasElement} canvas - A layer canvas; only the bottom one in free mode is filled.
+     * @param {number} width - Width of the area that already has content.
+     * @param {number} height - Height of the area that already has content.
+     */
+    fillUncovered(canvas, width, height) {
+        if (this.pixelMode || canvas !== this.layers[0].canvas) return;
+        const ctx = canvas.getContext('2d');
+        ctx.save();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(width, 0, canvas.width - width, canvas.height);
+        ctx.fillRect(0, height, width, canvas.height - height);
+        ctx.restore();
+    }
+
+    /**
+     * Snapshot of the drawing for session persistence.
+     * The session lives in localStorage, so big drawings are bounded by MAX_SESSION_CHARS:
+     * one PNG per layer per frame if it fits, else one flattened PNG per frame, else no image.
+     * @returns {Object} Size, mode, palette, layer settings and the frame images.
+     */
+    getState() {
+        this.storeFrame();
+        const state = {
+            mode: this.pixelMode ? 'pixel' : 'free',
+            width: this.canvas.width,
+            height: this.canvas.height,
+            layers: this.layers.map(({ name, visible, opacity }) => ({ name, visible, opacity })),
+            layerIndex: this.layerIndex,
+            frames: this.frames.map(frame => frame.cels.map(cel => this.celToCanvas(cel).toDataURL())),
+            frameIndex: this.frameIndex,
+            fps: this.fps,
+            grid: this.showGrid,
+            palette: this.palette
+        };
+        const size = (frames) => frames.flat().reduce((total, url) => total + url.length, 0);
+        if (size(state.frames) <= PaintApp.MAX_SESSION_CHARS) return state;
+
+        // Layers are lost, the picture is kept
+        state.layers = [{ name: 'Background' }];
+        state.layerIndex = 0;
+        state.frames = this.frames.map((frame, i) => this.flatten(i).toDataURL());
+        if (size(state.frames) <= PaintApp.MAX_SESSION_CHARS) return state;
+
+        console.warn("[Paint] Drawing too big for the session, only its settings are saved");
+        state.frames = [null]; // One blank frame
+        state.frameIndex = 0;
+        return state;
+    }
+
+    /**
+     * Restores a drawing saved by getState().
+     * @param {Object} state - Output of getState(). Older sessions have one flattened image
+     * per frame (`frames: [url]`) or a single `image`.
+     */
+    setState(state) {
+        if (Array.isArray(state.palette) && state.palette.length) {
+            this.palette = state.palette;
+            this.renderPalette();
+        }
+        if (state.fps) this.setFps(state.fps);
+        if (state.grid === false) this.toggleGrid(false);
+
+        this.newDocument(state.mode === 'pixel', state.width, state.height);
+        const layers = Array.isArray(state.layers) && state.layers.length ? state.layers : [{ name: 'Background' }];
+        layers.slice(1).forEach(() => this.addLayer());
+        layers.forEach((info, i) => {
+            this.layers[i].name = info.name || `Layer ${i + 1}`;
+            this.setLayerVisible(i, info.visible !== false);
+            this.setLayerOpacity(i, info.opacity === undefined ? 1 : info.opacity);
+        });
+
+        const frames = (Array.isArray(state.frames) ? state.frames : [state.image])
+            .map(frame => (Array.isArray(frame) ? frame : [frame]));
+        this.frames = frames.map(() => ({ cels: this.layers.map(() => null), history: new PaintHistory() }));
+        this.selectLayer(Math.min(state.layerIndex || 0, this.layers.length - 1));
+        this.selectFrame(Math.min(state.frameIndex || 0, this.frames.length - 1), false);
+
+        frames.forEach((sources, f) => sources.forEach((src, l) => {
+            if (!src || !this.layers[l]) return;
+            const img = new Image();
+            img.onload = () => {
+                const canvas = this.celToCanvas(null);
+                canvas.getContext('2d').drawImage(img, 0, 0);
+                this.frames[f].cels[l] = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+                if (f === this.frameIndex) this.layers[l].ctx.putImageData(this.frames[f].cels[l], 0, 0);
+                this.renderFrames();
+            };
+            img.src = src;
+        }));
+    }
+
+    /**
+     * Starts a new document with a single layer: white in free mode, transparent in pixel mode.
+     * @param {boolean} pixelMode - Pixel art document (zoomed, cell drawing, frames) or free canvas.
+     * @param {number} [width] - Bitmap width (defaults: 32 in pixel mode, 400 otherwise).
+     * @param {number} [height] - Bitmap height.
+     */
+    newDocument(pixelMode, width, height) {
+        this.stopDraw();
+        this.pixelMode = pixelMode;
+
+        // Keep only the bottom layer
+        this.layers.slice(1).forEach(layer => layer.canvas.remove());
+        this.layers = this.layers.slice(0, 1);
+        this.layers[0].name = 'Background';
+        this.setLayerVisible(0, true);
+        this.setLayerOpacity(0, 1);
+        this.selectLayer(0);
+
+        this.canvas.width = width || (pixelMode ? 32 : Math.min(400, window.innerWidth - 60));
+        this.canvas.height = height || (pixelMode ? 32 : 300);
+        this.applyBrushStyle();
+        if (!pixelMode) this.fillLayer(this.layers[0], '#ffffff');
+
+        this.frames = [{ cels: [null], history: new PaintHistory() }];
+        this.frameIndex = 0;
+        this.history = this.frames[0].history;
+
+        // Pixel art starts with a 1-cell brush; the free canvas with the classic 3px one
+        this.lineWidth = pixelMode ? 1 : 3;
+        this.query('.brush-size').value = this.lineWidth;
+
+        this.query('.paint-app').classList.toggle('pixel-mode', pixelMode);
+        this.query('.paint-mode').value = pixelMode ? this.modeValue() : 'free';
+        this.updateZoom();
+        this.renderLayers();
+        this.renderFrames();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * @returns {string} The mode picker value for the current pixel size.
+     */
+    modeValue() {
+        const { width, height } = this.canvas;
+        return width === height && [16, 32, 64].includes(width) ? String(width) : 'custom';
+    }
+
+    /**
+     * Handles the document mode picker ("free", "16", "32", "64" or "custom").
+     * @param {string} value
+     */
+    async changeMode(value) {
+        const modified = this.frames.length > 1 || this.frames.some(f => f.history.canUndo());
+        if (modified && !(await dialogs.confirm("Start a new drawing? The current one will be discarded.", { title: 'Pixel Paint' }))) {
+            this.query('.paint-mode').value = this.pixelMode ? this.modeValue() : 'free';
+            return;
+        }
+
+        if (value === 'free') {
+            this.newDocument(false);
+            return;
+        }
+
+        let width = Number(value);
+        let height = width;
+        if (value === 'custom') {
+            const answer = await dialogs.prompt("Sprite size (width x height, up to 256):", `${this.canvas.width}x${this.canvas.height}`, { title: 'Pixel Paint' });
+            const match = /^\s*(\d+)\s*[x×*]?\s*(\d+)?\s*$/i.exec(answer || '');
+            if (!match) {
+                this.query('.paint-mode').value = this.pixelMode ? this.modeValue() : 'free';
+                return;
+            }
+            width = Math.min(256, Math.max(1, Number(match[1])));
+            height = Math.min(256, Math.max(1, Number(match[2] || match[1])));
+        }
+        this.newDocument(true, width, height);
+    }
+
+    /**
+     * Pixel mode: scales the canvas up by a whole number so it fills the available space.
+     * Free mode: shows the canvas at its natural size.
+     */
+    updateZoom() {
+        const stage = this.stage;
+        if (!this.pixelMode) {
+            this.zoom = 1;
+            this.layers.forEach(layer => {
+                layer.canvas.style.width = '';
+                layer.canvas.style.height = '';
+            });
+            stage.style.removeProperty('--grid-cols');
+            stage.style.removeProperty('--grid-rows');
+            return;
+        }
+
+        // Explicitly sized windows zoom to fit; auto-sized ones use a comfortable 384px target
+        let availWidth = 384;
+        let availHeight = 384;
+        const win = this.windowEl;
+        if (win.classList.contains('sized') || win.classList.contains('maximized')) {
+            const content = this.query('.window-content');
+            const toolbar = this.query('.paint-toolbar');
+            const frames = this.query('.paint-frames');
+            const layersPanel = this.query('.paint-layers');
+            availWidth = content.clientWidth - 40;
+            availHeight = content.clientHeight - toolbar.offsetHeight - frames.offsetHeight - layersPanel.offsetHeight - 60;
+        }
+        const { width, height } = this.canvas;
+        this.zoom = Math.max(1, Math.floor(Math.min(availWidth / width, availHeight / height)));
+
+        this.layers.forEach(layer => {
+            layer.canvas.style.width = `${width * this.zoom}px`;
+            layer.canvas.style.height = `${height * this.zoom}px`;
+        });
+        stage.style.setProperty('--grid-cols', width);
+        stage.style.setProperty('--grid-rows', height);
+    }
+
+    /**
+     * @param {boolean} [show] - Omit to toggle.
+     */
+    toggleGrid(show = !this.showGrid) {
+        this.showGrid = show;
+        this.stage.classList.toggle('show-grid', show);
+        this.query('.btn-grid').classList.toggle('tool-active', show);
+    }
+
+    /**
+     * @param {number} fps - Animation speed for the GIF export (1-30).
+     */
+    setFps(fps) {
+        this.fps = Math.min(30, Math.max(1, Math.round(Number(fps)) || 8));
+        this.query('.paint-fps').value = this.fps;
+    }
+
+    /**
+     * Copies every layer into the current frame.
+     */
+    storeFrame() {
+        this.frames[this.frameIndex].cels = this.layers.map(layer =>
+            layer.ctx.getImageData(0, 0, layer.canvas.width, layer.canvas.height));
+    }
+
+    /**
+     * Shows another frame on the canvas. Each frame keeps its own undo history.
+     * @param {number} index
+     * @param {boolean} [store] - Save the current frame first (false when it was just deleted).
+     */
+    selectFrame(index, store = true) {
+        this.stopDraw();
+        if (store) this.storeFrame();
+        this.frameIndex = index;
+
+        const frame = this.frames[index];
+        this.history = frame.history;
+        this.layers.forEach((layer, i) => {
+            layer.ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+            if (frame.cels[i]) layer.ctx.putImageData(frame.cels[i], 0, 0);
+            else this.fillUncovered(layer.canvas, 0, 0); // A blank free canvas is white
+        });
+        this.renderFrames();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Adds a frame after the current one.
+     * @param {boolean} duplicate - Copy the current frame instead of starting blank.
+     */
+    addFrame(duplicate) {
+        this.storeFrame();
+        const cels = this.frames[this.frameIndex].cels.map(cel => {
+            if (!duplicate || !cel) return null;
+            const copy = this.ctx.createImageData(cel.width, cel.height);
+            copy.data.set(cel.data);
+            return copy;
+        });
+        this.frames.splice(this.frameIndex + 1, 0, { cels, history: new PaintHistory() });
+        this.selectFrame(this.frameIndex + 1, false);
+    }
+
+    /**
+     * Deletes the current frame (the last one cannot be deleted).
+     */
+    deleteFrame() {
+        if (this.frames.length < 2) return;
+        this.frames.splice(this.frameIndex, 1);
+        this.selectFrame(Math.max(0, this.frameIndex - 1), false);
+    }
+
+    /**
+     * Redraws the frame strip thumbnails.
+     */
+    renderFrames() {
+        if (!this.pixelMode) return;
+        const list = this.query('.paint-frame-list');
+        list.innerHTML = '';
+        this.frames.forEach((frame, i) => {
+            const thumb = this.flatten(i);
+            thumb.className = 'paint-frame';
+            thumb.classList.toggle('active', i === this.frameIndex);
+            thumb.title = `Frame ${i + 1}`;
+            thumb.dataset.index = i;
+            list.appendChild(thumb);
+        });
+        this.query('.paint-frame-count').textContent = `${this.frameIndex + 1}/${this.frames.length}`;
+    }
+
+    /**
+     * @param {ImageData|null} cel - Layer content for one frame (null is empty).
+     * @returns {HTMLCanvasElement} A detached canvas holding it.
+     */
+    celToCanvas(cel) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        if (cel) canvas.getContext('2d').putImageData(cel, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Merges the visible layers of a frame (with their opacity) into one image.
+     * @param {number} [frameIndex] - Defaults to the current frame.
+     * @param {number} [scale] - Whole-number nearest-neighbor scale.
+     * @returns {HTMLCanvasElement} A detached canvas with the flattened image.
+     */
+    flatten(frameIndex = this.frameIndex, scale = 1) {
+        const output = document.createElement('canvas');
+        output.width = this.canvas.width * scale;
+        output.height = this.canvas.height * scale;
+        const ctx = output.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        this.layers.forEach((layer, i) => {
+            if (!layer.visible) return;
+            // The current frame lives on the layer canvases; other frames only as stored cels
+            const source = frameIndex === this.frameIndex ? layer.canvas : this.celToCanvas(this.frames[frameIndex].cels[i]);
+            ctx.globalAlpha = layer.opacity;
+            ctx.drawImage(source, 0, 0, output.width, output.height);
+        });
+        ctx.globalAlpha = 1;
+        return output;
+    }
+
+    /**
+     * @returns {number} Export scale (1 in free mode).
+     */
+    exportScale() {
+        return this.pixelMode ? Number(this.query('.paint-export-scale').value) || 1 : 1;
+    }
+
+    /**
+     * Downloads the current frame as PNG (layers flattened), scaled with nearest-neighbor in pixel mode.
+     */
+    savePng() {
+        const link = document.createElement('a');
+        link.download = 'vaporwave-art.png';
+        link.href = this.flatten(this.frameIndex, this.exportScale()).toDataURL(); // Converts canvas to Base64 image
+        link.click();
+    }
+
+    /**
+     * Downloads every frame side by side as one PNG sprite sheet.
+     */
+    saveSpriteSheet() {
+        this.storeFrame();
+        const scale = this.exportScale();
+        const cells = this.frames.map((frame, i) => this.flatten(i, scale));
+        const sheet = document.createElement('canvas');
+        sheet.width = cells[0].width * cells.length;
+        sheet.height = cells[0].height;
+        const ctx = sheet.getContext('2d');
+        cells.forEach((cell, i) => ctx.drawImage(cell, i * cell.width, 0));
+
+        const link = document.createElement('a');
+        link.download = 'vaporwave-sprites.png';
+        link.href = sheet.toDataURL();
+        link.click();
+    }
+
+    /**
+     * Downloads the frames as an animated GIF (transparent pixels stay transparent).
+     */
+    saveGif() {
+        this.storeFrame();
+        const scale = this.exportScale();
+        const width = this.canvas.width * scale;
+        const height = this.canvas.height * scale;
+        const images = this.frames.map((frame, i) =>
+            this.flatten(i, scale).getContext('2d').getImageData(0, 0, width, height));
+        const gif = GifEncoder.encode(images, width, height, { delay: 1000 / this.fps });
+        this.download(new Blob([gif], { type: 'image/gif' }), 'vaporwave-animation.gif');
+    }
+
+    /**
+     * Creates a layer object around a canvas.
+     * @param {string} name
+     * @param {HTMLCanvasElement} [canvas] - Existing canvas (a new one is created otherwise).
+     * @returns {{name: string, canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D, visible: boolean, opacity: number}}
+     */
+    createLayer(name, canvas = document.createElement('canvas')) {
+        canvas.classList.add('paint-canvas');
+        return { name, canvas, ctx: canvas.getContext('2d'), visible: true, opacity: 1 };
+    }
+
+    /**
+     * Adds an empty layer above the current one and selects it.
+     */
+    addLayer() {
+        this.stopDraw();
+        const index = this.layerIndex + 1;
+        const layer = this.createLayer(`Layer ${this.layers.length + 1}`);
+        layer.canvas.width = this.canvas.width;
+        layer.canvas.height = this.canvas.height;
+        layer.canvas.style.width = this.canvas.style.width;
+        layer.canvas.style.height = this.canvas.style.height;
+
+        this.layers.splice(index, 0, layer);
+        this.frames.forEach(frame => frame.cels.splice(index, 0, null));
+        this.applyBrushStyle();
+        this.syncLayerOrder();
+        this.selectLayer(index);
+    }
+
+    /**
+     * Deletes the current layer (the last one cannot be deleted).
+     */
+    deleteLayer() {
+        if (this.layers.length < 2) return;
+        this.stopDraw();
+        const [layer] = this.layers.splice(this.layerIndex, 1);
+        this.frames.forEach(frame => {
+            frame.cels.splice(this.layerIndex, 1);
+            frame.history.forget(layer.canvas);
+        });
+        layer.canvas.remove();
+        this.selectLayer(Math.max(0, this.layerIndex - 1));
+        this.updateHistoryButtons();
+        this.renderFrames();
+    }
+
+    /**
+     * Moves the current layer up (1) or down (-1) the stack.
+     * @param {number} step
+     */
+    moveLayer(step) {
+        const target = this.layerIndex + step;
+        if (target < 0 || target >= this.layers.length) return;
+        const swap = (list) => {
+            [list[this.layerIndex], list[target]] = [list[target], list[this.layerIndex]];
+        };
+        swap(this.layers);
+        this.frames.forEach(frame => swap(frame.cels));
+        this.syncLayerOrder();
+        this.selectLayer(target);
+        this.renderFrames();
+    }
+
+    /**
+     * Makes a layer the drawing target.
+     * @param {number} index
+     */
+    selectLayer(index) {
+        this.stopDraw();
+        this.layerIndex = index;
+        this.canvas = this.layers[index].canvas;
+        this.ctx = this.layers[index].ctx;
+        this.renderLayers();
+    }
+
+    /**
+     * @param {number} index
+     * @param {boolean} visible
+     */
+    setLayerVisible(index, visible) {
+        const layer = this.layers[index];
+        layer.visible = visible;
+        layer.canvas.style.visibility = visible ? '' : 'hidden';
+    }
+
+    /**
+     * @param {number} index
+     * @param {number} opacity - 0 to 1.
+     */
+    setLayerOpacity(index, opacity) {
+        const layer = this.layers[index];
+        layer.opacity = Math.min(1, Math.max(0, opacity));
+        layer.canvas.style.opacity = layer.opacity;
+    }
+
+    /**
+     * Orders the layer canvases in the stage to match the stack (bottom first).
+     */
+    syncLayerOrder() {
+        this.layers.forEach(layer => this.stage.appendChild(layer.canvas));
+    }
+
+    /**
+     * Fills a layer with a solid color.
+     * @param {Object} layer
+     * @param {string} color
+     */
+    fillLayer(layer, color) {
+        layer.ctx.save();
+        layer.ctx.fillStyle = color;
+        layer.ctx.fillRect(0, 0, layer.canvas.width, layer.canvas.height);
+        layer.ctx.restore();
+    }
+
+    /**
+     * Redraws the layers panel (top layer first, like most editors).
+     */
+    renderLayers() {
+        const list = this.query('.paint-layer-list');
+        list.innerHTML = this.layers.map((layer, i) => `
+            <li class="paint-layer-item ${i === this.layerIndex ? 'active' : ''}" data-index="${i}">
+                <button class="layer-visibility" title="${layer.visible ? 'Hide' : 'Show'} layer" aria-pressed="${layer.visible}">
+                    <i class="fa-solid ${layer.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>
+                </button>
+                <span class="layer-name">${escapeHtml(layer.name)}</span>
+                <input type="range" class="layer-opacity" min="0" max="100" value="${Math.round(layer.opacity * 100)}" title="Opacity" aria-label="Opacity">
+            </li>`).reverse().join('');
+    }
+
+    /**
+     * Draws an image file into the current layer (undoable). On the free canvas the
+     * document grows to fit the image; in pixel mode the image is shrunk to fit the sprite.
+     * @param {File} file - PNG or JPG.
+     */
+    async openImage(file) {
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+            dialogs.error(`${file.name} is not a PNG or JPG image.`, 'Pixel Paint');
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error("Unreadable image"));
+                image.src = url;
+            });
+
+            this.stopDraw();
+            if (!this.pixelMode) this.growCanvas(img.naturalWidth, img.naturalHeight);
+            this.history.record(this.canvas);
+
+            const scale = Math.min(1, this.canvas.width / img.naturalWidth, this.canvas.height / img.naturalHeight);
+            this.ctx.drawImage(img, 0, 0, Math.round(img.naturalWidth * scale), Math.round(img.naturalHeight * scale));
+            this.updateHistoryButtons();
+            this.renderFrames();
+        } catch (error) {
+            console.warn("[Paint] Could not open image:", error);
+            dialogs.error(`Could not open ${file.name}.`, 'Pixel Paint');
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Undoes the last stroke or clear.
+     */
+    undo() {
+        this.stopDraw();
+        const snapshot = this.history.undo();
+        if (snapshot) this.fillUncovered(snapshot.canvas, snapshot.image.width, snapshot.image.height);
+        this.updateHistoryButtons();
+        if (this.pixelMode) this.renderFrames();
+    }
+
+    /**
+     * Redoes the last undone step.
+     */
+    redo() {
+        this.stopDraw();
+        const snapshot = this.history.redo();
+        if (snapshot) this.fillUncovered(snapshot.canvas, snapshot.image.width, snapshot.image.height);
+        this.updateHistoryButtons();
+        if (this.pixelMode) this.renderFrames();
+    }
+
+    updateHistoryButtons() {
+        this.query('.btn-undo').disabled = !this.history.canUndo();
+        this.query('.btn-redo').disabled = !this.history.canRedo();
+    }
+
+    /**
+     * Clears the current layer to transparent.
+     */
+    clearCanvas() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Binds all Paint UI events.
+     */
+    setupEvents() {
+        // Color Selection Logic
+        this.query('.color-picker').addEventListener('click', (e) => {
+            const swatch = e.target.closest('.color-swatch');
+            if (!swatch) return;
+            this.setColor(swatch.dataset.color);
+            // Auto-switch back to a painting tool if user picks color
+            if (this.tool === 'eraser' || this.tool === 'picker') this.setTool('brush');
+        });
+
+        // Custom colors: the picker sets the current color, "+" keeps it in the palette
+        this.query('.paint-color-input').addEventListener('input', (e) => this.setColor(e.target.value));
+        this.query('.btn-add-color').addEventListener('click', () => this.addToPalette(this.color));
+
+        // Palette import/export
+        const paletteInput = this.query('.paint-palette-input');
+        this.query('.btn-import-palette').addEventListener('click', () => paletteInput.click());
+        paletteInput.addEventListener('change', () => {
+            if (paletteInput.files[0]) this.importPalette(paletteInput.files[0]);
+            paletteInput.value = '';
+        });
+        this.query('.btn-export-gpl').addEventListener('click', () => {
+            this.download(new Blob([PaletteFormat.toGpl(this.palette)], { type: 'text/plain' }), 'rubensos-palette.gpl');
+        });
+        this.query('.btn-export-hex').addEventListener('click', () => {
+            this.download(new Blob([PaletteFormat.toHexList(this.palette)], { type: 'text/plain' }), 'rubensos-palette.hex');
+        });
+
+        // Tool Selection
+        this.queryAll('[data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => this.setTool(btn.dataset.tool));
+        });
+        this.query('.btn-fill-shape').addEventListener('click', () => this.setFillShapes(!this.fillShapes));
+
+        // Clear Layer (undoable)
+        this.query('.btn-clear-paint').addEventListener('click', () => {
+            this.history.record(this.canvas);
+            this.clearCanvas();
+            this.updateHistoryButtons();
+            if (this.pixelMode) this.renderFrames();
+        });
+
+        // Undo / Redo
+        this.query('.btn-undo').addEventListener('click', () => this.undo());
+        this.query('.btn-redo').addEventListener('click', () => this.redo());
+        this.windowEl.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) this.undo();
+            else if (key === 'y' || (key === 'z' && e.shiftKey)) this.redo();
+            else return;
+            e.preventDefault();
+        });
+
+        // Save Image
+        this.query('.btn-save-paint').addEventListener('click', () => this.savePng());
+
+        // Open Image: button or drag-drop onto the window
+        const imageInput = this.query('.paint-image-input');
+        this.query('.btn-open-paint').addEventListener('click', () => imageInput.click());
+        imageInput.addEventListener('change', () => {
+            if (imageInput.files[0]) this.openImage(imageInput.files[0]);
+            imageInput.value = '';
+        });
+        this.windowEl.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.windowEl.addEventListener('drop', (e) => {
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (!file) return;
+            e.preventDefault();
+            this.openImage(file);
+        });
+
+        // Layers: select, show/hide, opacity, add/delete/reorder
+        const layerList = this.query('.paint-layer-list');
+        layerList.addEventListener('click', (e) => {
+            const item = e.target.closest('.paint-layer-item');
+            if (!item || e.target.closest('.layer-opacity')) return;
+            const index = Number(item.dataset.index);
+            if (e.target.closest('.layer-visibility')) {
+                this.setLayerVisible(index, !this.layers[index].visible);
+                this.renderLayers();
+                this.renderFrames();
+            } else if (index !== this.layerIndex) {
+                this.selectLayer(index);
+            }
+        });
+        layerList.addEventListener('input', (e) => {
+            if (!e.target.classList.contains('layer-opacity')) return;
+            this.setLayerOpacity(Number(e.target.closest('.paint-layer-item').dataset.index), e.target.value / 100);
+        });
+        layerList.addEventListener('change', () => this.renderFrames());
+        this.query('.btn-layer-add').addEventListener('click', () => this.addLayer());
+        this.query('.btn-layer-delete').addEventListener('click', () => this.deleteLayer());
+        this.query('.btn-layer-up').addEventListener('click', () => this.moveLayer(1));
+        this.query('.btn-layer-down').addEventListener('click', () => this.moveLayer(-1));
+
+        // Pixel mode: document size, grid, frames and animation export
+        this.query('.paint-mode').addEventListener('change', (e) => this.changeMode(e.target.value));
+        this.query('.btn-grid').addEventListener('click', () => this.toggleGrid());
+        this.query('.btn-frame-add').addEventListener('click', () => this.addFrame(false));
+        this.query('.btn-frame-copy').addEventListener('click', () => this.addFrame(true));
+        this.query('.btn-frame-delete').addEventListener('click', () => this.deleteFrame());
+        this.query('.paint-frame-list').addEventListener('click', (e) => {
+            const thumb = e.target.closest('.paint-frame');
+            if (thumb) this.selectFrame(Number(thumb.dataset.index));
+        });
+        this.query('.paint-fps').addEventListener('change', (e) => this.setFps(e.target.value));
+        this.query('.btn-save-sheet').addEventListener('click', () => this.saveSpriteSheet());
+        this.query('.btn-save-gif').addEventListener('click', () => this.saveGif());
+
+        // Brush Size Slider
+        this.query('.brush-size').addEventListener('input', (e) => {
+            this.lineWidth = Number(e.target.value);
+        });
+
+        // Mouse Events (on the stage, so they reach whichever layer is active)
+        this.stage.addEventListener('mousedown', (e) => this.startDraw(e));
+        this.stage.addEventListener('mousemove', (e) => this.draw(e));
+        this.stage.addEventListener('mouseup', () => this.stopDraw());
+        this.stage.addEventListener('mouseleave', () => this.stopDraw());
+        this.updateZoom();
+        this.toggleGrid(this.showGrid);
+
+        // Touch Events (For Mobile)
+        this.stage.addEventListener('touchstart', (e) => {
+            e.preventDefault(); // Prevent scrolling while drawing
+            const touch = e.touches[0];
+            const mouseEvent = new MouseEvent("mousedown", {
+                clientX: touch.clientX,
+                clientY: touch.clientY
+            });
+            this.stage.dispatchEvent(mouseEvent);
+        }, { passive: false });
+
+        this.stage.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            const touch = e.touches[0];
+            const mouseEvent = new MouseEvent("mousemove", {
+                clientX: touch.clientX,
+                clientY: touch.clientY
+            });
+            this.stage.dispatchEvent(mouseEvent);
+        }, { passive: false });
+
+        this.stage.addEventListener('touchend', () => {
+            const mouseEvent = new MouseEvent("mouseup", {});
+            this.stage.dispatchEvent(mouseEvent);
+        });
+    }
+
+    /**
+     * Switches the active tool.
+     * @param {string} toolName - 'brush', 'eraser', 'fill', 'line', 'rect', 'ellipse' or 'picker'.
+     */
+    setTool(toolName) {
+        this.tool = toolName;
+        this.queryAll('[data-tool]').forEach(btn => btn.classList.toggle('tool-active', btn.dataset.tool === toolName));
+        this.stage.dataset.tool = toolName;
+    }
+
+    /**
+     * @param {boolean} filled - Draw rectangles/ellipses filled instead of outlined.
+     */
+    setFillShapes(filled) {
+        this.fillShapes = filled;
+        const btn = this.query('.btn-fill-shape');
+        btn.classList.toggle('tool-active', filled);
+        btn.title = filled ? 'Shapes: filled' : 'Shapes: outline';
+        btn.querySelector('i').className = filled ? 'fa-solid fa-square' : 'fa-regular fa-square';
+    }
+
+    /**
+     * Sets the current color and highlights its swatch.
+     * @param {string} color - "#rrggbb".
+     */
+    setColor(color) {
+        this.color = PaletteFormat.normalize(color);
+        this.query('.paint-color-input').value = this.color;
+        this.queryAll('.color-swatch').forEach(s => s.classList.toggle('active', s.dataset.color === this.color));
+    }
+
+    /**
+     * Adds a color to the palette (ignoring duplicates).
+     * @param {string} color - "#rrggbb".
+     */
+    addToPalette(color) {
+        const hex = PaletteFormat.normalize(color);
+        if (!this.palette.includes(hex)) this.palette.push(hex);
+        this.renderPalette();
+    }
+
+    renderPalette() {
+        this.query('.color-picker').innerHTML = this.palette.map(hex =>
+            `<div class="color-swatch" style="background: ${hex};" data-color="${hex}" title="${hex}"></div>`).join('');
+        this.setColor(this.color);
+    }
+
+    /**
+     * Replaces the palette with the colors of a .gpl, .pal or .hex file.
+     * @param {File} file
+     */
+    async importPalette(file) {
+        try {
+            this.palette = PaletteFormat.parse(await file.text());
+            this.renderPalette();
+        } catch (error) {
+            console.warn("[Paint] Could not import palette:", error);
+            dialogs.error(`Could not import ${file.name}: ${error.message}`, 'Pixel Paint');
+        }
+    }
+
+    /**
+     * Triggers a download of a Blob.
+     * @param {Blob} blob
+     * @param {string} filename
+     */
+    download(blob, filename) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Calculates mouse position relative to the canvas.
+     * @param {MouseEvent} e 
+     * @returns {Object} {x, y}
+     */
+    getPos(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        // The canvas may be scaled down by CSS (max-width), so map back to bitmap pixels
+        const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+        const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+        return {
+            x: (e.clientX - rect.left) * scaleX,
+            y: (e.clientY - rect.top) * scaleY
+        };
+    }
+
+    /**
+     * Begins a drawing path.
+     * @param {MouseEvent} e 
+     */
+    startDraw(e) {
+        const pos = this.getPos(e);
+
+        if (this.tool === 'picker') {
+            this.pickColor(pos);
+            return;
+        }
+        if (this.tool === 'fill') {
+            // Clicks that change nothing don't get an undo step
+            const snapshot = this.history.capture(this.canvas);
+            if (!this.floodFill(pos, this.color)) return;
+            this.history.push(snapshot);
+            this.updateHistoryButtons();
+            if (this.pixelMode) this.renderFrames();
+            return;
+        }
+
+        this.isDrawing = true;
+        this.ctx.lineWidth = this.lineWidth;
+        this.lastCell = null;
+
+        // The eraser cuts through to transparency instead of painting white
+        this.ctx.globalCompositeOperation = this.tool === 'eraser' ? 'destination-out' : 'source-over';
+        this.ctx.strokeStyle = this.color;
+        this.ctx.fillStyle = this.color;
+
+        // The snapshot only becomes an undo step once the stroke actually paints something.
+        // Shapes also redraw from it on every move to preview the drag.
+        this.pendingSnapshot = this.history.capture(this.canvas);
+        this.shapeBase = this.pendingSnapshot.image;
+        this.shapeStart = pos;
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(pos.x, pos.y);
+
+        // Pixel mode paints the clicked cell right away
+        if (this.pixelMode && !PaintApp.SHAPE_TOOLS.includes(this.tool)) this.draw(e);
+    }
+
+    /**
+     * Continues the drawing path.
+     * @param {MouseEvent} e 
+     */
+    draw(e) {
+        if (!this.isDrawing) return;
+        if (this.pendingSnapshot) {
+            this.history.push(this.pendingSnapshot);
+            this.pendingSnapshot = null;
+            this.updateHistoryButtons();
+        }
+        const pos = this.getPos(e);
+
+        if (PaintApp.SHAPE_TOOLS.includes(this.tool)) {
+            this.ctx.putImageData(this.shapeBase, 0, 0);
+            const end = this.constrain(this.shapeStart, pos, e.shiftKey);
+            if (this.pixelMode) this.drawPixelShape(this.tool, this.toCell(this.shapeStart), this.toCell(end));
+            else this.drawShape(this.tool, this.shapeStart, end);
+            return;
+        }
+
+        if (this.pixelMode) {
+            // Connect to the previous cell so fast strokes leave no gaps
+            const cell = this.toCell(pos);
+            const from = this.lastCell || cell;
+            this.ctx.fillStyle = this.color;
+            this.plotLine(from, cell);
+            this.lastCell = cell;
+            return;
+        }
+        this.ctx.lineTo(pos.x, pos.y);
+        this.ctx.stroke();
+    }
+
+    /**
+     * @param {{x: number, y: number}} pos - Bitmap position.
+     * @returns {{x: number, y: number}} The cell under it.
+     */
+    toCell(pos) {
+        return { x: Math.floor(pos.x), y: Math.floor(pos.y) };
+    }
+
+    /**
+     * Paints one brush-sized square of cells centered on a cell.
+     * @param {number} x
+     * @param {number} y
+     */
+    plot(x, y) {
+        const size = Math.max(1, this.lineWidth);
+        const offset = Math.floor((size - 1) / 2);
+        if (this.tool === 'eraser') this.ctx.clearRect(x - offset, y - offset, size, size);
+        else this.ctx.fillRect(x - offset, y - offset, size, size);
+    }
+
+    /**
+     * Bresenham line of brush stamps between two cells.
+     * @param {{x: number, y: number}} a
+     * @param {{x: number, y: number}} b
+     */
+    plotLine(a, b) {
+        let { x, y } = a;
+        const dx = Math.abs(b.x - x);
+        const dy = -Math.abs(b.y - y);
+        const sx = x < b.x ? 1 : -1;
+        const sy = y < b.y ? 1 : -1;
+        let err = dx + dy;
+        for (;;) {
+            this.plot(x, y);
+            if (x === b.x && y === b.y) return;
+            const e2 = 2 * err;
+            if (e2 >= dy) {
+                err += dy;
+                x += sx;
+            }
+            if (e2 <= dx) {
+                err += dx;
+                y += sy;
+            }
+        }
+    }
+
+    /**
+     * Pixel mode shapes: aliased lines, rectangles and ellipses built from whole cells.
+     * Outlines use the brush size; filled shapes ignore it.
+     * @param {string} shape - 'line', 'rect' or 'ellipse'.
+     * @param {{x: number, y: number}} a - Start cell.
+     * @param {{x: number, y: number}} b - End cell.
+     */
+    drawPixelShape(shape, a, b) {
+        this.ctx.fillStyle = this.color;
+        if (shape === 'line') {
+            this.plotLine(a, b);
+            return;
+        }
+
+        const left = Math.min(a.x, b.x);
+        const right = Math.max(a.x, b.x);
+        const top = Math.min(a.y, b.y);
+        const bottom = Math.max(a.y, b.y);
+
+        if (shape === 'rect') {
+            if (this.fillShapes) {
+                this.ctx.fillRect(left, top, right - left + 1, bottom - top + 1);
+                return;
+            }
+            this.plotLine({ x: left, y: top }, { x: right, y: top });
+            this.plotLine({ x: right, y: top }, { x: right, y: bottom });
+            this.plotLine({ x: right, y: bottom }, { x: left, y: bottom });
+            this.plotLine({ x: left, y: bottom }, { x: left, y: top });
+            return;
+        }
+
+        // Ellipse: a cell is inside when its center is inside the ellipse fitting the box
+        const cx = (left + right + 1) / 2;
+        const cy = (top + bottom + 1) / 2;
+        const rx = (right - left + 1) / 2;
+        const ry = (bottom - top + 1) / 2;
+        const inside = (x, y) => ((x + 0.5 - cx) / rx) ** 2 + ((y + 0.5 - cy) / ry) ** 2 <= 1;
+
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                if (!inside(x, y)) continue;
+                if (this.fillShapes) this.ctx.fillRect(x, y, 1, 1);
+                else if (!inside(x - 1, y) || !inside(x + 1, y) || !inside(x, y - 1) || !inside(x, y + 1)) this.plot(x, y);
+            }
+        }
+    }
+
+    /**
+     * Shift-drag keeps lines at 45° steps and makes rectangles/ellipses square/round.
+     * @param {{x: number, y: number}} start
+     * @param {{x: number, y: number}} end
+     * @param {boolean} active - Whether Shift is held.
+     * @returns {{x: number, y: number}}
+     */
+    constrain(start, end, active) {
+        if (!active) return end;
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+
+        if (this.tool === 'line') {
+            const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+            const length = Math.hypot(dx, dy);
+            return { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+        }
+        const size = Math.max(Math.abs(dx), Math.abs(dy));
+        return { x: start.x + Math.sign(dx || 1) * size, y: start.y + Math.sign(dy || 1) * size };
+    }
+
+    /**
+     * Draws a line, rectangle or ellipse between two corners.
+     * @param {string} shape - 'line', 'rect' or 'ellipse'.
+     * @param {{x: number, y: number}} a
+     * @param {{x: number, y: number}} b
+     */
+    drawShape(shape, a, b) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        if (shape === 'line') {
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+            return;
+        }
+
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        const w = Math.abs(b.x - a.x);
+        const h = Math.abs(b.y - a.y);
+        if (shape === 'rect') ctx.rect(x, y, w, h);
+        else ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+
+        if (this.fillShapes) ctx.fill();
+        else ctx.stroke();
+    }
+
+    /**
+     * Eyedropper: makes the color under the pointer (as seen through all layers) the current color.
+     * Fully transparent pixels are ignored.
+     * @param {{x: number, y: number}} pos
+     */
+    pickColor(pos) {
+        const [r, g, b, a] = this.flatten().getContext('2d').getImageData(Math.floor(pos.x), Math.floor(pos.y), 1, 1).data;
+        if (a > 0) this.setColor('#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join(''));
+        this.setTool('brush');
+    }
+
+    /**
+     * Paint bucket: scanline flood fill of the area sharing the clicked pixel's color.
+     * @param {{x: number, y: number}} pos
+     * @param {string} color - "#rrggbb".
+     * @returns {boolean} False if nothing changed (outside the bitmap, or already that color).
+     */
+    floodFill(pos, color) {
+        const { width, height } = this.canvas;
+        const startX = Math.floor(pos.x);
+        const startY = Math.floor(pos.y);
+        if (startX < 0 || startY < 0 || startX >= width || startY >= height) return false;
+
+        const image = this.ctx.getImageData(0, 0, width, height);
+        const data = new Uint32Array(image.data.buffer);
+        const { r, g, b } = PaletteFormat.toRgb(color);
+        // Pixels are read as little-endian 32-bit ABGR
+        const fill = ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+        const target = data[startY * width + startX];
+        if (target === fill) return false;
+
+        const stack = [[startX, startY]];
+        while (stack.length) {
+            const [x, y] = stack.pop();
+            if (data[y * width + x] !== target) continue;
+            let left = x;
+            while (left > 0 && data[y * width + left - 1] === target) left--;
+            let right = x;
+            while (right < width - 1 && data[y * width + right + 1] === target) right++;
+
+            // Queue one seed per run of matching pixels in the rows above and below
+            let inRunAbove = false;
+            let inRunBelow = false;
+            for (let i = left; i <= right; i++) {
+                data[y * width + i] = fill;
+                const above = y > 0 && data[(y - 1) * width + i] === target;
+                const below = y < height - 1 && data[(y + 1) * width + i] === target;
+                if (above && !inRunAbove) stack.push([i, y - 1]);
+                if (below && !inRunBelow) stack.push([i, y + 1]);
+                inRunAbove = above;
+                inRunBelow = below;
+            }
+        }
+        this.ctx.putImageData(image, 0, 0);
+        return true;
+    }
+
+    /**
+     * Ends the drawing path.
+     */
+    stopDraw() {
+        const wasDrawing = this.isDrawing;
+        this.isDrawing = false;
+        this.pendingSnapshot = null;
+        this.shapeBase = null;
+        this.ctx.closePath();
+        this.ctx.globalCompositeOperation = 'source-over';
+        if (wasDrawing && this.pixelMode) this.renderFrames();
+    }
+}
+
+PaintApp.SHAPE_TOOLS = ['line', 'rect', 'ellipse'];
+PaintApp.MAX_SESSION_CHARS = 1500000; // Image data per window in the localStorage session (quota is ~5M chars)
+PaintApp.DEFAULT_PALETTE = ['#000000', '#ffffff', '#ff00ff', '#00ffff', '#ffff00', '#0000ff'];
+
+// --- OTHER APPS ---
+
+/**
+ * Error raised by ExpressionParser. `position` is the 0-based index in the
+ * source where the problem was found (or null when it is not tied to one).
+ */
+class CalcError extends Error {
+    /**
+     * @param {string} message - Human readable message shown to the user.
+     * @param {number|null} [position] - Offending character index.
+     */
+    constructor(message, position = null) {
+        super(message);
+        this.name = 'CalcError';
+        this.position = position;
+    }
+}
+
+/**
+ * Safe arithmetic evaluator (no eval). Recursive descent over this grammar:
+ *
+ *   expression := term (("+" | "-") term)*
+ *   term       := unary (("*" | "/") unary | implicit-multiplication)*
+ *   unary      := ("-" | "+") unary | power
+ *   power      := postfix ("^" unary)?          (right-associative)
+ *   postfix    := primary ("%" | "!")*
+ *   primary    := number | constant | function "(" expression ")" | "(" expression ")"
+ *
+ * "a + b%" and "a - b%" follow pocket-calculator rules (b percent of a).
+ */
+class ExpressionParser {
+    /**
+     * @param {Object} [options]
+     * @param {'deg'|'rad'} [options.angleMode] - Unit used by the trig functions.
+     */
+    constructor(options = {}) {
+        this.angleMode = options.angleMode || 'deg';
+
+        const toRad = (x) => (this.angleMode === 'deg' ? x * Math.PI / 180 : x);
+        const fromRad = (x) => (this.angleMode === 'deg' ? x * 180 / Math.PI : x);
+        // Snap tiny float noise so sin(180) is 0 rather than 1.2e-16
+        const clean = (x) => (Math.abs(x) < 1e-12 ? 0 : x);
+
+        this.functions = {
+            sin: (x) => clean(Math.sin(toRad(x))),
+            cos: (x) => clean(Math.cos(toRad(x))),
+            tan: (x) => {
+                if (this.angleMode === 'deg' && Math.abs(x % 180) === 90) throw new CalcError(`tan(${x}) is undefined`);
+                return clean(Math.tan(toRad(x)));
+            },
+            asin: (x) => fromRad(Math.asin(x)),
+            acos: (x) => fromRad(Math.acos(x)),
+            atan: (x) => fromRad(Math.atan(x)),
+            sqrt: Math.sqrt,
+            cbrt: Math.cbrt,
+            ln: Math.log,
+            log: Math.log10,
+            exp: Math.exp,
+            abs: Math.abs
+        };
+        this.constants = { pi: Math.PI, 'π': Math.PI, e: Math.E };
+    }
+
+    /**
+     * Evaluates an expression.
+     * @param {string} source - e.g. "2 + 3 * (4 - 1)^2".
+     * @returns {number}
+     * @throws {CalcError}
+     */
+    evaluate(source) {
+        this.tokens = this.tokenize(source);
+        this.index = 0;
+        if (this.tokens.length === 0) throw new CalcError("Enter an expression");
+
+        const value = this.parseExpression();
+        const extra = this.peek();
+        if (extra) {
+            if (extra.value === ')') throw new CalcError("Unmatched ')'", extra.pos);
+            throw new CalcError(`Unexpected '${extra.value}'`, extra.pos);
+        }
+        if (Number.isNaN(value)) throw new CalcError("Result is undefined");
+        if (!Number.isFinite(value)) throw new CalcError("Result is too large");
+        return value;
+    }
+
+    /**
+     * Splits the source into number, name and operator tokens.
+     * @param {string} source
+     * @returns {Array<{type: string, value: *, pos: number}>}
+     */
+    tokenize(source) {
+        const text = String(source).replace(/[×]/g, '*').replace(/[÷]/g, '/').replace(/[−]/g, '-');
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (/[0-9.]/.test(ch)) {
+                const match = /^[0-9.]+(?:[eE][+-]?[0-9]+)?/.exec(text.slice(i));
+                const raw = match[0];
+                const mantissa = raw.split(/[eE]/)[0];
+                if ((mantissa.match(/\./g) || []).length > 1 || mantissa === '.') {
+                    throw new CalcError(`Invalid number '${raw}'`, i);
+                }
+                tokens.push({ type: 'number', value: parseFloat(raw), pos: i });
+                i += raw.length;
+            } else if (/[a-zπ√]/i.test(ch)) {
+                const raw = ch === '√' ? 'sqrt' : /^[a-zπ]+/i.exec(text.slice(i))[0].toLowerCase();
+                tokens.push({ type: 'name', value: raw, pos: i });
+                i += ch === '√' ? 1 : raw.length;
+            } else if ('+-*/^%!()'.includes(ch)) {
+                tokens.push({ type: 'op', value: ch, pos: i });
+                i++;
+            } else {
+                throw new CalcError(`Unexpected character '${ch}'`, i);
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * @returns {Object|undefined} The current token.
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Consumes the current token if it is the given operator.
+     * @param {string} op
+     * @returns {boolean}
+     */
+    accept(op) {
+        const token = this.peek();
+        if (token && token.type === 'op' && token.value === op) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    parseExpression() {
+        let value = this.parseTerm();
+        for (;;) {
+            const op = this.accept('+') ? '+' : this.accept('-') ? '-' : null;
+            if (!op) return value;
+
+            this.percentTerm = false;
+            let right = this.parseTerm();
+            if (this.percentTerm) right *= value; // 200 + 10% = 220
+            value = op === '+' ? value + right : value - right;
+        }
+    }
+
+    parseTerm() {
+        let value = this.parseUnary();
+        for (;;) {
+            const next = this.peek();
+            if (this.accept('*')) {
+                value *= this.parseUnary();
+            } else if (this.accept('/')) {
+                const divisor = this.parseUnary();
+                if (divisor === 0) throw new CalcError("Cannot divide by zero", next.pos);
+                value /= divisor;
+            } else if (next && (next.type === 'name' || next.value === '(')) {
+                // Implicit multiplication: 2π, 3(4+1), 2sqrt(9)
+                value *= this.parseUnary();
+            } else {
+                return value;
+            }
+            this.percentTerm = false;
+        }
+    }
+
+    parseUnary() {
+        if (this.accept('-')) return -this.parseUnary();
+        if (this.accept('+')) return this.parseUnary();
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePostfix();
+        if (!this.accept('^')) return base;
+        this.percentTerm = false;
+        return Math.pow(base, this.parseUnary());
+    }
+
+    parsePostfix() {
+        let value = this.parsePrimary();
+        for (;;) {
+            const token = this.peek();
+            if (this.accept('%')) {
+                value /= 100;
+                this.percentTerm = true;
+            } else if (this.accept('!')) {
+                value = this.factorial(value, token.pos);
+            } else {
+                return value;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) throw new CalcError("Expression is incomplete");
+        this.index++;
+
+        if (token.type === 'number') return token.value;
+
+        if (token.type === 'name') {
+            if (token.value in this.constants) return this.constants[token.value];
+            const fn = this.functions[token.value];
+            if (!fn) throw new CalcError(`Unknown function '${token.value}'`, token.pos);
+            if (!this.accept('(')) throw new CalcError(`${token.value} needs parentheses, e.g. ${token.value}(2)`, token.pos);
+            const arg = this.parseParenthesized(token);
+            this.percentTerm = false;
+            const result = fn(arg);
+            if (Number.isNaN(result)) throw new CalcError(`${token.value}(${ExpressionParser.format(arg)}) is undefined`, token.pos);
+            return result;
+        }
+
+        if (token.value === '(') {
+            const value = this.parseParenthesized(token);
+            this.percentTerm = false;
+            return value;
+        }
+        throw new CalcError(`Unexpected '${token.value}'`, token.pos);
+    }
+
+    /**
+     * Parses "expression )" after an opening parenthesis has been consumed.
+     * @param {Object} open - Token that opened the group (for error positions).
+     * @returns {number}
+     */
+    parseParenthesized(open) {
+        if (this.accept(')')) throw new CalcError("Empty parentheses", open.pos);
+        const value = this.parseExpression();
+        if (!this.accept(')')) throw new CalcError("Missing ')'", open.pos);
+        return value;
+    }
+
+    /**
+     * @param {number} n - Non-negative integer up to 170.
+     * @param {number} pos - Token position for errors.
+     * @returns {number}
+     */
+    factorial(n, pos) {
+        if (n < 0 || !Number.isInteger(n)) throw new CalcError("Factorial needs a whole number ≥ 0", pos);
+        if (n > 170) throw new CalcError("Result is too large", pos);
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
+    }
+
+    /**
+     * Formats a result for display, hiding binary float noise (0.1 + 0.2 = 0.3).
+     * @param {number} value
+     * @returns {string}
+     */
+    static format(value) {
+        return String(parseFloat(value.toPrecision(12)));
+    }
+}
+
+/**
+ * Calculator with a history tape, memory keys and a scientific mode.
+ * Expressions are evaluated by ExpressionParser.
+ */
+class CalculatorApp extends BaseApp {
+    /**
+     * @param {HTMLElement} windowEl - The DOM element of the window.
+     */
+    constructor(windowEl) {
+        super(windowEl);
+        this.display = this.query('.calc-display');
+        this.statusEl = this.query('.calc-status');
+        this.tapeEl = this.query('.calc-tape-list');
+        this.parser = new ExpressionParser();
+        this.memory = 0;
+        this.tape = [];
+        this.maxTape = 50;
+        this.justEvaluated = false;
+        this.setupEvents();
+        this.updateIndicators();
+    }
+
+    setupEvents() {
+        this.queryAll('.calculator button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.action) this.runAction(btn.dataset.action);
+                else this.input(btn.dataset.insert || btn.textContent);
+            });
+        });
+
+        this.tapeEl.addEventListener('click', (e) => {
+            const entry = e.target.closest('[data-result]');
+            if (entry) this.recall(entry.dataset.result);
+        });
+
+        this.windowEl.addEventListener('keydown', (e) => this.onKeyDown(e));
+    }
+
+    /**
+     * Keyboard input while the calculator window has focus.
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+        if (e.key === 'Enter' || e.key === '=') this.runAction('equals');
+        else if (e.key === 'Backspace') this.runAction('back');
+        else if (e.key === 'Escape' || e.key === 'Delete') this.runAction('clear');
+        else if (/^[0-9.+\-*/^%!()a-z]$/i.test(e.key)) this.input(e.key);
+        else return;
+
+        e.preventDefault();
+    }
+
+    /**
+     * Appends text to the expression. After a result, digits start a new
+     * expression while operators continue from the result.
+     * @param {string} text
+     */
+    input(text) {
+        if (this.justEvaluated && !/^[+\-*/^%!]/.test(text)) this.display.value = '';
+        this.justEvaluated = false;
+        this.display.value += text;
+        this.setStatus('');
+    }
+
+    /**
+     * @param {string} action - Value of a button's data-action.
+     */
+    runAction(action) {
+        switch (action) {
+            case 'equals': this.evaluate(); break;
+            case 'clear':
+                this.display.value = '';
+                this.setStatus('');
+                break;
+            case 'back':
+                this.display.value = this.display.value.slice(0, -1);
+                this.justEvaluated = false;
+                break;
+            case 'mem-clear': this.memory = 0; break;
+            case 'mem-recall': this.recall(ExpressionParser.format(this.memory)); break;
+            case 'mem-add': this.updateMemory(1); break;
+            case 'mem-sub': this.updateMemory(-1); break;
+            case 'scientific': this.setScientific(!this.scientific); break;
+            case 'angle': this.setAngleMode(this.parser.angleMode === 'deg' ? 'rad' : 'deg'); break;
+            case 'tape': this.query('.calc-tape').classList.toggle('collapsed'); break;
+            case 'tape-clear':
+                this.tape = [];
+                this.renderTape();
+                break;
+        }
+        this.updateIndicators();
+    }
+
+    /**
+     * Evaluates the display. On success the expression goes on the tape;
+     * on failure the message is shown and the caret jumps to the problem.
+     * @returns {number|null} The result, or null on error.
+     */
+    evaluate() {
+        const expression = this.display.value.trim();
+        if (!expression) return null;
+
+        try {
+            const result = ExpressionParser.format(this.parser.evaluate(expression));
+            this.addToTape(expression, result);
+            this.display.value = result;
+            this.justEvaluated = true;
+            this.setStatus('');
+            return Number(result);
+        } catch (error) {
+            if (!(error instanceof CalcError)) throw error;
+            this.setStatus(error.message, true);
+            if (error.position !== null) this.display.setSelectionRange(error.position, error.position + 1);
+            return null;
+        }
+    }
+
+    /**
+     * M+ / M-: evaluates the display and adds it to (or subtracts it from) memory.
+     * @param {number} sign - 1 or -1.
+     */
+    updateMemory(sign) {
+        const text = this.display.value.trim();
+        if (!text) return;
+        // A plain number (usually the last result) goes straight in without another tape entry
+        const value = Number.isFinite(Number(text)) ? Number(text) : this.evaluate();
+        if (value === null) return;
+        this.memory += sign * value;
+    }
+
+    /**
+     * Inserts a stored value (tape entry or memory) into the expression.
+     * @param {string} value
+     */
+    recall(value) {
+        const startsNew = this.justEvaluated || !this.display.value || /[0-9.)]$/.test(this.display.value);
+        if (startsNew) this.display.value = '';
+        this.justEvaluated = false;
+        this.display.value += value.startsWith('-') && this.display.value ? `(${value})` : value;
+    }
+
+    /**
+     * @param {string} expression
+     * @param {string} result
+     */
+    addToTape(expression, result) {
+        this.tape.push({ expression, result });
+        if (this.tape.length > this.maxTape) this.tape.shift();
+        this.renderTape();
+    }
+
+    renderTape() {
+        this.tapeEl.innerHTML = this.tape.slice().reverse().map(entry => `
+            <li data-result="${escapeHtml(entry.result)}" title="Use this result">
+                <span class="calc-tape-expr">${escapeHtml(entry.expression)} =</span>
+                <span class="calc-tape-result">${escapeHtml(entry.result)}</span>
+            </li>`).join('');
+    }
+
+    /**
+     * @param {boolean} on - Show the scientific keypad.
+     */
+    setScientific(on) {
+        this.scientific = on;
+        this.query('.calc-sci').hidden = !on;
+        this.query('[data-action="scientific"]').classList.toggle('active', on);
+    }
+
+    /**
+     * @param {'deg'|'rad'} mode
+     */
+    setAngleMode(mode) {
+        this.parser.angleMode = mode;
+    }
+
+    /**
+     * @param {string} message - Empty to clear.
+     * @param {boolean} [isError]
+     */
+    setStatus(message, isError = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('calc-error', isError);
+    }
+
+    updateIndicators() {
+        this.query('.calc-mem-flag').textContent = this.memory !== 0 ? 'M' : '';
+        this.query('.calc-angle').textContent = this.scientific ? this.parser.angleMode.toUpperCase() : '';
+        this.query('[data-action="angle"]').textContent = this.parser.angleMode === 'deg' ? 'DEG' : 'RAD';
+    }
+
+    /**
+     * Display, memory, tape and mode, for session persistence.
+     * @returns {{display: string, memory: number, tape: Array, scientific: boolean, angleMode: string}}
+     */
+    getState() {
+        return {
+            display: this.display.value,
+            memory: this.memory,
+            tape: this.tape,
+            scientific: Boolean(this.scientific),
+            angleMode: this.parser.angleMode
+        };
+    }
+
+    /**
+     * @param {Object} state - Output of getState().
+     */
+    setState(state) {
+        this.display.value = state.display || '';
+        this.memory = Number(state.memory) || 0;
+        this.tape = Array.isArray(state.tape) ? state.tape.slice(-this.maxTape) : [];
+        this.setAngleMode(state.angleMode === 'rad' ? 'rad' : 'deg');
+        this.setScientific(Boolean(state.scientific));
+        this.renderTape();
+        this.updateIndicators();
+    }
+}
+
+/**
+ * Month view with weekday alignment, month/year navigation and per-day events
+ * (see CalendarStore). Events can be imported from and exported to .ics files.
+ */
+class CalendarApp extends BaseApp {
+    /**
+     * @param {HTMLElement} windowEl - The DOM element of the window.
+     */
+    constructor(windowEl) {
+        super(windowEl);
+        const today = new Date();
+        this.year = today.getFullYear();
+        this.month = today.getMonth();
+        this.selected = CalendarStore.dateKey(today);
+        this.editingId = null;
+
+        this.grid = this.query('.cal-grid');
+        this.form = this.query('.cal-event-form');
+
+        this.onEventsChange = () => this.render();
+        window.addEventListener('calendar-changed', this.onEventsChange);
+
+        this.setupEvents();
+        this.render();
+    }
+
+    destroy() {
+        window.removeEventListener('calendar-changed', this.onEventsChange);
+    }
+
+    /**
+     * Binds navigation, the day grid, the event form and import/export.
+     */
+    setupEvents() {
+        this.query('.cal-month-select').innerHTML = CalendarApp.MONTHS
+            .map((name, i) => `<option value="${i}">${name}</option>`).join('');
+
+        this.query('.cal-prev').addEventListener('click', () => this.changeMonth(-1));
+        this.query('.cal-next').addEventListener('click', () => this.changeMonth(1));
+        this.query('.cal-today-btn').addEventListener('click', () => this.goToDate(new Date()));
+        this.query('.cal-month-select').addEventListener('change', (e) => this.showMonth(this.year, Number(e.target.value)));
+        this.query('.cal-year').addEventListener('change', (e) => this.showMonth(Number(e.target.value), this.month));
+
+        this.grid.addEventListener('click', (e) => {
+            const day = e.target.closest('[data-date]');
+            if (day) this.selectDate(day.dataset.date);
+        });
+        this.grid.addEventListener('dblclick', (e) => {
+            const day = e.target.closest('[data-date]');
+            if (day) this.openForm(null);
+        });
+
+        this.query('.cal-event-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-event-id]');
+            if (item && !e.target.closest('a')) this.openForm(item.dataset.eventId);
+        });
+
+        this.query('.cal-add-event').addEventListener('click', () => this.openForm(null));
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveForm();
+        });
+        this.query('.cal-form-cancel').addEventListener('click', () => this.closeForm());
+        this.query('.cal-form-delete').addEventListener('click', () => this.deleteEvent());
+        this.form.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeForm();
+        });
+
+        const fileInput = this.query('.cal-import-input');
+        this.query('.cal-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        this.query('.cal-export').addEventListener('click', () => this.exportFile());
+    }
+
+    /**
+     * @param {number} step - Months to move (negative for back).
+     */
+    changeMonth(step) {
+        const date = new Date(this.year, this.month + step, 1);
+        this.showMonth(date.getFullYear(), date.getMonth());
+    }
+
+    /**
+     * @param {number} year
+     * @param {number} month - 0-based.
+     */
+    showMonth(year, month) {
+        if (!Number.isInteger(year) || year < 1 || year > 9999) return;
+        this.year = year;
+        this.month = month;
+        this.render();
+    }
+
+    /**
+     * Shows the month containing a date and selects it.
+     * @param {Date} date
+     */
+    goToDate(date) {
+        this.year = date.getFullYear();
+        this.month = date.getMonth();
+        this.selectDate(CalendarStore.dateKey(date));
+    }
+
+    /**
+     * @param {string} dateKey - "YYYY-MM-DD".
+     */
+    selectDate(dateKey) {
+        this.selected = dateKey;
+        this.closeForm();
+        this.render();
+    }
+
+    /**
+     * Redraws the header, grid and the selected day's panel.
+     */
+    render() {
+        this.query('.cal-month-select').value = this.month;
+        const yearSelect = this.query('.cal-year');
+        const years = [];
+        for (let y = Math.max(1, this.year - 10); y <= Math.min(9999, this.year + 10); y++) years.push(y);
+        yearSelect.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+        yearSelect.value = this.year;
+
+        const weekStart = calendarStore.weekStart;
+        this.query('.cal-weekdays').innerHTML = CalendarApp.WEEKDAYS
+            .map((_, i) => `<div>${CalendarApp.WEEKDAYS[(i + weekStart) % 7]}</div>`).join('');
+
+        const first = new Date(this.year, this.month, 1);
+        const offset = (first.getDay() - weekStart + 7) % 7;
+        const daysInMonth = new Date(this.year, this.month + 1, 0).getDate();
+        const todayKey = CalendarStore.dateKey(new Date());
+
+        let html = '<div class="cal-day cal-empty"></div>'.repeat(offset);
+        for (let day = 1; day <= daysInMonth; day++) {
+            const key = CalendarStore.dateKey(new Date(this.year, this.month, day));
+            const events = calendarStore.forDate(key);
+            const classes = ['cal-day'];
+            if (key === todayKey) classes.push('cal-today');
+            if (key === this.selected) classes.push('cal-selected');
+            if (events.length) classes.push('cal-has-events');
+
+            const chips = events.slice(0, 2).map(e =>
+                `<span class="cal-chip ${this.categoryClass(e)}">${escapeHtml(e.title)}</span>`).join('');
+            const more = events.length > 2 ? `<span class="cal-more">+${events.length - 2} more</span>` : '';
+            html += `
+                <button type="button" class="${classes.join(' ')}" data-date="${key}"
+                    aria-label="${day} ${CalendarApp.MONTHS[this.month]}${events.length ? `, ${events.length} event(s)` : ''}">
+                    <span class="cal-day-number">${day}</span>${chips}${more}
+                </button>`;
         }
+        this.grid.innerHTML = html;
+        this.renderDayPanel();
+    }
+
+    /**
+     * Lists the selected day's events.
+     */
+    renderDayPanel() {
+        const [y, m, d] = this.selected.split('-').map(Number);
+        this.query('.cal-day-title').textContent = new Date(y, m - 1, d)
+            .toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+
+        const events = calendarStore.forDate(this.selected);
+        this.query('.cal-event-list').innerHTML = events.length ? events.map(e => `
+            <li class="cal-event ${this.categoryClass(e)}" data-event-id="${escapeHtml(e.id)}" title="${e.readOnly ? 'From config.json' : 'Click to edit'}">
+                <span class="cal-event-time">${e.time ? `${e.time}${e.endTime ? `–${e.endTime}` : ''}` : 'All day'}</span>
+                <span class="cal-event-title">${escapeHtml(e.title)}</span>
+                ${e.readOnly ? '<i class="fa-solid fa-lock" aria-label="Read-only"></i>' : ''}
+                ${e.url ? `<a href="${escapeHtml(e.url)}" target="_blank" rel="noopener"><i class="fa-solid fa-up-right-from-square"></i></a>` : ''}
+                ${e.description ? `<div class="cal-event-desc">${escapeHtml(e.description)}</div>` : ''}
+            </li>`).join('') : '<li class="cal-no-events">No events.</li>';
+    }
+
+    /**
+     * @param {Object} event
+     * @returns {string} CSS class for the event's category.
+     */
+    categoryClass(event) {
+        return event.category ? `cal-cat-${event.category.toLowerCase().replace(/[^a-z0-9-]/g, '')}` : '';
     }
 
-    // --- MODE 1: YOUTUBE ---
+    /**
+     * Opens the event form, empty for a new event on the selected day or filled for an existing one.
+     * Config events open read-only.
+     * @param {string|null} eventId
+     */
+    openForm(eventId) {
+        const event = eventId ? calendarStore.get(eventId) : null;
+        const fields = event || { title: '', time: '', endTime: '', description: '' };
+        const readOnly = Boolean(event && event.readOnly);
+        this.editingId = event ? event.id : null;
+
+        this.form.elements.title.value = fields.title;
+        this.form.elements.time.value = fields.time || '';
+        this.form.elements.endTime.value = fields.endTime || '';
+        this.form.elements.description.value = fields.description || '';
+        [...this.form.elements].forEach(el => {
+            if (el.name) el.disabled = readOnly;
+        });
+        this.query('.cal-form-save').hidden = readOnly;
+        this.query('.cal-form-delete').hidden = !event || readOnly;
+        this.query('.cal-form-heading').textContent = readOnly ? 'Event (from config)' : event ? 'Edit event' : 'New event';
+        this.setStatus('');
+
+        this.form.hidden = false;
+        this.query('.cal-add-event').hidden = true;
+        if (!readOnly) this.form.elements.title.focus();
+    }
+
+    closeForm() {
+        this.form.hidden = true;
+        this.query('.cal-add-event').hidden = false;
+        this.editingId = null;
+    }
 
     /**
-     * Initializes the YouTube Iframe API Player.
-     * recurses via setTimeout if the API is not yet loaded.
+     * Saves the form as a new or updated event on the selected day.
      */
-    initYouTube() {
-        // Wait for global API ready flag
-        if (!isYoutubeReady) {
-            this.updateTitle("Connecting to Satellite...");
-            setTimeout(() => this.initYouTube(), 1000);
-            return;
+    saveForm() {
+        const existing = this.editingId ? calendarStore.get(this.editingId) : null;
+        const elements = this.form.elements;
+        try {
+            calendarStore.save({
+                ...(existing || { date: this.selected }),
+                id: this.editingId,
+                title: elements.title.value,
+                time: elements.time.value,
+                endTime: elements.endTime.value,
+                description: elements.description.value
+            });
+            this.closeForm();
+        } catch (error) {
+            this.setStatus(error.message);
         }
+    }
 
-        // Cleanup existing instance before creating a new one
-        if (youtubePlayer && typeof youtubePlayer.destroy === 'function') {
-            try { youtubePlayer.destroy(); } catch (e) { }
+    deleteEvent() {
+        if (!this.editingId) return;
+        try {
+            calendarStore.remove(this.editingId);
+            this.closeForm();
+        } catch (error) {
+            this.setStatus(error.message);
         }
+    }
 
-        const currentTrack = this.playlist[this.currentTrackIndex];
-        this.updateTitle(`Loading YT: ${currentTrack.title}...`);
+    /**
+     * Imports events from a local .ics file and jumps to the first one.
+     * @param {File} file
+     */
+    async importFile(file) {
+        try {
+            const events = calendarStore.importIcs(await file.text());
+            if (events.length === 0) {
+                this.setStatus(`No events found in ${file.name}`);
+                return;
+            }
+            const first = events.map(e => e.date).sort()[0];
+            const [y, m, d] = first.split('-').map(Number);
+            this.goToDate(new Date(y, m - 1, d));
+            this.setStatus(`Imported ${events.length} event(s) from ${file.name}`);
+        } catch (error) {
+            console.warn("[Calendar] Import failed:", error);
+            this.setStatus(`Could not import ${file.name}`);
+        }
+    }
 
-        // Instantiate Player
-        youtubePlayer = new YT.Player(this.windowEl.querySelector('#youtube-player-hidden'), {
-            height: '200',
-            width: '200',
-            videoId: currentTrack.id,
-            playerVars: {
-                'playsinline': 1,
-                'controls': 0,
-                'origin': window.location.origin, // Important for localhost testing
-                'enablejsapi': 1,
-                'rel': 0
+    /**
+     * Downloads every event as an .ics file.
+     */
+    exportFile() {
+        const blob = new Blob([calendarStore.toIcs()], { type: 'text/calendar' });
+        const link = document.createElement('a');
+        link.download = 'rubensos-calendar.ics';
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        this.setStatus(`Exported ${calendarStore.list().length} event(s)`);
+    }
+
+    /**
+     * @param {string} message
+     */
+    setStatus(message) {
+        this.query('.cal-status').textContent = message;
+    }
+
+    /**
+     * Displayed month and selected day, for session persistence.
+     * @returns {{year: number, month: number, selected: string}}
+     */
+    getState() {
+        return { year: this.year, month: this.month, selected: this.selected };
+    }
+
+    /**
+     * @param {{year: number, month: number, selected: string}} state
+     */
+    setState(state) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(state.selected || '')) this.selected = state.selected;
+        if (Number.isInteger(state.year) && Number.isInteger(state.month)) this.showMonth(state.year, state.month);
+    }
+}
+
+CalendarApp.MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+CalendarApp.WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Display Properties: picks the theme, wallpaper and CRT effect. Changes are previewed
+ * on the little monitor and only reach the desktop on Apply or OK.
+ */
+class DisplayPropertiesApp extends BaseApp {
+    /**
+     * @param {HTMLElement} windowEl - The DOM element of the window.
+     * @param {WindowManager} windowManager - Used to close the window on OK/Cancel.
+     */
+    constructor(windowEl, windowManager) {
+        super(windowEl);
+        this.windowManager = windowManager;
+        this.form = this.query('.display-props');
+        this.preview = this.query('.display-preview');
+        this.draft = themeManager.settings;
+        this.dirty = false;
+
+        // Follow changes made elsewhere (menu, terminal) unless the user is editing
+        this.onDisplayChange = () => {
+            if (this.dirty) return;
+            this.draft = themeManager.settings;
+            this.render();
+        };
+        window.addEventListener('display-changed', this.onDisplayChange);
+
+        this.setupEvents();
+        this.render();
+    }
+
+    destroy() {
+        window.removeEventListener('display-changed', this.onDisplayChange);
+    }
+
+    /**
+     * Binds the form controls and the dialog buttons.
+     */
+    setupEvents() {
+        this.form.elements.theme.innerHTML = Object.entries(ThemeManager.THEMES)
+            .map(([id, theme]) => `<option value="${id}">${escapeHtml(theme.label)}</option>`).join('');
+
+        this.form.addEventListener('input', () => this.readForm());
+        this.form.addEventListener('change', () => this.readForm());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.applyDraft()) this.windowManager.closeWindow(this.windowEl);
+        });
+        this.query('.display-apply').addEventListener('click', () => this.applyDraft());
+        this.query('.display-cancel').addEventListener('click', () => this.windowManager.closeWindow(this.windowEl));
+        this.query('.display-reset').addEventListener('click', () => {
+            this.draft = themeManager.defaults;
+            this.dirty = true;
+            this.render();
+        });
+
+        const fileInput = this.query('.display-upload-input');
+        this.query('.display-upload').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.uploadImage(fileInput.files[0]);
+            fileInput.value = '';
+        });
+    }
+
+    /**
+     * Copies the draft settings into the form and the preview.
+     */
+    render() {
+        const { elements } = this.form;
+        const { theme, wallpaper, crt } = this.draft;
+        elements.theme.value = theme;
+        elements.wallpaperType.value = wallpaper.type;
+        elements.color.value = DisplayPropertiesApp.longHex(wallpaper.color);
+        elements.color2.value = DisplayPropertiesApp.longHex(wallpaper.color2);
+        elements.angle.value = wallpaper.angle;
+        elements.image.value = wallpaper.image.startsWith('data:') ? '' : wallpaper.image;
+        elements.image.placeholder = wallpaper.image.startsWith('data:') ? 'Uploaded picture' : 'Image URL';
+        elements.fit.value = wallpaper.fit;
+        elements.crtEnabled.checked = crt.enabled;
+        elements.strength.value = crt.strength;
+        elements.scanlines.value = crt.scanlines;
+        elements.flicker.value = crt.flicker;
+        this.renderPreview();
+    }
+
+    /**
+     * Updates the draft from the form (on every input) and refreshes the preview.
+     */
+    readForm() {
+        const { elements } = this.form;
+        const typedImage = elements.image.value.trim();
+        const keepUpload = !typedImage && this.draft.wallpaper.image.startsWith('data:');
+        this.draft = ThemeManager.normalize({
+            theme: elements.theme.value,
+            wallpaper: {
+                type: elements.wallpaperType.value,
+                color: elements.color.value,
+                color2: elements.color2.value,
+                angle: elements.angle.value,
+                image: keepUpload ? this.draft.wallpaper.image : typedImage,
+                fit: elements.fit.value
             },
-            events: {
-                'onReady': (event) => {
-                    console.log(`[Winamp] YouTube Ready: ${currentTrack.title}`);
-                    // Attempt autoplay (might be blocked by browser policy)
-                    event.target.playVideo();
-                    this.isPlaying = true;
-                    this.startVisualizer();
-                    this.updateTitle(currentTrack.title);
-                },
-                'onStateChange': (event) => {
-                    if (event.data === YT.PlayerState.PLAYING) {
-                        this.isPlaying = true;
-                        this.startVisualizer();
-                    } else {
-                        this.isPlaying = false;
-                        this.stopVisualizer();
-                    }
-                },
-                'onError': (event) => {
-                    console.warn(`[Winamp] YouTube Error ${event.data}. Switching to Backup MP3...`);
-                    // On critical error (like 150), switch to fallback immediately
-                    this.activateFallbackMode();
-                }
+            crt: {
+                enabled: elements.crtEnabled.checked,
+                strength: elements.strength.value,
+                scanlines: elements.scanlines.value,
+                flicker: elements.flicker.value
             }
+        }, this.draft);
+        this.dirty = true;
+        this.renderPreview();
+    }
+
+    /**
+     * Shows the draft on the preview monitor and the controls that apply to it.
+     */
+    renderPreview() {
+        Object.entries(ThemeManager.variables(this.draft))
+            .forEach(([name, value]) => this.preview.style.setProperty(name, value));
+        this.query('.display-preview-crt').hidden = !this.draft.crt.enabled;
+
+        const { type } = this.draft.wallpaper;
+        this.form.elements.color.hidden = type === 'theme';
+        this.queryAll('.display-gradient').forEach(el => { el.hidden = type !== 'gradient'; });
+        this.query('.display-image').hidden = type !== 'image';
+        this.queryAll('.display-range input').forEach(input => { input.disabled = !this.draft.crt.enabled; });
+    }
+
+    /**
+     * Applies the draft to the desktop and saves it.
+     * @returns {boolean} Whether the settings were saved.
+     */
+    applyDraft() {
+        const saved = themeManager.update(this.draft);
+        this.dirty = false;
+        this.query('.display-status').textContent = saved
+            ? 'Settings applied.'
+            : 'Applied, but could not be saved (the picture may be too large).';
+        return saved;
+    }
+
+    /**
+     * Uses an image file as the wallpaper. Large pictures are scaled down so they fit in localStorage.
+     * @param {File} file
+     */
+    async uploadImage(file) {
+        const status = this.query('.display-status');
+        try {
+            const image = await DisplayPropertiesApp.loadImage(file);
+            const scale = Math.min(1, DisplayPropertiesApp.MAX_WALLPAPER_SIZE / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            this.form.elements.image.value = '';
+            this.form.elements.wallpaperType.value = 'image';
+            this.draft = ThemeManager.normalize({
+                wallpaper: { type: 'image', image: canvas.toDataURL('image/jpeg', 0.85) }
+            }, this.draft);
+            this.dirty = true;
+            this.render();
+            status.textContent = `${file.name} (${canvas.width}×${canvas.height})`;
+        } catch (error) {
+            console.warn("[Display] Could not load wallpaper:", error);
+            status.textContent = `${file.name} is not a picture this browser can open.`;
+        }
+    }
+
+    /**
+     * @param {Blob} file - Image file.
+     * @returns {Promise<HTMLImageElement>}
+     */
+    static loadImage(file) {
+        const url = URL.createObjectURL(file);
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Unsupported image'));
+            image.src = url;
+        }).finally(() => URL.revokeObjectURL(url));
+    }
+
+    /**
+     * @param {string} color - "#abc" or "#aabbcc" (alpha is dropped).
+     * @returns {string} Six-digit hex, as required by <input type="color">.
+     */
+    static longHex(color) {
+        const hex = color.slice(1);
+        if (hex.length === 3 || hex.length === 4) return '#' + hex.slice(0, 3).split('').map(c => c + c).join('');
+        return '#' + hex.slice(0, 6).padEnd(6, '0');
+    }
+}
+
+DisplayPropertiesApp.MAX_WALLPAPER_SIZE = 1920;
+
+// --- APP: FILE EXPLORER ---
+
+/**
+ * Browses the virtual file system with a breadcrumb path and icon/list views.
+ * Entries open with the app associated with their type (see WindowManager.openFile).
+ * Folders inside My Documents can be edited (new folder/text file, rename, delete).
+ */
+class ExplorerApp extends BaseApp {
+    /**
+     * @param {HTMLElement} windowEl - The DOM element of the window.
+     * @param {WindowManager} windowManager - Used to open files and retitle the window.
+     * @param {Object} [options]
+     * @param {string} [options.path] - Folder to show first ("" is My Computer).
+     */
+    constructor(windowEl, windowManager, options = {}) {
+        super(windowEl);
+        this.windowManager = windowManager;
+        this.path = null;
+        this.history = [];
+        this.view = 'icons';
+        this.selected = null;
+        this.itemsEl = this.query('.explorer-items');
+
+        // Touch screens have no double-click, so a tap opens right away
+        this.openOnSingleTap = window.matchMedia('(pointer: coarse)').matches;
+
+        // Another window changed the tree: redraw if it touched this folder, or a folder
+        // above it (which may have removed it; render() then falls back)
+        this.onFsChange = (e) => {
+            const changed = e.detail.path.toLowerCase();
+            const current = this.path.toLowerCase();
+            if (changed.startsWith(current) || current.startsWith(changed)) this.render();
+        };
+        window.addEventListener('vfs-changed', this.onFsChange);
+
+        this.setupEvents();
+        this.navigate(options.path || '');
+        // The folder may be gone (e.g. a stale recent item): start at My Computer instead
+        if (this.path === null) {
+            this.navigate('');
+            this.setStatus(`Cannot open ${options.path}`);
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('vfs-changed', this.onFsChange);
+    }
+
+    /**
+     * Binds toolbar buttons.
+     */
+    setupEvents() {
+        this.query('.btn-back').addEventListener('click', () => {
+            if (this.history.length) this.navigate(this.history.pop(), false);
+        });
+        this.query('.btn-up').addEventListener('click', () => {
+            if (this.path) this.navigate(vfs.parentPath(this.path));
         });
+        this.query('.btn-view').addEventListener('click', () => {
+            this.view = this.view === 'icons' ? 'list' : 'icons';
+            this.render();
+        });
+        this.query('.btn-new-folder').addEventListener('click', () => this.createFolder());
+        this.query('.btn-new-file').addEventListener('click', () => this.createTextFile());
+        this.query('.btn-rename').addEventListener('click', () => this.renameSelected());
+        this.query('.btn-delete').addEventListener('click', () => this.deleteSelected());
+        contextMenu.bind(this.itemsEl, (e) => this.getContextMenu(e));
     }
 
-    // --- MODE 2: NATIVE AUDIO (FALLBACK) ---
+    /**
+     * Context menu for an entry (Open, Rename, Delete) or for the folder background.
+     * @param {MouseEvent} e
+     * @returns {Array<Object>}
+     */
+    getContextMenu(e) {
+        const item = e.target.closest('.folder-item');
+        if (item) {
+            const node = vfs.list(this.path).find(n => n.name === item.dataset.name);
+            if (!node) return null;
+            this.select(node);
+            return [
+                { label: 'Open', icon: 'fa-solid fa-up-right-from-square', default: true, action: () => this.open(node) },
+                { separator: true },
+                { label: 'Rename', icon: 'fa-solid fa-i-cursor', disabled: !node.writable, action: () => this.renameSelected() },
+                { label: 'Delete', icon: 'fa-solid fa-trash', disabled: !node.writable, action: () => this.deleteSelected() }
+            ];
+        }
+
+        const writable = Boolean(vfs.get(this.path).writable);
+        return [
+            { label: this.view === 'icons' ? 'View as List' : 'View as Icons', icon: 'fa-solid fa-table-cells', action: () => this.query('.btn-view').click() },
+            { separator: true },
+            { label: 'New Folder', icon: 'fa-solid fa-folder-plus', disabled: !writable, action: () => this.createFolder() },
+            { label: 'New Text File', icon: 'fa-solid fa-file-circle-plus', disabled: !writable, action: () => this.createTextFile() }
+        ];
+    }
 
     /**
-     * Switches the player state to Fallback Mode.
-     * Destroys YouTube player and initializes Native Audio.
+     * Shows a folder.
+     * @param {string} path - Folder path.
+     * @param {boolean} [remember=true] - Whether the Back button should return here.
      */
-    activateFallbackMode() {
-        this.useAudioFallback = true;
+    navigate(path, remember = true) {
+        const resolved = vfs.resolvePath(path);
+        const node = vfs.get(resolved);
+        if (!node || !node.children) {
+            this.setStatus(`Cannot open ${path}`);
+            return;
+        }
+        const canonical = vfs.pathOf(node);
+        if (remember && this.path !== null && canonical !== this.path) this.history.push(this.path);
+        this.path = canonical;
+        this.selected = null;
+        this.render();
+    }
 
-        // Destroy the failed YouTube player
-        if (youtubePlayer && typeof youtubePlayer.destroy === 'function') {
-            try { youtubePlayer.destroy(); } catch (e) { }
+    /**
+     * Redraws the breadcrumb, the items and the toolbar state.
+     */
+    render() {
+        const node = vfs.get(this.path);
+        if (!node) {
+            // The folder was deleted from another window
+            this.navigate(vfs.userPath, false);
+            return;
         }
 
-        // Start Native Audio
-        this.initNativeAudio();
+        this.windowManager.setWindowTitle(this.windowEl, this.titleFor(node));
+        this.renderBreadcrumb();
+        this.renderItems();
+
+        const writable = Boolean(node.writable);
+        this.query('.btn-back').disabled = this.history.length === 0;
+        this.query('.btn-up').disabled = this.path === '';
+        this.query('.btn-new-folder').disabled = !writable;
+        this.query('.btn-new-file').disabled = !writable;
+        this.updateSelectionButtons();
+        this.query('.btn-view').innerHTML = this.view === 'icons'
+            ? '<i class="fa-solid fa-list"></i>'
+            : '<i class="fa-solid fa-table-cells"></i>';
+        this.setStatus(`${node.children.length} item(s)${writable ? '' : ' - read-only'}`);
     }
 
     /**
-     * Initializes the HTML5 Audio object with the backup MP3.
+     * @param {Object} node - Folder node.
+     * @returns {string} Window title for a folder.
      */
-    initNativeAudio() {
-        if (this.audioElement) return; // Prevent duplicate instances
+    titleFor(node) {
+        if (node.type === 'root') return 'My Computer';
+        if (node.type === 'drive' && node.label) return `${node.label} (${node.name})`;
+        return vfs.pathOf(node);
+    }
 
-        console.log("[Winamp] Initializing Native Audio (Fallback Mode)");
-        this.updateTitle("Loading: Macintosh Plus (MP3 Mode)...");
+    /**
+     * Renders the clickable path segments.
+     */
+    renderBreadcrumb() {
+        const crumbs = this.query('.explorer-path');
+        crumbs.innerHTML = '';
 
-        // Create Audio object in memory
-        this.audioElement = new Audio(this.backupMp3);
-        this.audioElement.volume = 0.5;
-        this.audioElement.loop = true;
+        const segments = [{ label: 'My Computer', path: '' }];
+        vfs.splitPath(this.path).forEach((name, i, all) => {
+            segments.push({ label: name, path: vfs.resolvePath(all.slice(0, i + 1).join('\\')) });
+        });
 
-        // Attempt to play
-        const playPromise = this.audioElement.play();
+        segments.forEach((segment, i) => {
+            const crumb = document.createElement('button');
+            crumb.className = 'crumb';
+            crumb.innerText = segment.label;
+            crumb.addEventListener('click', () => this.navigate(segment.path));
+            crumbs.appendChild(crumb);
+            if (i < segments.length - 1) crumbs.appendChild(document.createTextNode(' \\ '));
+        });
+    }
 
-        if (playPromise !== undefined) {
-            playPromise.then(() => {
-                this.isPlaying = true;
-                this.startVisualizer();
-                this.updateTitle("Macintosh Plus - Floral Shoppe (MP3)");
-            }).catch(error => {
-                console.error("[Winamp] Autoplay blocked:", error);
-                this.updateTitle("Click PLAY to start (Autoplay blocked)");
-                this.isPlaying = false;
+    /**
+     * Renders the folder contents in icon or list view.
+     */
+    renderItems() {
+        this.itemsEl.className = `explorer-items ${this.view === 'icons' ? 'folder-grid' : 'list-view'}`;
+        this.itemsEl.innerHTML = '';
+
+        const items = vfs.list(this.path);
+        if (items.length === 0) {
+            this.itemsEl.innerHTML = '<p class="explorer-empty">Empty Folder</p>';
+            return;
+        }
+
+        items.forEach(node => {
+            const item = document.createElement('div');
+            item.className = 'folder-item';
+            item.tabIndex = 0;
+            item.dataset.name = node.name;
+            item.innerHTML = `
+                <i class="${vfs.iconFor(node)}"></i>
+                <span class="item-name">${escapeHtml(node.name)}</span>
+                <span class="item-detail">${escapeHtml(this.describe(node))}</span>
+            `;
+
+            item.addEventListener('click', () => {
+                if (this.openOnSingleTap) this.open(node);
+                else this.select(node);
+            });
+            item.addEventListener('dblclick', () => this.open(node));
+            item.addEventListener('focus', () => this.select(node));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.open(node);
+                else if (e.key === 'Delete') this.deleteSelected();
+                else if (e.key === 'F2') this.renameSelected();
+                else if (e.key === 'Backspace' && this.path) this.navigate(vfs.parentPath(this.path));
             });
+            this.itemsEl.appendChild(item);
+        });
+    }
+
+    /**
+     * @param {Object} node
+     * @returns {string} Short description for the list view.
+     */
+    describe(node) {
+        switch (node.type) {
+            case 'drive': return node.label ? `${node.label} drive` : 'Drive';
+            case 'folder': return `Folder (${node.children.length})`;
+            case 'link': return node.url;
+            case 'app': return 'Application shortcut';
+            case 'text': return `Text document (${(node.content || '').length} chars)`;
+            case 'image': return 'Image';
+            default: return node.type;
+        }
+    }
+
+    /**
+     * Marks an entry as selected.
+     * @param {Object} node
+     */
+    select(node) {
+        this.selected = node;
+        this.itemsEl.querySelectorAll('.folder-item').forEach(el => {
+            el.classList.toggle('selected', el.dataset.name === node.name);
+        });
+        this.updateSelectionButtons();
+    }
+
+    /**
+     * Enables rename/delete only for writable selections.
+     */
+    updateSelectionButtons() {
+        const canEdit = Boolean(this.selected && this.selected.writable);
+        this.query('.btn-rename').disabled = !canEdit;
+        this.query('.btn-delete').disabled = !canEdit;
+    }
+
+    /**
+     * Opens an entry: folders navigate in place, everything else goes through the WindowManager.
+     * @param {Object} node
+     */
+    open(node) {
+        if (node.children) this.navigate(vfs.pathOf(node));
+        else this.windowManager.openFile(vfs.pathOf(node));
+    }
+
+    /**
+     * @param {string} text - Status bar text.
+     */
+    setStatus(text) {
+        this.query('.explorer-status').innerText = text;
+    }
+
+    /**
+     * Runs a file system change and reports failures in the status bar.
+     * @param {Function} action - Async function performing the change.
+     * @returns {Promise<void>}
+     */
+    async runFsAction(action) {
+        try {
+            await action();
+            window.dispatchEvent(new CustomEvent('vfs-changed', { detail: { path: this.path } }));
+        } catch (error) {
+            console.warn("[Explorer]", error);
+            this.setStatus(`Error: ${error.message}`);
         }
     }
 
-    // --- UI & CONTROLS ---
+    async createFolder() {
+        const name = await dialogs.prompt('Folder name:', 'New Folder', { title: 'New Folder' });
+        if (!name) return;
+        await this.runFsAction(() => vfs.mkdir(vfs.resolvePath(name, this.path)));
+    }
+
+    async createTextFile() {
+        const name = await dialogs.prompt('File name:', 'New Text.txt', { title: 'New Text File' });
+        if (!name) return;
+        const path = vfs.resolvePath(name, this.path);
+        await this.runFsAction(async () => {
+            await vfs.writeFile(path, { type: 'text', content: '' });
+            this.windowManager.openFile(path);
+        });
+    }
+
+    async renameSelected() {
+        if (!this.selected || !this.selected.writable) return;
+        const name = await dialogs.prompt('New name:', this.selected.name, { title: 'Rename' });
+        if (!name || name === this.selected.name) return;
+        const path = vfs.pathOf(this.selected);
+        await this.runFsAction(() => vfs.rename(path, name));
+    }
+
+    async deleteSelected() {
+        if (!this.selected || !this.selected.writable) return;
+        if (!(await dialogs.confirm(`Delete "${this.selected.name}"?`, { title: 'Delete', ok: 'Delete' }))) return;
+        const path = vfs.pathOf(this.selected);
+        this.selected = null;
+        await this.runFsAction(() => vfs.remove(path));
+    }
+
+    getState() {
+        return { path: this.path, view: this.view };
+    }
+
+    setState(state) {
+        this.view = state.view === 'list' ? 'list' : 'icons';
+        this.history = [];
+        this.navigate(state.path || '', false);
+    }
+}
+
+// --- APP: NOTEPAD & IMAGE VIEWER ---
+
+/**
+ * Plain text viewer/editor for VFS text files.
+ * Files outside My Documents open read-only; "Save" writes them back (or saves a copy
+ * into My Documents when the file is read-only or new).
+ */
+class NotepadApp extends BaseApp {
+    /**
+     * @param {HTMLElement} windowEl - The DOM element of the window.
+     * @param {WindowManager} windowManager - Used to retitle the window.
+     * @param {Object} [options]
+     * @param {string} [options.path] - Text file to open.
+     */
+    constructor(windowEl, windowManager, options = {}) {
+        super(windowEl);
+        this.windowManager = windowManager;
+        this.textarea = this.query('.notepad-text');
+        this.path = null;
+        this.dirty = false;
+
+        this.textarea.addEventListener('input', () => this.setDirty(true));
+        this.query('.btn-save').addEventListener('click', () => this.save());
+        this.textarea.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+                e.preventDefault();
+                this.save();
+            }
+        });
+
+        if (options.path) this.load(options.path);
+        else this.updateTitle();
+    }
 
     /**
-     * Updates the scrolling marquee title.
-     * @param {string} text - The text to display.
+     * Loads a text file into the editor.
+     * @param {string} path - Absolute VFS path.
      */
-    updateTitle(text) {
-        this.windowEl.querySelector('.music-display').innerHTML = `<marquee scrollamount="4">${text}</marquee>`;
+    load(path) {
+        const node = vfs.get(path);
+        if (!node || node.type !== 'text') {
+            this.setStatus(`Cannot open ${path}`);
+            return;
+        }
+        this.path = vfs.pathOf(node);
+        this.textarea.value = node.content || '';
+        this.setDirty(false);
+        this.setStatus(node.writable ? 'Ready' : 'Read-only - Save stores a copy in My Documents');
     }
 
     /**
-     * Binds click events to the player controls (Play, Pause, Stop, Volume).
-     * Handles logic for both YouTube and Native Audio modes.
+     * Saves to the current file, or asks for a name in My Documents.
+     * @returns {Promise<void>}
      */
-    setupControls() {
-        const btnPlay = this.windowEl.querySelector('#btn-play');
-        const btnPause = this.windowEl.querySelector('#btn-pause');
-        const btnStop = this.windowEl.querySelector('#btn-stop');
-        const volSlider = this.windowEl.querySelector('#vol-slider');
+    async save() {
+        let path = this.path;
+        if (!path || !vfs.isWritable(path)) {
+            const suggested = path ? vfs.splitPath(path).pop() : 'Untitled.txt';
+            const name = await dialogs.prompt('Save as (in My Documents):', suggested, { title: 'Save As' });
+            if (!name) return;
+            path = vfs.resolvePath(name, vfs.userPath);
+        }
 
-        // Play Button
-        btnPlay.addEventListener('click', () => {
-            if (this.useAudioFallback && this.audioElement) {
-                this.audioElement.play();
-                this.isPlaying = true;
-                this.startVisualizer();
-                this.updateTitle("Macintosh Plus - Floral Shoppe (MP3)");
-            } else if (youtubePlayer && youtubePlayer.playVideo) {
-                youtubePlayer.playVideo();
-            }
-        });
+        try {
+            await vfs.writeFile(path, { type: 'text', content: this.textarea.value });
+            this.path = path;
+            this.setDirty(false);
+            this.setStatus(`Saved ${path}`);
+            window.dispatchEvent(new CustomEvent('vfs-changed', { detail: { path: vfs.parentPath(path) } }));
+        } catch (error) {
+            this.setStatus(`Error: ${error.message}`);
+        }
+    }
 
-        // Pause Button
-        btnPause.addEventListener('click', () => {
-            if (this.useAudioFallback && this.audioElement) {
-                this.audioElement.pause();
-                this.isPlaying = false;
-                this.stopVisualizer();
-            } else if (youtubePlayer && youtubePlayer.pauseVideo) {
-                youtubePlayer.pauseVideo();
-            }
-        });
+    /**
+     * @param {boolean} dirty - Whether there are unsaved changes.
+     */
+    setDirty(dirty) {
+        this.dirty = dirty;
+        this.updateTitle();
+    }
 
-        // Stop Button
-        btnStop.addEventListener('click', () => {
-            if (this.useAudioFallback && this.audioElement) {
-                this.audioElement.pause();
-                this.audioElement.currentTime = 0; // Reset track
-                this.isPlaying = false;
-                this.stopVisualizer();
-            } else if (youtubePlayer && youtubePlayer.stopVideo) {
-                youtubePlayer.stopVideo();
-                this.stopVisualizer();
-            }
-        });
+    updateTitle() {
+        const name = this.path ? vfs.splitPath(this.path).pop() : 'Untitled';
+        this.windowManager.setWindowTitle(this.windowEl, `${this.dirty ? '*' : ''}${name} - Notepad`);
+    }
 
-        // Volume Slider
-        volSlider.addEventListener('input', (e) => {
-            const vol = e.target.value / 100; // Normalize 0-100 to 0-1
+    /**
+     * @param {string} text - Status bar text.
+     */
+    setStatus(text) {
+        this.query('.notepad-status').innerText = text;
+    }
 
-            if (this.useAudioFallback && this.audioElement) {
-                this.audioElement.volume = vol;
-            } else if (youtubePlayer && youtubePlayer.setVolume) {
-                youtubePlayer.setVolume(e.target.value);
-            }
-        });
+    getState() {
+        return { path: this.path, text: this.dirty ? this.textarea.value : null };
     }
 
-    // --- VISUALIZER ---
+    setState(state) {
+        if (state.path) this.load(state.path);
+        if (typeof state.text === 'string') {
+            this.textarea.value = state.text;
+            this.setDirty(true);
+        }
+    }
+}
 
+/**
+ * Shows a VFS image file (by URL or data URL).
+ */
+class ImageViewerApp extends BaseApp {
     /**
-     * Starts the fake spectrum visualizer animation.
+     * @param {HTMLElement} windowEl - The DOM element of the window.
+     * @param {WindowManager} windowManager - Used to retitle the window.
+     * @param {Object} [options]
+     * @param {string} [options.path] - Image file to show.
      */
-    startVisualizer() {
-        if (this.visualizerInterval) clearInterval(this.visualizerInterval);
-
-        this.visualizerInterval = setInterval(() => {
-            this.bars.forEach(bar => {
-                // Random height between 10% and 100%
-                const height = Math.floor(Math.random() * 90) + 10 + '%';
-                bar.style.height = height;
-            });
-        }, 100);
+    constructor(windowEl, windowManager, options = {}) {
+        super(windowEl);
+        this.windowManager = windowManager;
+        this.path = null;
+        if (options.path) this.load(options.path);
     }
 
     /**
-     * Stops the visualizer animation and resets bars to resting state.
+     * @param {string} path - Absolute VFS path.
      */
-    stopVisualizer() {
-        clearInterval(this.visualizerInterval);
-        this.bars.forEach(bar => {
-            bar.style.height = '5%'; // Resting state
-        });
+    load(path) {
+        const node = vfs.get(path);
+        const img = this.query('.image-viewer img');
+        if (!node || node.type !== 'image') {
+            this.query('.image-viewer').innerText = `Cannot open ${path}`;
+            return;
+        }
+        this.path = vfs.pathOf(node);
+        img.src = node.url || node.content;
+        img.alt = node.name;
+        this.windowManager.setWindowTitle(this.windowEl, `${node.name} - Image Viewer`);
+    }
+
+    getState() {
+        return { path: this.path };
+    }
+
+    setState(state) {
+        if (state.path) this.load(state.path);
     }
 }
 
-// --- APP: PAINT ---
+// --- APP: TERMINAL ---
 
 /**
- * A robust Canvas-based drawing application.
- * Supports brushes, eraser, saving, and color selection.
+ * DOS-style command prompt. Commands come from the command registry and
+ * drive the OS through the existing WindowManager/SystemLoader actions.
  */
-class PaintApp {
+class TerminalApp extends BaseApp {
     /**
      * @param {HTMLElement} windowEl - The DOM element of the window.
+     * @param {SystemLoader} systemLoader - OS actions (reboot, CRT, config) and the window manager.
+     * @param {Object} [options]
+     * @param {string} [options.path] - Starting directory.
+     * @param {string} [options.command] - Command line to run right away (e.g. from the Start menu).
      */
-    constructor(windowEl) {
-        this.canvas = windowEl.querySelector('#paint-canvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.isDrawing = false;
+    constructor(windowEl, systemLoader, options = {}) {
+        super(windowEl);
+        this.systemLoader = systemLoader;
+        this.windowManager = systemLoader.windowManager;
+        const start = options.path && vfs.get(vfs.resolvePath(options.path));
+        this.cwd = start && start.children ? vfs.pathOf(start) : 'C:\\';
+        this.history = [];
+        this.historyIndex = 0;
+        this.maxHistory = 100;
 
-        // Default Settings
-        this.color = '#000';
-        this.lineWidth = 3;
-        this.tool = 'brush';
+        this.output = this.query('.terminal-output');
+        this.input = this.query('.terminal-input');
+        this.promptEl = this.query('.terminal-prompt');
 
-        // Dynamic Canvas Sizing
-        this.resizeCanvas();
+        this.input.addEventListener('keydown', (e) => this.onKeyDown(e));
+        // Clicking anywhere in the terminal focuses the prompt (unless selecting text)
+        this.query('.terminal').addEventListener('click', () => {
+            if (!window.getSelection().toString()) this.input.focus();
+        });
 
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.clearCanvas();
+        this.print('RubensOS Terminal [Version 1.0]');
+        this.print('Type "help" for a list of commands.');
+        this.print('');
+        this.updatePrompt();
 
-        this.setupEvents(windowEl);
+        if (options.command) {
+            this.input.value = options.command;
+            this.submit();
+        }
     }
 
     /**
-     * Sets canvas size based on the current window width to prevent layout breaking on mobile.
+     * @param {KeyboardEvent} e
      */
-    resizeCanvas() {
-        // Desktop default: 400x300. Mobile: 90% of screen width.
-        const maxWidth = Math.min(400, window.innerWidth - 60);
-        this.canvas.width = maxWidth;
-        this.canvas.height = 300;
+    onKeyDown(e) {
+        switch (e.key) {
+            case 'Enter':
+                e.preventDefault();
+                this.submit();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.browseHistory(-1);
+                break;
+            case 'ArrowDown':
+                e.preventDefault();
+                this.browseHistory(1);
+                break;
+            case 'Tab':
+                e.preventDefault();
+                this.complete();
+                break;
+            case 'l':
+                if (e.ctrlKey) {
+                    e.preventDefault();
+                    this.clear();
+                }
+                break;
+        }
     }
 
     /**
-     * Clear canvas.
+     * Echoes and runs the current input line.
+     * @returns {Promise<void>}
      */
-    clearCanvas() {
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    async submit() {
+        const line = this.input.value;
+        this.input.value = '';
+        this.print(`${this.promptText()}${line}`, 'terminal-echo');
+
+        if (line.trim()) {
+            if (this.history[this.history.length - 1] !== line) this.history.push(line);
+            if (this.history.length > this.maxHistory) this.history.shift();
+        }
+        this.historyIndex = this.history.length;
+        await this.execute(line);
     }
 
     /**
-     * Binds all Paint UI events.
-     * @param {HTMLElement} win - The window element.
+     * Runs a command line.
+     * @param {string} line - Raw input.
+     * @returns {Promise<void>}
      */
-    setupEvents(win) {
-        // Color Selection Logic
-        const swatches = win.querySelectorAll('.color-swatch');
-        swatches.forEach(swatch => {
-            swatch.addEventListener('click', (e) => {
-                // UI update
-                swatches.forEach(s => s.classList.remove('active'));
-                e.target.classList.add('active');
+    async execute(line) {
+        const args = parseCommandLine(line);
+        if (args.length === 0) return;
 
-                // Logic update
-                this.color = e.target.dataset.color;
-                this.setTool('brush', win); // Auto-switch back to brush if user picks color
-            });
-        });
-
-        // Tool Selection
-        const btnBrush = win.querySelector('#btn-brush');
-        const btnEraser = win.querySelector('#btn-eraser');
-
-        btnBrush.addEventListener('click', () => this.setTool('brush', win));
-        btnEraser.addEventListener('click', () => this.setTool('eraser', win));
+        const name = args.shift();
+        const command = commandRegistry.get(name);
+        if (!command) {
+            this.print(`'${name}' is not recognized as a command. Type "help" for a list.`, 'terminal-error');
+            return;
+        }
 
-        // Clear Canvas
-        win.querySelector('#btn-clear-paint').addEventListener('click', () => {
-            this.clearCanvas();
-        });
+        this.input.disabled = true;
+        try {
+            await command.run(args, this);
+        } catch (error) {
+            this.print(error.message || String(error), 'terminal-error');
+        } finally {
+            this.input.disabled = false;
+            this.updatePrompt();
+            if (this.windowEl.isConnected) this.input.focus();
+        }
+    }
 
-        // Save Image
-        win.querySelector('#btn-save-paint').addEventListener('click', () => {
-            const link = document.createElement('a');
-            link.download = 'vaporwave-art.png';
-            link.href = this.canvas.toDataURL(); // Converts canvas to Base64 image
-            link.click();
-        });
+    /**
+     * Walks the command history.
+     * @param {number} step - -1 for older, 1 for newer.
+     */
+    browseHistory(step) {
+        if (this.history.length === 0) return;
+        this.historyIndex = Math.min(Math.max(this.historyIndex + step, 0), this.history.length);
+        this.input.value = this.history[this.historyIndex] || '';
+        this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+    }
 
-        // Brush Size Slider
-        win.querySelector('#brush-size').addEventListener('input', (e) => {
-            this.lineWidth = e.target.value;
-        });
+    /**
+     * Tab completion: command names first, then whatever the command suggests for its arguments.
+     */
+    complete() {
+        const value = this.input.value;
+        const tokens = parseCommandLine(value);
+        const endsWithSpace = /\s$/.test(value);
+        const partial = endsWithSpace || tokens.length === 0 ? '' : tokens[tokens.length - 1];
 
-        // Mouse Events
-        this.canvas.addEventListener('mousedown', (e) => this.startDraw(e));
-        this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-        this.canvas.addEventListener('mouseup', () => this.stopDraw());
-        this.canvas.addEventListener('mouseleave', () => this.stopDraw());
+        let candidates;
+        if (tokens.length === 0 || (tokens.length === 1 && !endsWithSpace)) {
+            candidates = commandRegistry.list().map(c => c.name);
+        } else {
+            const command = commandRegistry.get(tokens[0]);
+            candidates = command && command.complete ? command.complete(partial, this) : [];
+        }
 
-        // Touch Events (For Mobile)
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault(); // Prevent scrolling while drawing
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent("mousedown", {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.canvas.dispatchEvent(mouseEvent);
-        }, { passive: false });
+        const matches = candidates.filter(c => c.toLowerCase().startsWith(partial.toLowerCase()));
+        if (matches.length === 0) return;
 
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent("mousemove", {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.canvas.dispatchEvent(mouseEvent);
-        }, { passive: false });
+        const prefix = value.slice(0, value.length - partial.length);
+        const quote = (text) => (/\s/.test(text) ? `"${text}"` : text);
+        if (matches.length === 1) {
+            this.input.value = prefix + quote(matches[0]) + (matches[0].endsWith('\\') ? '' : ' ');
+            return;
+        }
 
-        this.canvas.addEventListener('touchend', () => {
-            const mouseEvent = new MouseEvent("mouseup", {});
-            this.canvas.dispatchEvent(mouseEvent);
+        // Several matches: extend to the common prefix and list them
+        const common = matches.reduce((acc, m) => {
+            let i = 0;
+            while (i < acc.length && i < m.length && acc[i].toLowerCase() === m[i].toLowerCase()) i++;
+            return acc.slice(0, i);
         });
+        if (common.length > partial.length) this.input.value = prefix + common;
+        this.print(`${this.promptText()}${value}`, 'terminal-echo');
+        this.print(matches.join('    '));
     }
 
     /**
-     * Switches between Brush and Eraser modes.
-     * @param {string} toolName - 'brush' or 'eraser'.
-     * @param {HTMLElement} win - Window element for UI updates.
+     * Tab-completion helper for VFS paths relative to the current directory.
+     * @param {string} partial - What the user typed so far.
+     * @param {Object} [filter] - { foldersOnly: true } to skip files.
+     * @returns {string[]}
      */
-    setTool(toolName, win) {
-        this.tool = toolName;
-
-        const btnBrush = win.querySelector('#btn-brush');
-        const btnEraser = win.querySelector('#btn-eraser');
+    completePath(partial, filter = {}) {
+        const cleaned = partial.replace(/"/g, '');
+        const cut = Math.max(cleaned.lastIndexOf('\\'), cleaned.lastIndexOf('/'));
+        const dirPart = cut >= 0 ? cleaned.slice(0, cut + 1) : '';
+        const dir = vfs.get(vfs.resolvePath(dirPart || '.', this.cwd));
+        if (!dir || !dir.children) return [];
 
-        // Toggle UI Active classes
-        if (toolName === 'eraser') {
-            btnEraser.classList.add('tool-active');
-            btnBrush.classList.remove('tool-active');
-        } else {
-            btnBrush.classList.add('tool-active');
-            btnEraser.classList.remove('tool-active');
-        }
+        return dir.children
+            .filter(node => !filter.foldersOnly || node.children)
+            .map(node => dirPart + node.name + (node.children ? '\\' : ''));
     }
 
     /**
-     * Calculates mouse position relative to the canvas.
-     * @param {MouseEvent} e 
-     * @returns {Object} {x, y}
+     * Appends a line to the output.
+     * @param {string} text - Line text (not HTML).
+     * @param {string} [className] - Extra CSS class (e.g. 'terminal-error').
      */
-    getPos(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        return {
-            x: e.clientX - rect.left,
-            y: e.clientY - rect.top
-        };
+    print(text, className = '') {
+        const line = document.createElement('div');
+        line.className = `terminal-line ${className}`.trim();
+        line.textContent = text;
+        this.output.appendChild(line);
+        this.output.scrollTop = this.output.scrollHeight;
     }
 
     /**
-     * Begins a drawing path.
-     * @param {MouseEvent} e 
+     * Empties the output.
      */
-    startDraw(e) {
-        this.isDrawing = true;
-        this.ctx.lineWidth = this.lineWidth;
-
-        if (this.tool === 'eraser') {
-            this.ctx.strokeStyle = '#ffffff'; // White paint acts as eraser
-        } else {
-            this.ctx.strokeStyle = this.color;
-        }
-
-        this.ctx.beginPath();
-        const pos = this.getPos(e);
-        this.ctx.moveTo(pos.x, pos.y);
+    clear() {
+        this.output.innerHTML = '';
     }
 
     /**
-     * Continues the drawing path.
-     * @param {MouseEvent} e 
+     * @param {string} path - New working directory (absolute or relative).
      */
-    draw(e) {
-        if (!this.isDrawing) return;
-        const pos = this.getPos(e);
-        this.ctx.lineTo(pos.x, pos.y);
-        this.ctx.stroke();
+    changeDirectory(path) {
+        const target = vfs.resolvePath(path, this.cwd);
+        const node = vfs.get(target);
+        if (!node) throw new Error(`The system cannot find the path specified: ${path}`);
+        if (!node.children) throw new Error(`Not a directory: ${path}`);
+        this.cwd = vfs.pathOf(node);
+        this.updatePrompt();
     }
 
     /**
-     * Ends the drawing path.
+     * @returns {string} Prompt such as "C:\\Internet>".
      */
-    stopDraw() {
-        this.isDrawing = false;
-        this.ctx.closePath();
+    promptText() {
+        return `${this.cwd || 'My Computer'}>`;
     }
-}
 
-// --- OTHER APPS ---
+    /**
+     * Refreshes the prompt next to the input.
+     */
+    updatePrompt() {
+        this.promptEl.textContent = this.promptText();
+    }
 
-class CalculatorApp {
-    constructor(windowEl) {
-        this.display = windowEl.querySelector('.calc-display');
-        this.setupEvents(windowEl);
+    /**
+     * Working directory and recent history, for session persistence.
+     * @returns {{cwd: string, history: string[]}}
+     */
+    getState() {
+        return { cwd: this.cwd, history: this.history.slice(-20) };
     }
-    setupEvents(win) {
-        win.querySelectorAll('button').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const val = btn.innerText;
-                if (val === 'C') this.display.value = '';
-                else if (val === '←') this.display.value = this.display.value.slice(0, -1);
-                else if (val === '=') {
-                    try {
-                        // Note: eval is dangerous in prod, but okay for a static retro OS demo
-                        this.display.value = eval(this.display.value);
-                    } catch {
-                        this.display.value = 'ERR';
-                    }
-                } else this.display.value += val;
-            });
-        });
+
+    /**
+     * @param {{cwd: string, history: string[]}} state
+     */
+    setState(state) {
+        if (Array.isArray(state.history)) {
+            this.history = state.history;
+            this.historyIndex = this.history.length;
+        }
+        if (state.cwd && vfs.get(state.cwd)) {
+            this.cwd = state.cwd;
+            this.updatePrompt();
+        }
     }
 }
 
-class CalendarApp {
-    constructor(windowEl) {
-        const date = new Date();
-        const months = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
-        windowEl.querySelector('#cal-month').innerText = `${months[date.getMonth()]} ${date.getFullYear()}`;
-
-        const grid = windowEl.querySelector('#cal-days');
-        const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
-
-        for (let i = 1; i <= daysInMonth; i++) {
-            const div = document.createElement('div');
-            div.className = 'cal-day';
-            div.innerText = i;
-            if (i === date.getDate()) div.classList.add('cal-today');
-            grid.appendChild(div);
-        }
+/**
+ * Splits a command line into arguments, honouring "double quotes" for names with spaces.
+ * @param {string} line - Raw command line.
+ * @returns {string[]}
+ */
+function parseCommandLine(line) {
+    const args = [];
+    const pattern = /"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        args.push(match[1] !== undefined ? match[1] : match[2]);
     }
+    return args;
 }
 
 // --- MATRIX RAIN EFFECT (EASTER EGG) ---
@@ -920,6 +10772,17 @@ class MatrixEffect {
 
 // --- INITIALIZATION & UTILS ---
 
+/**
+ * Escapes text for safe use inside innerHTML (user-provided file names, notes...).
+ * @param {string} text - Raw text.
+ * @returns {string} HTML-safe text.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
 /**
  * Starts the taskbar clock.
  */
@@ -936,14 +10799,21 @@ const konamiCode = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft',
 let konamiIndex = 0;
 let matrixApp = null;
 
+/**
+ * Starts the Matrix rain easter egg (Konami code or the terminal's `matrix` command).
+ */
+function triggerMatrix() {
+    if (!matrixApp) matrixApp = new MatrixEffect();
+    matrixApp.start();
+}
+
 document.addEventListener('keydown', (e) => {
     if (e.key === konamiCode[konamiIndex]) {
         konamiIndex++;
         if (konamiIndex === konamiCode.length) {
             // Trigger Easter Egg
-            if (!matrixApp) matrixApp = new MatrixEffect();
-            matrixApp.start();
-            alert("SYSTEM HACKED! WELCOME TO THE REAL WORLD.");
+            triggerMatrix();
+            dialogs.warning("SYSTEM HACKED! WELCOME TO THE REAL WORLD.", 'Wake up...');
             konamiIndex = 0;
         }
     } else {
@@ -951,18 +10821,226 @@ document.addEventListener('keydown', (e) => {
     }
 });
 
+// --- BUILT-IN APPS ---
+
+registerApp({
+    id: 'calculator',
+    title: 'Calculator',
+    icon: 'fa-solid fa-calculator',
+    template: 'tpl-calculator',
+    factory: (win) => new CalculatorApp(win),
+    singleInstance: false,
+    minSize: { width: 300, height: 420 }
+});
+
+registerApp({
+    id: 'calendar',
+    title: 'Calendar',
+    icon: 'fa-regular fa-calendar-days',
+    template: 'tpl-calendar',
+    factory: (win) => new CalendarApp(win),
+    singleInstance: true,
+    minSize: { width: 340, height: 380 }
+});
+
+registerApp({
+    id: 'paint',
+    title: 'Pixel Paint',
+    label: 'Paint',
+    icon: 'fa-solid fa-paintbrush',
+    template: 'tpl-paint',
+    factory: (win) => new PaintApp(win),
+    singleInstance: false,
+    minSize: { width: 340, height: 380 }
+});
+
+// --- BUILT-IN COMMANDS ---
+
+registerCommand({
+    name: 'help',
+    usage: 'help [command]',
+    description: 'Lists commands, or explains one.',
+    complete: () => commandRegistry.list().map(c => c.name),
+    run: (args, term) => {
+        if (args[0]) {
+            const command = commandRegistry.get(args[0]);
+            if (!command) throw new Error(`No help for '${args[0]}'`);
+            term.print(`${command.usage} - ${command.description}`);
+            return;
+        }
+        commandRegistry.list().forEach(c => term.print(`${c.name.padEnd(10)} ${c.description}`));
+    }
+});
+
+registerCommand({
+    name: 'ls',
+    usage: 'ls [path]',
+    description: 'Lists the contents of a folder.',
+    complete: (partial, term) => term.completePath(partial, { foldersOnly: true }),
+    run: (args, term) => {
+        const path = vfs.resolvePath(args[0] || '.', term.cwd);
+        const items = vfs.list(path);
+        term.print(` Directory of ${path || 'My Computer'}`);
+        items.forEach(node => {
+            const kind = node.children ? '<DIR>' : node.type.toUpperCase();
+            term.print(`  ${kind.padEnd(7)} ${node.name}`);
+        });
+        term.print(`  ${items.length} item(s)`);
+    }
+});
+
+registerCommand({
+    name: 'cd',
+    usage: 'cd <path>',
+    description: 'Changes the current folder ("cd .." goes up).',
+    complete: (partial, term) => term.completePath(partial, { foldersOnly: true }),
+    run: (args, term) => {
+        if (!args[0]) {
+            term.print(term.cwd || 'My Computer');
+            return;
+        }
+        term.changeDirectory(args[0]);
+    }
+});
+
+registerCommand({
+    name: 'cat',
+    usage: 'cat <file>',
+    description: 'Prints a file (text content, link URL...).',
+    complete: (partial, term) => term.completePath(partial),
+    run: (args, term) => {
+        if (!args[0]) throw new Error("Usage: cat <file>");
+        const node = vfs.get(vfs.resolvePath(args[0], term.cwd));
+        if (!node) throw new Error(`File not found: ${args[0]}`);
+        if (node.children) throw new Error(`${args[0]} is a folder`);
+
+        switch (node.type) {
+            case 'text': (node.content || '').split('\n').forEach(line => term.print(line)); break;
+            case 'link': term.print(node.url); break;
+            case 'image': term.print(`[image] ${node.url || '(embedded)'}`); break;
+            case 'app': term.print(`Shortcut to app "${node.app}"`); break;
+            default: term.print(`(${node.type})`);
+        }
+    }
+});
+
+registerCommand({
+    name: 'open',
+    usage: 'open <app|path>',
+    description: 'Launches an app by id/name, or opens a file or folder.',
+    complete: (partial, term) => [...appRegistry.list().map(app => app.id), ...term.completePath(partial)],
+    run: (args, term) => {
+        const target = args.join(' ');
+        if (!target) throw new Error("Usage: open <app|path>");
+
+        const lower = target.toLowerCase();
+        const app = appRegistry.list().find(a => a.id === lower || a.label.toLowerCase() === lower || a.title.toLowerCase() === lower);
+        if (app) {
+            term.windowManager.launchApp(app.id);
+            term.print(`Launching ${app.title}...`);
+            return;
+        }
+
+        const path = vfs.resolvePath(target, term.cwd);
+        if (!vfs.get(path)) throw new Error(`No app or file named '${target}'`);
+        term.windowManager.openFile(path);
+        term.print(`Opening ${path}...`);
+    }
+});
+
+registerCommand({
+    name: 'whoami',
+    description: 'Shows who owns this machine.',
+    run: (args, term) => {
+        const user = term.systemLoader.config.user;
+        if (!user) {
+            term.print('guest');
+            return;
+        }
+        term.print(user.name);
+        if (user.role) term.print(user.role);
+        if (user.email) term.print(user.email);
+    }
+});
+
+registerCommand({
+    name: 'links',
+    description: 'Lists every link on the system.',
+    run: (args, term) => {
+        const walk = (node) => {
+            (node.children || []).forEach(child => {
+                if (child.type === 'link') term.print(`${child.name.padEnd(20)} ${child.url}`);
+                walk(child);
+            });
+        };
+        walk(vfs.root);
+    }
+});
+
+registerCommand({
+    name: 'calc',
+    usage: 'calc <expression>',
+    description: 'Evaluates an expression, e.g. calc 2^10 / (3 + 1).',
+    run: (args, term) => {
+        if (!args.length) throw new Error("Usage: calc <expression>");
+        term.print(ExpressionParser.format(new ExpressionParser().evaluate(args.join(' '))));
+    }
+});
+
+registerCommand({
+    name: 'clear',
+    description: 'Clears the screen.',
+    run: (args, term) => term.clear()
+});
+
+registerCommand({
+    name: 'reboot',
+    usage: 'reboot [--clean]',
+    description: 'Restarts the OS (--clean forgets the saved session).',
+    run: (args, term) => {
+        term.print('Rebooting...');
+        term.systemLoader.reboot(args.includes('--clean'));
+    }
+});
+
+registerCommand({
+    name: 'crt',
+    usage: 'crt on|off',
+    description: 'Turns the CRT monitor effect on or off.',
+    complete: () => ['on', 'off'],
+    run: (args, term) => {
+        const mode = (args[0] || '').toLowerCase();
+        if (mode !== 'on' && mode !== 'off') {
+            term.print(`CRT is ${term.systemLoader.isCrtOn() ? 'on' : 'off'}. Usage: crt on|off`);
+            return;
+        }
+        term.systemLoader.setCrt(mode === 'on');
+        term.print(`CRT ${mode}.`);
+    }
+});
+
+registerCommand({
+    name: 'matrix',
+    description: 'Follow the white rabbit.',
+    run: (args, term) => {
+        triggerMatrix();
+        term.print('SYSTEM HACKED! WELCOME TO THE REAL WORLD.', 'terminal-matrix');
+    }
+});
+
 // --- BOOTSTRAP ---
 document.addEventListener('DOMContentLoaded', () => {
-    // 1. Simulate BIOS Boot Delay
-    setTimeout(() => {
-        const bootScreen = document.getElementById('boot-screen');
-        if (bootScreen) bootScreen.style.display = 'none';
-    }, 1300);
-
-    // 2. Initialize OS Core
+    // Initialize OS Core (the loader also runs the BIOS boot screen)
     const windowManager = new WindowManager();
     const systemLoader = new SystemLoader(windowManager);
+    dialogs.attach(windowManager);
+    notifications.attach(
+        document.getElementById('notification-button'),
+        document.getElementById('notification-panel'),
+        document.getElementById('toast-area')
+    );
 
     systemLoader.boot();
     startClock();
+    nowPlaying.attach(document.getElementById('now-playing'));
 });
\ No newline at end of file